@@ -5,18 +5,97 @@
  * state management, and UI rendering.
  */
 
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import Window95Container from './components/Window95Container.jsx';
 import Sequencer from './components/Sequencer.jsx';
 import Controls from './components/Controls.jsx';
+import ExportControls from './components/ExportControls.jsx';
+import LoFiControls from './components/LoFiControls.jsx';
+import MidiControls from './components/MidiControls.jsx';
+import ChordPanel from './components/ChordPanel.jsx';
+import StepPanel from './components/StepPanel.jsx';
+import SongPanel from './components/SongPanel.jsx';
+import InstrumentPanel from './components/InstrumentPanel.jsx';
+import SaveAsDialog from './components/SaveAsDialog.jsx';
+import EuclideanDialog from './components/EuclideanDialog.jsx';
+import OpenDialog from './components/OpenDialog.jsx';
+import ErrorDialog from './components/ErrorDialog.jsx';
+import MidiImportDialog from './components/MidiImportDialog.jsx';
 import { AudioEngine } from './audio/AudioEngine.js';
+import { getInstrument } from './audio/instruments.js';
+import { renderPatternToWav } from './audio/OfflineRenderer.js';
+import { exportPatternToMidi } from './audio/MidiExport.js';
+import { parseMidiFile } from './audio/MidiDecoder.js';
+import { getMidiDrumHits, applyMidiBar } from './audio/MidiImport.js';
+import { ClockFollower, createNoteMap, conformNoteMap, learnNote } from './audio/MidiInput.js';
+import {
+  createVoiceParams,
+  getDefaultVoiceParams,
+  createSampleParams,
+  getDefaultSampleParams
+} from './audio/SoundGenerator.js';
+import { downloadBlob } from './utils/download.js';
+import {
+  createProject,
+  serializeProject,
+  parseProject,
+  ProjectFileError,
+  PROJECT_EXTENSION
+} from './utils/project.js';
+import { encodeShareHash, decodeShareHash, ShareUrlError, SHARE_UPDATE_DELAY } from './utils/shareUrl.js';
 import { 
   initialPattern, 
   presets, 
   toggleStep, 
+  setStepData,
+  getVelocityFromMidi,
+  recordStep,
+  clearTrack,
+  recordKeys,
+  getStepVelocity,
+  cycleVelocity,
+  shiftVelocity,
+  shiftNudge,
+  setStepLock,
+  getStepData,
   clearPattern,
-  tracks 
+  applyEuclidean,
+  setTrackLength,
+  setPatternLength,
+  getPatternLength,
+  clonePattern,
+  createMixer,
+  tracks,
+  createTrack,
+  moveTrack,
+  renameTrack,
+  addPatternTrack,
+  removePatternTrack,
+  applyPreset,
+  conformPattern,
+  isSamePattern,
+  defaults
 } from './utils/constants.js';
+import { defaultChord, getStepChord, chordQualities, applyProgression } from './utils/chords.js';
+import {
+  bankNames,
+  defaultSong,
+  createBanks,
+  mapBanks,
+  addSongEntry,
+  removeSongEntry,
+  updateSongEntry,
+  moveSongEntry
+} from './utils/song.js';
+import { createHistory, recordEdit, endGesture, undoHistory, redoHistory } from './utils/history.js';
+import {
+  listPatterns,
+  getSavedPattern,
+  savePattern,
+  renamePattern,
+  deletePattern,
+  loadSavedEntry
+} from './utils/patternLibrary.js';
 import './styles/windows95.css';
 import './styles/sequencer.css';
 import './styles/animations.css';
@@ -29,18 +108,144 @@ function App() {
   // Audio engine ref (persisted across renders)
   const audioEngineRef = useRef(null);
   
-  // Pattern state (64 steps total: 4 tracks × 16 steps)
-  const [pattern, setPattern] = useState(initialPattern);
+  // Beat shared in the URL hash, read once on load: { beat } (null without
+  // a hash) or { error } when the hash could not be decoded
+  const [sharedLink] = useState(() => {
+    try {
+      return { beat: decodeShareHash(window.location.hash) };
+    } catch (error) {
+      return { beat: null, error };
+    }
+  });
+  const shared = sharedLink.beat;
+  
+  // Track list (order, names, instruments) shared by every pattern bank.
+  // Patterns are keyed by track ID, each track with its own 1-64 step loop
+  const [trackList, setTrackList] = useState(shared?.tracks || tracks);
+  const [banks, setBanks] = useState(() => shared?.banks || createBanks(initialPattern));
+  const [editBank, setEditBank] = useState('A');
+  const pattern = banks[editBank];
+  
+  // Latest banks, so edits made before the next render build on each other
+  const banksRef = useRef(banks);
+  
+  // Undo/redo history of the banks. Kept in a ref because every change to
+  // it comes with a banks change, so the render that follows reads it up to date
+  const historyRef = useRef(createHistory());
+  const canUndo = historyRef.current.past.length > 0;
+  const canRedo = historyRef.current.future.length > 0;
+  
+  // Song mode: the arrangement of banks, and the entry currently playing
+  const [song, setSong] = useState(shared?.song || defaultSong);
+  const [songMode, setSongMode] = useState(shared?.songMode || false);
+  const [songIndex, setSongIndex] = useState(null);
   
   // Playback state
   const [isPlaying, setIsPlaying] = useState(false);
-  const [tempo, setTempo] = useState(85);
-  const [currentStep, setCurrentStep] = useState(0);
+  const [tempo, setTempo] = useState(shared?.tempo || 85);
+  const [swing, setSwing] = useState(shared?.swing || defaults.swing);
+  const [lofi, setLoFi] = useState(shared?.lofi || defaults.lofi);
+  const [mixer, setMixer] = useState(() => shared?.mixer || createMixer());
+  const [voiceParams, setVoiceParams] = useState(() => shared?.voiceParams || createVoiceParams());
+  const [samples, setSamples] = useState({}); // trackId -> { name, active }; buffers live in the engine
+  const [sampleParams, setSampleParams] = useState(() => shared?.sampleParams || createSampleParams());
+  const [currentTick, setCurrentTick] = useState(0);
   const [audioInitialized, setAudioInitialized] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  
+  // MIDI: whether access was granted, the output and input ports, the
+  // chosen ones, and whether clock is sent and followed
+  const [midi, setMidi] = useState({
+    enabled: false,
+    outputs: [],
+    outputId: '',
+    clock: false,
+    inputs: [],
+    inputId: '',
+    clockSync: false
+  });
+  
+  // MIDI in: pad note -> track ID, the track waiting for a pad in learn
+  // mode, and whether hits are recorded into the pattern while playing
+  const [noteMap, setNoteMap] = useState(() => createNoteMap(trackList));
+  const [learnTrack, setLearnTrack] = useState(null);
+  
+  // Live recording of pad and key hits: armed, quantize strength (1, 0.5
+  // or 0) and 'overdub' or 'replace'. Tracks already replaced in the
+  // current take (since arming or starting playback) are kept in the ref
+  const [recordArmed, setRecordArmed] = useState(false);
+  const [recordQuantize, setRecordQuantize] = useState(1);
+  const [recordMode, setRecordMode] = useState('overdub');
+  const takeTracksRef = useRef(new Set());
+  
+  // Incoming MIDI is handled by the latest render's handler; clock pulses
+  // are averaged into a tempo
+  const midiMessageRef = useRef(null);
+  const clockFollowerRef = useRef(null);
   
   // Keyboard navigation state
   const [selectedStep, setSelectedStep] = useState({ row: 0, col: 0 });
-
+  
+  // Visible page of 16 steps for patterns longer than one page
+  const [page, setPage] = useState(0);
+  
+  // What dragging an active step edits: 'velocity' (vertical) or 'nudge' (horizontal)
+  const [dragMode, setDragMode] = useState('velocity');
+  
+  // Step whose parameter locks the instrument panel edits { track, step }, or null
+  const [lockStep, setLockStep] = useState(null);
+  
+  // Chord editing: chord for newly switched-on steps, and the { track, step } being edited
+  const [chordBrush, setChordBrush] = useState(defaultChord);
+  const [chordStep, setChordStep] = useState(null);
+  
+  // Pattern library: saved patterns, and the open dialog ('save', 'open' or null).
+  // Unreadable storage lists nothing and is reported on start
+  const [library] = useState(() => {
+    try {
+      return { entries: listPatterns() };
+    } catch (error) {
+      return { entries: [], error };
+    }
+  });
+  const [savedPatterns, setSavedPatterns] = useState(library.entries);
+  const [dialog, setDialog] = useState(null);
+  
+  // Error shown in a dialog: { title, message, details } or null
+  const [errorDialog, setErrorDialog] = useState(() => {
+    if (sharedLink.error) {
+      return {
+        title: 'Shared Link',
+        message: 'Could not open the beat in this link. Starting with an empty pattern.',
+        details: sharedLink.error instanceof ShareUrlError && sharedLink.error.problems.length
+          ? sharedLink.error.problems
+          : [sharedLink.error.message]
+      };
+    }
+    if (library.error) {
+      return {
+        title: 'Saved Patterns',
+        message: 'Your saved patterns could not be read. They are left as they are.',
+        details: [library.error.message]
+      };
+    }
+    return null;
+  });
+  
+  // MIDI file being previewed for import: { fileName, hits, ignored } or null
+  const [midiImport, setMidiImport] = useState(null);
+  
+  // Euclidean generator being previewed: { track, hits, steps, rotation } or null
+  const [euclidean, setEuclidean] = useState(null);
+  const modalOpen = Boolean(dialog || errorDialog || midiImport || euclidean);
+  
+  // Tracks whose instrument plays chords, and the one the chord panel edits
+  const chordTracks = useMemo(
+    () => trackList.filter(track => getInstrument(track.instrument)?.chords),
+    [trackList]
+  );
+  const chordTrack = chordTracks.find(track => track.id === chordStep?.track) || chordTracks[0] || null;
+  
   /**
    * Initialize audio engine on first user interaction
    * Browsers require user gesture to create AudioContext
@@ -49,20 +254,33 @@ function App() {
     if (!audioEngineRef.current) {
       audioEngineRef.current = new AudioEngine();
     }
+    audioEngineRef.current.setTracks(trackList);
+    audioEngineRef.current.setTempo(tempo);
+    audioEngineRef.current.setSwing(swing);
+    audioEngineRef.current.setCrushBits(lofi.bits);
+    audioEngineRef.current.setCrushRate(lofi.rate);
+    audioEngineRef.current.setCrushMix(lofi.mix);
     
     const success = await audioEngineRef.current.init();
     if (success) {
       audioEngineRef.current.setPattern(pattern);
+      audioEngineRef.current.setBanks(banks);
+      audioEngineRef.current.setSong(songMode ? song : null);
+      audioEngineRef.current.setMixer(mixer);
+      audioEngineRef.current.setVoiceParams(voiceParams);
+      audioEngineRef.current.setSampleParams(sampleParams);
       setAudioInitialized(true);
     }
-  }, [pattern]);
-
+    return success;
+  }, [trackList, pattern, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams]);
+  
   /**
    * Toggle play/stop state
    */
   const handlePlayStop = useCallback(() => {
     if (!audioEngineRef.current) return;
     
+    takeTracksRef.current.clear();
     if (isPlaying) {
       audioEngineRef.current.stop();
       setIsPlaying(false);
@@ -71,7 +289,15 @@ function App() {
       setIsPlaying(true);
     }
   }, [isPlaying]);
-
+  
+  /**
+   * Arm or disarm live recording; either way a new take begins
+   */
+  const handleRecordToggle = useCallback(() => {
+    takeTracksRef.current.clear();
+    setRecordArmed(armed => !armed);
+  }, []);
+  
   /**
    * Handle tempo change
    * @param {number} newTempo - New BPM value
@@ -82,55 +308,1094 @@ function App() {
       audioEngineRef.current.setTempo(newTempo);
     }
   }, []);
-
+  
   /**
-   * Load a preset pattern
-   * @param {string} presetName - Name of preset to load
+   * Handle swing change
+   * @param {number} newSwing - Swing amount in percent
    */
-  const handlePresetChange = useCallback((presetName) => {
-    const newPattern = presets[presetName];
-    if (newPattern) {
-      // Deep clone to avoid reference issues
-      const clonedPattern = {
-        kick: [...newPattern.kick],
-        snare: [...newPattern.snare],
-        hihat: [...newPattern.hihat],
-        chord: [...newPattern.chord]
-      };
-      setPattern(clonedPattern);
-      
-      if (audioEngineRef.current) {
-        audioEngineRef.current.setPattern(clonedPattern);
+  const handleSwingChange = useCallback((newSwing) => {
+    setSwing(newSwing);
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setSwing(newSwing);
+    }
+  }, []);
+  
+  /**
+   * Handle a bitcrusher setting change
+   * @param {string} param - 'bits', 'rate' or 'mix'
+   * @param {number} value - New value
+   */
+  const handleLoFiChange = useCallback((param, value) => {
+    setLoFi(prev => ({ ...prev, [param]: value }));
+    const engine = audioEngineRef.current;
+    if (!engine) return;
+    
+    if (param === 'bits') engine.setCrushBits(value);
+    if (param === 'rate') engine.setCrushRate(value);
+    if (param === 'mix') engine.setCrushMix(value);
+  }, []);
+  
+  /**
+   * Pass an incoming MIDI message to the current handler
+   * @param {Object} message - Message from parseMidiMessage()
+   * @param {number} timestamp - Arrival time (performance.now() ms)
+   */
+  const handleMidiInputMessage = useCallback((message, timestamp) => {
+    if (midiMessageRef.current) {
+      midiMessageRef.current(message, timestamp);
+    }
+  }, []);
+  
+  /**
+   * Request Web MIDI access and list the output and input ports
+   * Browsers without Web MIDI, or a refused permission, show an error dialog
+   */
+  const handleEnableMidi = useCallback(async () => {
+    const engine = audioEngineRef.current;
+    if (!engine) return;
+    
+    try {
+      if (!(await engine.initMidi())) {
+        setErrorDialog({
+          title: 'MIDI Out',
+          message: 'This browser does not support Web MIDI.'
+        });
+        return;
       }
+    } catch (error) {
+      setErrorDialog({
+        title: 'MIDI Out',
+        message: 'MIDI access was not granted.',
+        details: [error.message]
+      });
+      return;
+    }
+    
+    const outputs = engine.getMidiOutputs();
+    const outputId = outputs.length ? outputs[0].id : '';
+    engine.setMidiOutput(outputId || null);
+    const inputs = engine.getMidiInputs();
+    const inputId = inputs.length ? inputs[0].id : '';
+    engine.setMidiInput(inputId || null, handleMidiInputMessage);
+    setMidi(prev => ({ ...prev, enabled: true, outputs, outputId, inputs, inputId }));
+  }, [handleMidiInputMessage]);
+  
+  /**
+   * Handle a MIDI output port change
+   * @param {string} outputId - Port ID, or '' for none
+   */
+  const handleMidiOutputChange = useCallback((outputId) => {
+    setMidi(prev => ({ ...prev, outputId }));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setMidiOutput(outputId || null);
     }
   }, []);
-
+  
+  /**
+   * Handle the MIDI clock checkbox
+   * @param {boolean} clock - True to send MIDI clock
+   */
+  const handleMidiClockChange = useCallback((clock) => {
+    setMidi(prev => ({ ...prev, clock }));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setMidiClock(clock);
+    }
+  }, []);
+  
+  /**
+   * Handle a mixer change on one track's channel strip
+   * @param {string} track - Track ID
+   * @param {string} param - 'volume', 'pan', 'mute' or 'solo'
+   * @param {number|boolean} value - New value
+   */
+  const handleMixerChange = useCallback((track, param, value) => {
+    setMixer(prev => ({ ...prev, [track]: { ...prev[track], [param]: value } }));
+    const engine = audioEngineRef.current;
+    if (!engine) return;
+    
+    if (param === 'volume') engine.setTrackVolume(track, value);
+    if (param === 'pan') engine.setTrackPan(track, value);
+    if (param === 'mute') engine.setTrackMute(track, value);
+    if (param === 'solo') engine.setTrackSolo(track, value);
+  }, []);
+  
+  /**
+   * Handle a synthesis parameter change in the instrument panel
+   * @param {string} track - Track ID
+   * @param {string} key - Parameter key
+   * @param {number} value - New value
+   */
+  const handleVoiceParamChange = useCallback((track, key, value) => {
+    setVoiceParams(prev => ({ ...prev, [track]: { ...prev[track], [key]: value } }));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setVoiceParam(track, key, value);
+    }
+  }, []);
+  
+  /**
+   * Restore a track's synthesis parameters to their defaults
+   * @param {string} track - Track ID
+   */
+  const handleVoiceParamsReset = useCallback((track) => {
+    const params = getDefaultVoiceParams(trackList.find(t => t.id === track)?.instrument);
+    setVoiceParams(prev => ({ ...prev, [track]: params }));
+    if (audioEngineRef.current) {
+      Object.keys(params).forEach(key => {
+        audioEngineRef.current.setVoiceParam(track, key, params[key]);
+      });
+    }
+  }, [trackList]);
+  
+  /**
+   * Decode an audio file and assign it to a track
+   * Starts the audio engine first if needed, since decoding needs a context
+   * @param {string} track - Track ID
+   * @param {File} file - Dropped or picked audio file
+   */
+  const handleLoadSample = useCallback(async (track, file) => {
+    try {
+      if (!audioInitialized && !(await initAudio())) return;
+      await audioEngineRef.current.loadSample(track, await file.arrayBuffer(), file.name);
+      setSamples(prev => ({ ...prev, [track]: { name: file.name, active: true } }));
+    } catch (error) {
+      setErrorDialog({
+        title: 'Load Sample',
+        message: `Could not load "${file.name}" as a sample.`,
+        details: [error.message]
+      });
+    }
+  }, [audioInitialized, initAudio]);
+  
+  /**
+   * Switch a track between its loaded sample and its synth voice
+   * @param {string} track - Track ID
+   * @param {boolean} active - True to play the sample
+   */
+  const handleSampleActiveChange = useCallback((track, active) => {
+    setSamples(prev => (prev[track] ? { ...prev, [track]: { ...prev[track], active } } : prev));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setSampleActive(track, active);
+    }
+  }, []);
+  
+  /**
+   * Handle a sample voice parameter change
+   * @param {string} track - Track ID
+   * @param {string} key - 'start', 'pitch' or 'decay'
+   * @param {number} value - New value
+   */
+  const handleSampleParamChange = useCallback((track, key, value) => {
+    setSampleParams(prev => ({ ...prev, [track]: { ...prev[track], [key]: value } }));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setSampleParam(track, key, value);
+    }
+  }, []);
+  
+  /**
+   * Restore a track's sample voice parameters to their defaults
+   * @param {string} track - Track ID
+   */
+  const handleSampleParamsReset = useCallback((track) => {
+    const params = getDefaultSampleParams();
+    setSampleParams(prev => ({ ...prev, [track]: params }));
+    if (audioEngineRef.current) {
+      Object.keys(params).forEach(key => {
+        audioEngineRef.current.setSampleParam(track, key, params[key]);
+      });
+    }
+  }, []);
+  
+  /**
+   * Apply an immutable edit to the pattern banks and sync them to the audio engine
+   * The banks before the edit are recorded for undo; edits that leave every
+   * pattern as it was are dropped. Edits from one drag, slider move or typed
+   * value share a gesture key and are undone together
+   * @param {Function} edit - Receives the previous banks, returns the new ones
+   * @param {string} [gesture] - Key of the control being moved
+   */
+  const updateBanks = useCallback((edit, gesture = null) => {
+    const prevBanks = banksRef.current;
+    const newBanks = edit(prevBanks);
+    if (bankNames.every(name => isSamePattern(newBanks[name], prevBanks[name]))) return;
+    
+    historyRef.current = recordEdit(historyRef.current, prevBanks, gesture);
+    banksRef.current = newBanks;
+    setBanks(newBanks);
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setPattern(newBanks[editBank]);
+      audioEngineRef.current.setBanks(newBanks);
+    }
+  }, [editBank]);
+  
+  /**
+   * Apply an immutable edit to the pattern being edited
+   * @param {Function} edit - Receives the previous pattern, returns the new one
+   * @param {string} [gesture] - Key of the control being moved
+   */
+  const updatePattern = useCallback((edit, gesture) => {
+    updateBanks(prevBanks => ({ ...prevBanks, [editBank]: edit(prevBanks[editBank]) }), gesture);
+  }, [updateBanks, editBank]);
+  
+  // Releasing the pointer ends a drag or slider move, and committing or
+  // leaving a field ends a typed value, so the next one gets its own undo step
+  useEffect(() => {
+    const handleGestureEnd = () => {
+      historyRef.current = endGesture(historyRef.current);
+    };
+    window.addEventListener('pointerup', handleGestureEnd);
+    window.addEventListener('change', handleGestureEnd);
+    window.addEventListener('focusout', handleGestureEnd);
+    return () => {
+      window.removeEventListener('pointerup', handleGestureEnd);
+      window.removeEventListener('change', handleGestureEnd);
+      window.removeEventListener('focusout', handleGestureEnd);
+    };
+  }, []);
+  
+  /**
+   * Restore the banks from one step of the edit history
+   * Restored patterns are fitted to the current tracks (adding, removing
+   * and reordering tracks is not undone). Playback carries on: the engine
+   * just picks up the restored patterns on its next step
+   * @param {Function} step - undoHistory or redoHistory
+   */
+  const restoreHistory = useCallback((step) => {
+    const result = step(historyRef.current, banksRef.current);
+    if (!result) return;
+    
+    historyRef.current = result.history;
+    const restored = mapBanks(result.present, p => conformPattern(p, trackList));
+    banksRef.current = restored;
+    setBanks(restored);
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setPattern(restored[editBank]);
+      audioEngineRef.current.setBanks(restored);
+    }
+  }, [trackList, editBank]);
+  
+  /**
+   * Undo the last pattern edit
+   */
+  const handleUndo = useCallback(() => restoreHistory(undoHistory), [restoreHistory]);
+  
+  /**
+   * Redo the last undone pattern edit
+   */
+  const handleRedo = useCallback(() => restoreHistory(redoHistory), [restoreHistory]);
+  
   /**
    * Clear all steps in the pattern
    */
   const handleClear = useCallback(() => {
-    const cleared = clearPattern();
-    setPattern(cleared);
-    if (audioEngineRef.current) {
-      audioEngineRef.current.setPattern(cleared);
+    // Keep each track's loop length, only silence the steps
+    updatePattern(prevPattern => clearPattern(prevPattern));
+  }, [updatePattern]);
+  
+  /**
+   * Replace the track list and every per-track setting
+   * Samples on tracks that no longer exist are dropped. The caller updates
+   * the banks to match the new tracks.
+   * @param {Array<Object>} newTrackList - New tracks
+   * @param {Object} settings - { mixer, voiceParams, sampleParams }, merged over the defaults
+   */
+  const replaceTracks = useCallback((newTrackList, settings) => {
+    const newMixer = { ...createMixer(newTrackList), ...settings.mixer };
+    const newVoiceParams = { ...createVoiceParams(newTrackList), ...settings.voiceParams };
+    const newSampleParams = { ...createSampleParams(newTrackList), ...settings.sampleParams };
+    const removedTracks = trackList.filter(track => !newTrackList.some(t => t.id === track.id));
+    
+    setTrackList(newTrackList);
+    setMixer(newMixer);
+    setVoiceParams(newVoiceParams);
+    setSampleParams(newSampleParams);
+    setSamples(prev => {
+      const kept = { ...prev };
+      removedTracks.forEach(track => delete kept[track.id]);
+      return kept;
+    });
+    setSelectedStep(prev => ({ ...prev, row: Math.min(prev.row, newTrackList.length - 1) }));
+    setChordStep(null);
+    
+    const engine = audioEngineRef.current;
+    if (engine) {
+      engine.setTracks(newTrackList);
+      engine.setMixer(newMixer);
+      engine.setVoiceParams(newVoiceParams);
+      engine.setSampleParams(newSampleParams);
+      removedTracks.forEach(track => engine.removeSample(track.id));
+    }
+  }, [trackList]);
+  
+  /**
+   * Load a saved pattern into the edit bank, along with its tempo, swing
+   * and track settings
+   * Other banks are fitted to the saved track list
+   * Stored data is validated like an imported project; entries that fail
+   * are reported and leave the current beat untouched
+   * @param {string} id - Saved pattern ID
+   */
+  const loadSavedPattern = useCallback((id) => {
+    let entry;
+    let data;
+    try {
+      entry = getSavedPattern(id);
+      if (!entry) return;
+      data = loadSavedEntry(entry);
+    } catch (error) {
+      setErrorDialog({
+        title: 'Open Pattern',
+        message: entry ? `Could not open "${entry.name}".` : 'Could not read the saved patterns.',
+        details: error instanceof ProjectFileError && error.problems.length ? error.problems : [error.message]
+      });
+      return;
+    }
+    
+    replaceTracks(data.tracks, data);
+    handleTempoChange(data.tempo);
+    handleSwingChange(data.swing);
+    updateBanks(prevBanks => ({
+      ...mapBanks(prevBanks, p => conformPattern(p, data.tracks)),
+      [editBank]: conformPattern(data.banks.A, data.tracks)
+    }));
+  }, [replaceTracks, handleTempoChange, handleSwingChange, updateBanks, editBank]);
+  
+  /**
+   * Load a preset pattern into the current tracks
+   * Values of the form "user:<id>" load a saved pattern instead
+   * @param {string} presetName - Name of preset to load
+   */
+  const handlePresetChange = useCallback((presetName) => {
+    if (presetName.startsWith('user:')) {
+      loadSavedPattern(presetName.slice('user:'.length));
+      return;
+    }
+    const preset = presets[presetName];
+    if (preset) {
+      updatePattern(prevPattern => applyPreset(prevPattern, preset));
+    }
+  }, [updatePattern, loadSavedPattern]);
+  
+  /**
+   * Save the edit bank's pattern and the current settings under a name
+   * @param {string} name - Pattern name (an existing one is replaced)
+   */
+  const handleSaveAs = useCallback((name) => {
+    try {
+      savePattern(name, {
+        pattern,
+        tempo,
+        swing,
+        tracks: trackList,
+        mixer,
+        voiceParams,
+        sampleParams
+      });
+      setSavedPatterns(listPatterns());
+      setDialog(null);
+    } catch (error) {
+      setErrorDialog({
+        title: 'Save Pattern',
+        message: `Could not save "${name.trim()}".`,
+        details: [error.message]
+      });
+    }
+  }, [pattern, tempo, swing, trackList, mixer, voiceParams, sampleParams]);
+  
+  /**
+   * Open a saved pattern from the Open dialog
+   * @param {string} id - Saved pattern ID
+   */
+  const handleOpenSaved = useCallback((id) => {
+    loadSavedPattern(id);
+    setDialog(null);
+  }, [loadSavedPattern]);
+  
+  /**
+   * Rename a saved pattern
+   * @param {string} id - Saved pattern ID
+   * @param {string} name - New name
+   * @returns {boolean} False if the name was blank, taken, or could not be stored
+   */
+  const handleRenameSaved = useCallback((id, name) => {
+    try {
+      const renamed = renamePattern(id, name);
+      setSavedPatterns(listPatterns());
+      return renamed;
+    } catch (error) {
+      setErrorDialog({
+        title: 'Rename Pattern',
+        message: `Could not rename the pattern to "${name.trim()}".`,
+        details: [error.message]
+      });
+      return false;
     }
   }, []);
-
+  
   /**
-   * Toggle a step on/off
+   * Delete a saved pattern
+   * @param {string} id - Saved pattern ID
+   */
+  const handleDeleteSaved = useCallback((id) => {
+    try {
+      deletePattern(id);
+      setSavedPatterns(listPatterns());
+    } catch (error) {
+      setErrorDialog({
+        title: 'Delete Pattern',
+        message: 'Could not delete the pattern.',
+        details: [error.message]
+      });
+    }
+  }, []);
+  
+  /**
+   * Close whichever library dialog is open
+   */
+  const closeDialog = useCallback(() => setDialog(null), []);
+  
+  /**
+   * Toggle a step on/off, and select it
+   * Chord steps switched on take the chord panel's current chord
    * @param {string} track - Track ID
    * @param {number} step - Step index
    */
   const handleToggleStep = useCallback((track, step) => {
-    setPattern(prevPattern => {
+    setSelectedStep({ row: trackList.findIndex(t => t.id === track), col: step });
+    const isChordTrack = chordTracks.some(t => t.id === track);
+    updatePattern(prevPattern => {
       const newPattern = toggleStep(prevPattern, track, step);
-      if (audioEngineRef.current) {
-        audioEngineRef.current.setPattern(newPattern);
+      if (isChordTrack && getStepVelocity(newPattern[track][step])) {
+        return setStepData(newPattern, track, step, { chord: chordBrush });
       }
       return newPattern;
     });
+    if (isChordTrack) {
+      setChordStep({ track, step });
+    }
+  }, [updatePattern, chordBrush, chordTracks, trackList]);
+  
+  /**
+   * Change the probability, condition, ratchet or nudge of the selected step
+   * Steps that are off are left alone. 100% is stored as no probability,
+   * no offset as no nudge, and a single hit as no ratchet (dropping its
+   * division too).
+   * @param {string} key - 'probability', 'condition', 'ratchet', 'ratchetDivision' or 'nudge'
+   * @param {number|string|undefined} value - New value
+   */
+  const handleStepTriggerChange = useCallback((key, value) => {
+    const track = trackList[selectedStep.row];
+    if (!track) return;
+    
+    let data = { [key]: (key === 'probability' && value === 100) || (key === 'nudge' && !value) ? undefined : value };
+    if (key === 'ratchet' && value === 1) {
+      data = { ratchet: undefined, ratchetDivision: undefined };
+    }
+    updatePattern(prevPattern => (
+      getStepVelocity(prevPattern[track.id][selectedStep.col])
+        ? setStepData(prevPattern, track.id, selectedStep.col, data)
+        : prevPattern
+    ), `${key}:${track.id}:${selectedStep.col}`);
+  }, [trackList, selectedStep, updatePattern]);
+  
+  /**
+   * Cycle a step through normal, accent and soft velocities
+   * @param {string} track - Track ID
+   * @param {number} step - Step index
+   */
+  const handleCycleVelocity = useCallback((track, step) => {
+    updatePattern(prevPattern => cycleVelocity(prevPattern, track, step));
+  }, [updatePattern]);
+  
+  /**
+   * Move a step's velocity up or down (drag on the step)
+   * @param {string} track - Track ID
+   * @param {number} step - Step index
+   * @param {number} delta - Levels to move, positive is louder
+   */
+  const handleShiftVelocity = useCallback((track, step, delta) => {
+    updatePattern(prevPattern => shiftVelocity(prevPattern, track, step, delta), `velocity:${track}:${step}`);
+  }, [updatePattern]);
+  
+  /**
+   * Move a step earlier or later (horizontal drag in nudge mode)
+   * @param {string} track - Track ID
+   * @param {number} step - Step index
+   * @param {number} delta - Offset to add in 16ths, positive is later
+   */
+  const handleShiftNudge = useCallback((track, step, delta) => {
+    updatePattern(prevPattern => shiftNudge(prevPattern, track, step, delta), `nudge:${track}:${step}`);
+  }, [updatePattern]);
+  
+  /**
+   * Open the Euclidean generator for a track
+   * Starts from the track's length and number of hits (4 for an empty track)
+   * @param {string} track - Track ID
+   */
+  const handleOpenEuclidean = useCallback((track) => {
+    const steps = pattern[track].length;
+    const active = pattern[track].filter(value => getStepVelocity(value)).length;
+    setEuclidean({ track, hits: active || Math.min(4, steps), steps, rotation: 0 });
+  }, [pattern]);
+  
+  /**
+   * Write the previewed Euclidean rhythm into its track
+   */
+  const handleApplyEuclidean = useCallback(() => {
+    if (!euclidean) return;
+    updatePattern(prevPattern => (
+      prevPattern[euclidean.track] ? applyEuclidean(prevPattern, euclidean.track, euclidean) : prevPattern
+    ));
+    setEuclidean(null);
+  }, [euclidean, updatePattern]);
+  
+  /**
+   * Start editing a step's parameter locks (hold the step, or L)
+   * Holding the step being locked again stops
+   * @param {string} track - Track ID
+   * @param {number} step - Step index
+   */
+  const handleHoldStep = useCallback((track, step) => {
+    setSelectedStep({ row: trackList.findIndex(t => t.id === track), col: step });
+    setLockStep(prev => (prev?.track === track && prev.step === step ? null : { track, step }));
+  }, [trackList]);
+  
+  /**
+   * Lock a parameter of the held step, or release it
+   * @param {string} key - Voice parameter key
+   * @param {number|undefined} value - Locked value, or undefined to release
+   */
+  const handleLockChange = useCallback((key, value) => {
+    if (!lockStep) return;
+    updatePattern(
+      prevPattern => setStepLock(prevPattern, lockStep.track, lockStep.step, key, value),
+      `lock:${lockStep.track}:${lockStep.step}:${key}`
+    );
+  }, [lockStep, updatePattern]);
+  
+  /**
+   * Release every parameter lock of the held step
+   */
+  const handleLockClear = useCallback(() => {
+    if (!lockStep) return;
+    updatePattern(prevPattern => (
+      getStepVelocity(prevPattern[lockStep.track][lockStep.step])
+        ? setStepData(prevPattern, lockStep.track, lockStep.step, { locks: undefined })
+        : prevPattern
+    ));
+  }, [lockStep, updatePattern]);
+  
+  /**
+   * Change one track's loop length (polymeter)
+   * @param {string} track - Track ID
+   * @param {number} length - New length in steps
+   */
+  const handleTrackLengthChange = useCallback((track, length) => {
+    if (!Number.isFinite(length)) return;
+    updatePattern(prevPattern => setTrackLength(prevPattern, track, length), `length:${track}`);
+  }, [updatePattern]);
+  
+  /**
+   * Change the length of every track at once
+   * @param {number} length - New length in steps
+   */
+  const handlePatternLengthChange = useCallback((length) => {
+    if (!Number.isFinite(length)) return;
+    updatePattern(prevPattern => setPatternLength(prevPattern, length), 'length');
+  }, [updatePattern]);
+  
+  /**
+   * Render the loop offline and download it as a WAV file
+   * @param {Object} options - Export options
+   * @param {number} options.bars - Number of passes through the pattern
+   * @param {number} options.bitDepth - 16 or 24
+   */
+  const handleExportWav = useCallback(async ({ bars, bitDepth }) => {
+    setIsExporting(true);
+    try {
+      const blob = await renderPatternToWav({
+        pattern,
+        tempo,
+        swing,
+        lofi,
+        mixer,
+        tracks: trackList,
+        song: songMode ? song : null,
+        banks,
+        voiceParams,
+        samples: audioEngineRef.current?.samples,
+        sampleParams,
+        bars,
+        bitDepth
+      });
+      downloadBlob(blob, `lofi-beat-${tempo}bpm.wav`);
+    } catch (error) {
+      setErrorDialog({
+        title: 'Export WAV',
+        message: 'The WAV file could not be rendered.',
+        details: [error.message]
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  }, [trackList, pattern, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams]);
+  
+  /**
+   * Export the loop (or song) as a MIDI file for a DAW
+   * @param {Object} options - { bars }
+   */
+  const handleExportMidi = useCallback(({ bars }) => {
+    try {
+      const blob = exportPatternToMidi({
+        pattern,
+        tracks: trackList,
+        tempo,
+        swing,
+        bars,
+        song: songMode ? song : null,
+        banks,
+        voiceParams
+      });
+      downloadBlob(blob, `lofi-beat-${tempo}bpm.mid`);
+    } catch (error) {
+      setErrorDialog({
+        title: 'Export MIDI',
+        message: 'The MIDI file could not be written.',
+        details: [error.message]
+      });
+    }
+  }, [trackList, pattern, banks, song, songMode, tempo, swing, voiceParams]);
+  
+  /**
+   * Read a MIDI file and open the import preview for its drum notes
+   * @param {File} file - Picked MIDI file
+   */
+  const handleImportMidi = useCallback(async (file) => {
+    try {
+      const { hits, ignored } = getMidiDrumHits(parseMidiFile(await file.arrayBuffer()));
+      if (hits.length === 0) {
+        setErrorDialog({
+          title: 'Import MIDI',
+          message: `"${file.name}" has no kick, snare or hi-hat notes to import.`
+        });
+        return;
+      }
+      setMidiImport({ fileName: file.name, hits, ignored });
+    } catch (error) {
+      setErrorDialog({
+        title: 'Import MIDI',
+        message: `Could not open "${file.name}".`,
+        details: [error.message]
+      });
+    }
+  }, []);
+  
+  /**
+   * Write the bar chosen in the MIDI preview into the edited pattern
+   * @param {Object} rows - Instrument type to 16 velocity levels
+   */
+  const handleMidiImportConfirm = useCallback((rows) => {
+    updatePattern(prevPattern => applyMidiBar(prevPattern, trackList, rows));
+    setMidiImport(null);
+  }, [updatePattern, trackList]);
+  
+  /**
+   * Play a track from a pad or key hit, and record it when armed
+   * During playback the hit is quantized toward the nearest step of the
+   * edited pattern, keeping what is left as the step's nudge. In replace
+   * mode a track's first hit of the take clears the rest of it.
+   * @param {string} trackId - Track ID
+   * @param {number} velocity - Velocity level
+   * @param {number} time - AudioContext time the hit was played at
+   */
+  const playLiveHit = useCallback((trackId, velocity, time) => {
+    const engine = audioEngineRef.current;
+    engine.triggerTrack(trackId, velocity);
+    if (!recordArmed || !isPlaying) return;
+    
+    const { tick, nudge } = engine.getRecordPosition(time, recordQuantize);
+    engine.markLiveHit(trackId, tick);
+    const { tick: patternTick } = engine.resolveTick(tick);
+    const replace = recordMode === 'replace' && !takeTracksRef.current.has(trackId);
+    takeTracksRef.current.add(trackId);
+    
+    updatePattern(prevPattern => {
+      if (!prevPattern[trackId]) return prevPattern;
+      const base = replace ? clearTrack(prevPattern, trackId) : prevPattern;
+      return recordStep(base, trackId, patternTick % base[trackId].length, velocity, nudge);
+    });
+  }, [recordArmed, isPlaying, recordQuantize, recordMode, updatePattern]);
+  
+  /**
+   * Handle a pad hit or clock message from the MIDI input
+   * A hit plays its track (see playLiveHit); in learn mode it assigns the
+   * pad to the learning track instead
+   * @param {Object} message - Message from parseMidiMessage()
+   * @param {number} timestamp - Arrival time (performance.now() ms)
+   */
+  const handleMidiMessage = useCallback((message, timestamp) => {
+    const engine = audioEngineRef.current;
+    if (!engine) return;
+    
+    if (message.type === 'clock') {
+      if (!midi.clockSync) return;
+      if (!clockFollowerRef.current) {
+        clockFollowerRef.current = new ClockFollower(handleTempoChange);
+      }
+      clockFollowerRef.current.pulse(timestamp);
+      return;
+    }
+    if (message.type !== 'noteOn') {
+      // Start, Continue and Stop: the tempo is measured afresh
+      if (message.type !== 'noteOff' && clockFollowerRef.current) {
+        clockFollowerRef.current.reset();
+      }
+      return;
+    }
+    
+    const velocity = getVelocityFromMidi(message.velocity);
+    if (learnTrack) {
+      setNoteMap(prev => learnNote(prev, learnTrack, message.note));
+      setLearnTrack(null);
+      engine.triggerTrack(learnTrack, velocity);
+      return;
+    }
+    
+    const trackId = noteMap[message.note];
+    if (trackId) {
+      playLiveHit(trackId, velocity, engine.fromMidiTimestamp(timestamp));
+    }
+  }, [midi.clockSync, learnTrack, noteMap, handleTempoChange, playLiveHit]);
+  
+  useEffect(() => {
+    midiMessageRef.current = handleMidiMessage;
+  }, [handleMidiMessage]);
+  
+  /**
+   * Handle a MIDI input port change
+   * @param {string} inputId - Port ID, or '' for none
+   */
+  const handleMidiInputChange = useCallback((inputId) => {
+    setMidi(prev => ({ ...prev, inputId }));
+    if (!inputId) setLearnTrack(null);
+    if (clockFollowerRef.current) clockFollowerRef.current.reset();
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setMidiInput(inputId || null, handleMidiInputMessage);
+    }
+  }, [handleMidiInputMessage]);
+  
+  /**
+   * Handle the MIDI clock sync checkbox
+   * @param {boolean} clockSync - True to follow the input's clock tempo
+   */
+  const handleMidiClockSyncChange = useCallback((clockSync) => {
+    setMidi(prev => ({ ...prev, clockSync }));
+    if (clockFollowerRef.current) clockFollowerRef.current.reset();
   }, []);
-
+  
+  /**
+   * Keep pad mappings in step with the track list
+   */
+  useEffect(() => {
+    setNoteMap(prev => conformNoteMap(prev, trackList));
+    setLearnTrack(prev => (trackList.some(track => track.id === prev) ? prev : null));
+  }, [trackList]);
+  
+  /**
+   * Download the whole project (banks, song, tracks and settings) as JSON
+   */
+  const handleExportProject = useCallback(() => {
+    const project = createProject({
+      tracks: trackList,
+      banks,
+      song,
+      songMode,
+      tempo,
+      swing,
+      lofi,
+      mixer,
+      voiceParams,
+      sampleParams
+    });
+    const blob = new Blob([serializeProject(project)], { type: 'application/json' });
+    downloadBlob(blob, `lofi-beat-${tempo}bpm${PROJECT_EXTENSION}`);
+  }, [trackList, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams]);
+  
+  /**
+   * Replace the whole beat with a loaded project (a file or a shared link)
+   * The banks change is undoable; playback starts the song over
+   * @param {Object} project - Project from loadProject()
+   */
+  const applyProject = useCallback((project) => {
+    replaceTracks(project.tracks, project);
+    handleTempoChange(project.tempo);
+    handleSwingChange(project.swing);
+    Object.keys(project.lofi).forEach(param => handleLoFiChange(param, project.lofi[param]));
+    updateBanks(() => project.banks);
+    setSong(project.song);
+    setSongMode(project.songMode);
+    setSongIndex(null);
+    
+    const engine = audioEngineRef.current;
+    if (engine) {
+      engine.setSong(project.songMode ? project.song : null);
+      engine.reset();
+    }
+  }, [replaceTracks, handleTempoChange, handleSwingChange, handleLoFiChange, updateBanks]);
+  
+  /**
+   * Load a project file, replacing the banks, song, tracks and settings
+   * Invalid files are reported in an error dialog and leave the state untouched
+   * @param {File} file - Picked project file
+   */
+  const handleImportProject = useCallback(async (file) => {
+    let project;
+    try {
+      project = parseProject(await file.text());
+    } catch (error) {
+      setErrorDialog({
+        title: 'Import Project',
+        message: `Could not open "${file.name}".`,
+        details: error instanceof ProjectFileError && error.problems.length ? error.problems : [error.message]
+      });
+      return;
+    }
+    applyProject(project);
+  }, [applyProject]);
+  
+  // Track of the keyboard-selected step, edited by the step panel
+  const selectedTrack = trackList[selectedStep.row];
+  
+  // Bank under the playhead: the song entry's bank, or the edited bank
+  const playingBank = songMode && songIndex !== null ? song[songIndex]?.bank : editBank;
+  
+  // Chord step being edited, only while it is switched on
+  const chordEditStep = chordStep && chordStep.track === chordTrack?.id &&
+    getStepVelocity(pattern[chordStep.track]?.[chordStep.step]) ? chordStep.step : null;
+  const panelChord = chordEditStep !== null ? getStepChord(pattern[chordTrack.id][chordEditStep]) : chordBrush;
+  
+  // The grid previews the Euclidean generator's rhythm until it is applied
+  const euclideanTrack = euclidean && trackList.find(track => track.id === euclidean.track);
+  const gridPattern = euclideanTrack ? applyEuclidean(pattern, euclidean.track, euclidean) : pattern;
+  
+  // Held step for parameter locks, only while it is switched on
+  const lockValue = lockStep && pattern[lockStep.track]?.[lockStep.step];
+  const panelLock = getStepVelocity(lockValue)
+    ? { trackId: lockStep.track, stepIndex: lockStep.step, values: getStepData(lockValue).locks || {} }
+    : null;
+  
+  /**
+   * Change the root, quality or inversion in the chord panel
+   * Updates the edited step (if any) and the chord for new steps
+   * @param {string} param - 'root', 'quality' or 'inversion'
+   * @param {number|string} value - New value
+   */
+  const handleChordChange = useCallback((param, value) => {
+    const chord = { ...panelChord, [param]: value };
+    const maxInversion = chordQualities[chord.quality].intervals.length - 1;
+    chord.inversion = Math.min(chord.inversion, maxInversion);
+    
+    setChordBrush(chord);
+    if (chordEditStep !== null) {
+      updatePattern(prevPattern => setStepData(prevPattern, chordTrack.id, chordEditStep, { chord }));
+    }
+  }, [panelChord, chordEditStep, chordTrack, updatePattern]);
+  
+  /**
+   * Fill the edited chord track from a progression preset
+   * @param {string} progressionId - Progression key
+   * @param {number} key - Key root pitch class
+   */
+  const handleApplyProgression = useCallback((progressionId, key) => {
+    if (!chordTrack) return;
+    updatePattern(prevPattern => applyProgression(prevPattern, progressionId, key, chordTrack.id));
+  }, [chordTrack, updatePattern]);
+  
+  /**
+   * Add a track playing the given instrument to every bank, as long as each pattern
+   * @param {string} instrument - Instrument type from the registry
+   */
+  const handleAddTrack = useCallback((instrument) => {
+    const track = createTrack(trackList, instrument, getInstrument(instrument).name.toUpperCase());
+    const newTrackList = [...trackList, track];
+    
+    setTrackList(newTrackList);
+    setMixer(prev => ({ ...prev, [track.id]: { ...defaults.channel } }));
+    setVoiceParams(prev => ({ ...prev, [track.id]: getDefaultVoiceParams(instrument) }));
+    setSampleParams(prev => ({ ...prev, [track.id]: getDefaultSampleParams() }));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setTracks(newTrackList);
+    }
+    updateBanks(prevBanks => mapBanks(prevBanks, p => addPatternTrack(p, track.id)));
+  }, [trackList, updateBanks]);
+  
+  /**
+   * Remove a track along with its steps, mixer strip, voice settings and sample
+   * The last remaining track cannot be removed
+   * @param {string} trackId - Track ID
+   */
+  const handleRemoveTrack = useCallback((trackId) => {
+    if (trackList.length <= 1) return;
+    const newTrackList = trackList.filter(track => track.id !== trackId);
+    const { [trackId]: removedChannel, ...newMixer } = mixer;
+    const { [trackId]: removedVoice, ...newVoiceParams } = voiceParams;
+    const { [trackId]: removedSampleVoice, ...newSampleParams } = sampleParams;
+    
+    setTrackList(newTrackList);
+    setMixer(newMixer);
+    setVoiceParams(newVoiceParams);
+    setSampleParams(newSampleParams);
+    setSamples(prev => {
+      const { [trackId]: removed, ...rest } = prev;
+      return rest;
+    });
+    setSelectedStep(prev => ({ ...prev, row: Math.min(prev.row, newTrackList.length - 1) }));
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setTracks(newTrackList);
+      audioEngineRef.current.setMixer(newMixer);
+      audioEngineRef.current.setVoiceParams(newVoiceParams);
+      audioEngineRef.current.setSampleParams(newSampleParams);
+      audioEngineRef.current.removeSample(trackId);
+    }
+    updateBanks(prevBanks => mapBanks(prevBanks, p => removePatternTrack(p, trackId)));
+  }, [trackList, mixer, voiceParams, sampleParams, updateBanks]);
+  
+  /**
+   * Move a track up or down the list
+   * @param {string} trackId - Track ID
+   * @param {number} delta - -1 for up, 1 for down
+   */
+  const handleMoveTrack = useCallback((trackId, delta) => {
+    const newTrackList = moveTrack(trackList, trackId, delta);
+    setTrackList(newTrackList);
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setTracks(newTrackList);
+    }
+  }, [trackList]);
+  
+  /**
+   * Rename a track
+   * @param {string} trackId - Track ID
+   * @param {string} name - New display name
+   */
+  const handleRenameTrack = useCallback((trackId, name) => {
+    setTrackList(prev => renameTrack(prev, trackId, name));
+  }, []);
+  
+  /**
+   * Switch the bank shown in the grid
+   * Outside song mode the edited bank is also the one that plays
+   * @param {string} bank - Bank name
+   */
+  const handleEditBankChange = useCallback((bank) => {
+    setEditBank(bank);
+    setChordStep(null);
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setPattern(banks[bank]);
+    }
+  }, [banks]);
+  
+  /**
+   * Copy the edited bank into another bank
+   * @param {string} target - Bank to overwrite
+   */
+  const handleCopyBank = useCallback((target) => {
+    updateBanks(prevBanks => ({ ...prevBanks, [target]: clonePattern(prevBanks[editBank]) }));
+  }, [updateBanks, editBank]);
+  
+  /**
+   * Switch between looping the edited bank and playing the song
+   * The song always starts from its first entry
+   * @param {boolean} enabled - True for song mode
+   */
+  const handleSongModeChange = useCallback((enabled) => {
+    setSongMode(enabled);
+    setSongIndex(null);
+    if (audioEngineRef.current) {
+      audioEngineRef.current.setSong(enabled ? song : null);
+      audioEngineRef.current.reset();
+    }
+  }, [song]);
+  
+  /**
+   * Apply an immutable edit to the song and sync it to the audio engine
+   * @param {Function} edit - Receives the previous song, returns the new one
+   */
+  const updateSong = useCallback((edit) => {
+    const newSong = edit(song);
+    setSong(newSong);
+    if (audioEngineRef.current && songMode) {
+      audioEngineRef.current.setSong(newSong);
+    }
+  }, [song, songMode]);
+  
+  /**
+   * Navigating onto a chord row selects that step for chord editing
+   */
+  useEffect(() => {
+    const track = trackList[selectedStep.row];
+    if (track && getInstrument(track.instrument)?.chords) {
+      setChordStep({ track: track.id, step: selectedStep.col });
+    }
+  }, [selectedStep, trackList]);
+  
+  /**
+   * Keep the keyboard-selected step on the visible page
+   */
+  useEffect(() => {
+    setPage(Math.floor(selectedStep.col / defaults.stepsPerPage));
+  }, [selectedStep.col]);
+  
+  // Everything the shared link encodes
+  const shareState = { tracks: trackList, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams };
+  
+  // While the address holds a link that could not be opened, the beat that
+  // was on screen then. The link is left alone until that beat is edited,
+  // so it can still be copied and reported
+  const heldLinkRef = useRef(sharedLink.error ? shareState : null);
+  
+  /**
+   * Keep the URL hash encoding the beat, so the address can be shared
+   * Rewritten once edits settle, without adding browser history entries
+   */
+  useEffect(() => {
+    const held = heldLinkRef.current;
+    if (held && Object.keys(held).every(key => held[key] === shareState[key])) return;
+    heldLinkRef.current = null;
+    
+    const timer = setTimeout(() => {
+      // A broken link pasted since the edit is kept too
+      if (heldLinkRef.current) return;
+      window.history.replaceState(null, '', `#${encodeShareHash(shareState)}`);
+    }, SHARE_UPDATE_DELAY);
+    return () => clearTimeout(timer);
+  }, [trackList, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams]);
+  
+  /**
+   * Open a link pasted into the address bar of an open tab
+   * Links that can't be opened are reported and leave the beat as it is
+   */
+  useEffect(() => {
+    const handleHashChange = () => {
+      let beat;
+      try {
+        beat = decodeShareHash(window.location.hash);
+      } catch (error) {
+        heldLinkRef.current = shareState;
+        setErrorDialog({
+          title: 'Shared Link',
+          message: 'Could not open the beat in this link. The current beat is kept.',
+          details: error instanceof ShareUrlError && error.problems.length ? error.problems : [error.message]
+        });
+        return;
+      }
+      if (beat) {
+        applyProject(beat);
+      }
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applyProject, trackList, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams]);
+  
   /**
    * Update current step from audio engine
    * Uses requestAnimationFrame for smooth UI updates
@@ -141,7 +1406,9 @@ function App() {
     let animationId;
     const updateStep = () => {
       if (audioEngineRef.current) {
-        setCurrentStep(audioEngineRef.current.currentStep);
+        const playhead = audioEngineRef.current.getPlayhead();
+        setCurrentTick(playhead.tick);
+        setSongIndex(playhead.index);
       }
       animationId = requestAnimationFrame(updateStep);
     };
@@ -149,18 +1416,35 @@ function App() {
     animationId = requestAnimationFrame(updateStep);
     return () => cancelAnimationFrame(animationId);
   }, [isPlaying]);
-
+  
   /**
    * Keyboard shortcuts handler
    * Space: Play/Stop
    * C: Clear pattern
    * Arrow keys: Navigate grid
    * Enter: Toggle selected step
+   * V: Cycle velocity of selected step
+   * L: Edit the parameter locks of selected step
+   * A, S, D, F...: Play the tracks in order (recorded when armed; Shift = accent)
+   * Ctrl+Z / Ctrl+Shift+Z: Undo / redo (Cmd on macOS)
    */
   useEffect(() => {
+    // Last step index of a row, so navigation respects each track's length
+    const lastStep = (row) => pattern[trackList[row].id].length - 1;
+    
     const handleKeyDown = (e) => {
-      // Don't trigger shortcuts when typing in inputs
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') {
+      // Don't trigger shortcuts when typing in inputs or while a dialog is open
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || modalOpen) {
+        return;
+      }
+      
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+          handleRedo();
+        } else {
+          handleUndo();
+        }
         return;
       }
       
@@ -180,18 +1464,18 @@ function App() {
           
         case 'ArrowUp':
           e.preventDefault();
-          setSelectedStep(prev => ({
-            ...prev,
-            row: Math.max(0, prev.row - 1)
-          }));
+          setSelectedStep(prev => {
+            const row = Math.max(0, prev.row - 1);
+            return { row, col: Math.min(lastStep(row), prev.col) };
+          });
           break;
           
         case 'ArrowDown':
           e.preventDefault();
-          setSelectedStep(prev => ({
-            ...prev,
-            row: Math.min(3, prev.row + 1)
-          }));
+          setSelectedStep(prev => {
+            const row = Math.min(trackList.length - 1, prev.row + 1);
+            return { row, col: Math.min(lastStep(row), prev.col) };
+          });
           break;
           
         case 'ArrowLeft':
@@ -206,27 +1490,53 @@ function App() {
           e.preventDefault();
           setSelectedStep(prev => ({
             ...prev,
-            col: Math.min(15, prev.col + 1)
+            col: Math.min(lastStep(prev.row), prev.col + 1)
           }));
           break;
           
         case 'Enter':
           e.preventDefault();
           if (selectedStep) {
-            const trackId = tracks[selectedStep.row].id;
-            handleToggleStep(trackId, selectedStep.col);
+            const trackId = trackList[selectedStep.row].id;
+            handleToggleStep(trackId, Math.min(selectedStep.col, lastStep(selectedStep.row)));
           }
           break;
           
-        default:
+        case 'v':
+        case 'V':
+          e.preventDefault();
+          if (selectedStep) {
+            const trackId = trackList[selectedStep.row].id;
+            handleCycleVelocity(trackId, Math.min(selectedStep.col, lastStep(selectedStep.row)));
+          }
           break;
+          
+        case 'l':
+        case 'L': {
+          e.preventDefault();
+          const trackId = trackList[selectedStep.row].id;
+          const step = Math.min(selectedStep.col, lastStep(selectedStep.row));
+          if (getStepVelocity(pattern[trackId][step])) {
+            handleHoldStep(trackId, step);
+          }
+          break;
+        }
+          
+        default: {
+          const row = recordKeys.indexOf(e.key.toLowerCase());
+          if (row === -1 || row >= trackList.length || !audioInitialized) break;
+          if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          playLiveHit(trackList[row].id, e.shiftKey ? 2 : 1, audioEngineRef.current.context.currentTime);
+          break;
+        }
       }
     };
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [audioInitialized, handlePlayStop, handleClear, selectedStep, handleToggleStep]);
-
+  }, [audioInitialized, handlePlayStop, handleClear, selectedStep, trackList, pattern, handleToggleStep, handleCycleVelocity, handleHoldStep, playLiveHit, handleUndo, handleRedo, modalOpen]);
+  
   /**
    * Cleanup audio engine on unmount
    */
@@ -237,7 +1547,7 @@ function App() {
       }
     };
   }, []);
-
+  
   return (
     <Window95Container title="Lo-Fi Beats.exe">
       <Controls
@@ -245,16 +1555,127 @@ function App() {
         audioInitialized={audioInitialized}
         tempo={tempo}
         onPlayStop={handlePlayStop}
+        recordArmed={recordArmed}
+        onRecordToggle={handleRecordToggle}
+        recordQuantize={recordQuantize}
+        onRecordQuantizeChange={setRecordQuantize}
+        recordMode={recordMode}
+        onRecordModeChange={setRecordMode}
         onTempoChange={handleTempoChange}
+        swing={swing}
+        onSwingChange={handleSwingChange}
+        patternLength={getPatternLength(pattern)}
+        onPatternLengthChange={handlePatternLengthChange}
         onPresetChange={handlePresetChange}
+        savedPatterns={savedPatterns}
+        onOpen={() => setDialog('open')}
+        onSaveAs={() => setDialog('save')}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        canUndo={canUndo}
+        canRedo={canRedo}
         onClear={handleClear}
         onInitAudio={initAudio}
       />
+      {audioInitialized && (
+        <LoFiControls lofi={lofi} onChange={handleLoFiChange} />
+      )}
+      {audioInitialized && (
+        <MidiControls
+          midi={midi}
+          trackList={trackList}
+          noteMap={noteMap}
+          learnTrack={learnTrack}
+          onEnable={handleEnableMidi}
+          onOutputChange={handleMidiOutputChange}
+          onClockChange={handleMidiClockChange}
+          onInputChange={handleMidiInputChange}
+          onClockSyncChange={handleMidiClockSyncChange}
+          onLearnChange={setLearnTrack}
+        />
+      )}
+      <ExportControls
+        isExporting={isExporting}
+        onExportWav={handleExportWav}
+        onExportMidi={handleExportMidi}
+        onImportMidi={handleImportMidi}
+        onExportProject={handleExportProject}
+        onImportProject={handleImportProject}
+      />
+      <SongPanel
+        banks={banks}
+        editBank={editBank}
+        playingBank={isPlaying ? playingBank : null}
+        onEditBankChange={handleEditBankChange}
+        onCopyBank={handleCopyBank}
+        song={song}
+        songMode={songMode}
+        songIndex={isPlaying ? songIndex : null}
+        onSongModeChange={handleSongModeChange}
+        onAddEntry={(bank) => updateSong(prev => addSongEntry(prev, bank))}
+        onRemoveEntry={(index) => updateSong(prev => removeSongEntry(prev, index))}
+        onUpdateEntry={(index, changes) => updateSong(prev => updateSongEntry(prev, index, changes))}
+        onMoveEntry={(index, delta) => updateSong(prev => moveSongEntry(prev, index, delta))}
+      />
       <Sequencer
-        pattern={pattern}
-        currentStep={currentStep}
+        pattern={gridPattern}
+        trackList={trackList}
+        currentTick={playingBank === editBank ? currentTick : -1}
         selectedStep={selectedStep}
+        page={page}
+        onPageChange={setPage}
         onToggleStep={handleToggleStep}
+        onCycleVelocity={handleCycleVelocity}
+        onShiftVelocity={handleShiftVelocity}
+        onShiftNudge={handleShiftNudge}
+        dragMode={dragMode}
+        onDragModeChange={setDragMode}
+        onHoldStep={handleHoldStep}
+        onTrackLengthChange={handleTrackLengthChange}
+        mixer={mixer}
+        onMixerChange={handleMixerChange}
+        onSampleDrop={handleLoadSample}
+        onAddTrack={handleAddTrack}
+        onRemoveTrack={handleRemoveTrack}
+        onMoveTrack={handleMoveTrack}
+        onRenameTrack={handleRenameTrack}
+        onEuclidean={handleOpenEuclidean}
+      />
+      
+      {selectedTrack && (
+        <StepPanel
+          trackName={selectedTrack.name}
+          stepIndex={selectedStep.col}
+          value={pattern[selectedTrack.id]?.[selectedStep.col]}
+          onChange={handleStepTriggerChange}
+        />
+      )}
+      
+      {chordTrack && (
+        <ChordPanel
+          trackName={chordTrack.name}
+          chord={panelChord}
+          editStep={chordEditStep}
+          onChordChange={handleChordChange}
+          onApplyProgression={handleApplyProgression}
+        />
+      )}
+      
+      <InstrumentPanel
+        trackList={trackList}
+        voiceParams={voiceParams}
+        onChange={handleVoiceParamChange}
+        onReset={handleVoiceParamsReset}
+        samples={samples}
+        sampleParams={sampleParams}
+        onLoadSample={handleLoadSample}
+        onSampleActiveChange={handleSampleActiveChange}
+        onSampleParamChange={handleSampleParamChange}
+        onSampleReset={handleSampleParamsReset}
+        lock={panelLock}
+        onLockChange={handleLockChange}
+        onLockClear={handleLockClear}
+        onLockEnd={() => setLockStep(null)}
       />
       
       <div style={{ 
@@ -263,8 +1684,53 @@ function App() {
         color: '#404040',
         textAlign: 'center'
       }}>
-        Shortcuts: Space = Play/Stop | C = Clear | Arrows = Navigate | Enter = Toggle
+        Shortcuts: Space = Play/Stop | C = Clear | Arrows = Navigate | Enter = Toggle | V / Shift+Click = Velocity | L / Hold = Locks | A S D F... = Play track (Shift = accent) | Ctrl+Z / Ctrl+Shift+Z = Undo / Redo
       </div>
+      
+      {dialog === 'save' && (
+        <SaveAsDialog
+          savedPatterns={savedPatterns}
+          defaultName={`Pattern ${editBank}`}
+          onSave={handleSaveAs}
+          onCancel={closeDialog}
+        />
+      )}
+      {dialog === 'open' && (
+        <OpenDialog
+          savedPatterns={savedPatterns}
+          onOpen={handleOpenSaved}
+          onRename={handleRenameSaved}
+          onDelete={handleDeleteSaved}
+          onCancel={closeDialog}
+        />
+      )}
+      {euclideanTrack && (
+        <EuclideanDialog
+          trackName={euclideanTrack.name}
+          settings={euclidean}
+          onChange={(settings) => setEuclidean(prev => ({ ...prev, ...settings }))}
+          onApply={handleApplyEuclidean}
+          onCancel={() => setEuclidean(null)}
+        />
+      )}
+      {midiImport && (
+        <MidiImportDialog
+          fileName={midiImport.fileName}
+          hits={midiImport.hits}
+          ignored={midiImport.ignored}
+          trackList={trackList}
+          onImport={handleMidiImportConfirm}
+          onCancel={() => setMidiImport(null)}
+        />
+      )}
+      {errorDialog && (
+        <ErrorDialog
+          title={errorDialog.title}
+          message={errorDialog.message}
+          details={errorDialog.details}
+          onClose={() => setErrorDialog(null)}
+        />
+      )}
     </Window95Container>
   );
 }
@@ -9,8 +9,51 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 
 // Audio module imports
 import { AudioEngine } from './audio/AudioEngine.js';
-import { Scheduler, calculateSixteenthNoteTime } from './audio/Scheduler.js';
-import { createNoiseBuffer, createKick, createSnare, createHiHat, createChord } from './audio/SoundGenerator.js';
+import {
+  Scheduler,
+  calculateSixteenthNoteTime,
+  calculateSwingOffset,
+  quantizePosition
+} from './audio/Scheduler.js';
+import {
+  createNoiseBuffer,
+  createKick,
+  createSnare,
+  createHiHat,
+  createChord,
+  createSample,
+  voiceParameters,
+  getDefaultVoiceParams,
+  createVoiceParams
+} from './audio/SoundGenerator.js';
+import { encodeWav, floatToPcm } from './audio/WavEncoder.js';
+import { crushBlock } from './audio/worklets/bitcrusher-processor.js';
+import { getRenderEvents, getRenderDuration, renderPattern } from './audio/OfflineRenderer.js';
+import { instruments, getInstrument, registerInstrument } from './audio/instruments.js';
+import {
+  encodeVariableLength,
+  encodeTrack,
+  encodeMidiFile,
+  noteOn,
+  noteOff,
+  tempoEvent,
+  timeSignatureEvent,
+  trackNameEvent
+} from './audio/MidiEncoder.js';
+import { getMidiTracks, exportPatternToMidi } from './audio/MidiExport.js';
+import { parseMidiFile, MidiFileError } from './audio/MidiDecoder.js';
+import { getMidiDrumHits, getMidiBar, getMidiBarCount, applyMidiBar } from './audio/MidiImport.js';
+import { MidiOutput, requestMidiAccess, midiMessages, CLOCKS_PER_STEP } from './audio/MidiOutput.js';
+import {
+  parseMidiMessage,
+  getNoteName,
+  createNoteMap,
+  conformNoteMap,
+  learnNote,
+  getTrackNote,
+  ClockFollower,
+  CLOCKS_PER_QUARTER
+} from './audio/MidiInput.js';
 
 // Constants imports
 import { 
@@ -23,8 +66,92 @@ import {
   defaults,
   clonePattern,
   toggleStep,
-  clearPattern
+  clearPattern,
+  velocityLevels,
+  getVelocityGain,
+  cycleVelocity,
+  shiftVelocity,
+  shiftNudge,
+  formatNudge,
+  setStepLock,
+  euclideanRhythm,
+  applyEuclidean,
+  getPatternLength,
+  setTrackLength,
+  setPatternLength,
+  createMixer,
+  isTrackAudible,
+  getStepVelocity,
+  getStepData,
+  setStepData,
+  createTrack,
+  moveTrack,
+  renameTrack,
+  addPatternTrack,
+  removePatternTrack,
+  applyPreset,
+  conformPattern,
+  getVelocityFromMidi,
+  setStepVelocity,
+  recordStep,
+  clearTrack,
+  isPatternEmpty,
+  isSamePattern,
+  stepConditions,
+  isConditionMet,
+  isStepTriggered,
+  getStepTriggerLabel,
+  getRatchetOffsets
 } from './utils/constants.js';
+import {
+  bankNames,
+  createBanks,
+  mapBanks,
+  getSongLength,
+  getSongPosition,
+  updateSongEntry,
+  removeSongEntry,
+  moveSongEntry
+} from './utils/song.js';
+import {
+  listPatterns,
+  getSavedPattern,
+  savePattern,
+  renamePattern,
+  deletePattern,
+  loadSavedEntry
+} from './utils/patternLibrary.js';
+import {
+  createHistory,
+  recordHistory,
+  recordEdit,
+  endGesture,
+  undoHistory,
+  redoHistory,
+  HISTORY_LIMIT
+} from './utils/history.js';
+import {
+  createProject,
+  serializeProject,
+  parseProject,
+  ProjectFileError,
+  PROJECT_FORMAT,
+  PROJECT_VERSION
+} from './utils/project.js';
+import { encodeShareHash, decodeShareHash, ShareUrlError } from './utils/shareUrl.js';
+import { createRandom } from './utils/random.js';
+import {
+  defaultChord,
+  getChordName,
+  getChordNotes,
+  getChordFrequencies,
+  applyProgression
+} from './utils/chords.js';
+
+// Component imports
+import { render, fireEvent } from '@testing-library/react';
+import StepButton from './components/StepButton.jsx';
+import App from './App.jsx';
 
 // ============================================================================
 // AUDIO LOGIC TESTS
@@ -314,3 +441,2177 @@ describe('Sound Generator', () => {
     expect(presets).toHaveProperty('jazz');
   });
 });
+
+// ============================================================================
+// SWING TESTS
+// ============================================================================
+
+describe('Swing', () => {
+  it('31. Swing offset is zero for straight timing and on-beat steps', () => {
+    expect(calculateSwingOffset(1, 120, 50)).toBe(0);
+    expect(calculateSwingOffset(0, 120, 75)).toBe(0);
+    expect(calculateSwingOffset(4, 120, 75)).toBe(0);
+  });
+
+  it('32. Swing offset delays off-beat 16ths', () => {
+    // 75% swing at 120 BPM: off-beat lands 3/4 through the 8th pair
+    expect(calculateSwingOffset(1, 120, 75)).toBeCloseTo(0.0625, 6);
+    expect(calculateSwingOffset(3, 120, 60)).toBeCloseTo(0.025, 6);
+  });
+
+  it('33. Scheduler shifts scheduled times of off-beat steps by swing', () => {
+    const mockContext = { currentTime: 0 };
+    const onSchedule = vi.fn();
+    const scheduler = new Scheduler({
+      audioContext: mockContext,
+      onStep: vi.fn(),
+      onSchedule,
+      tempo: 120,
+      swing: 75
+    });
+
+    scheduler.nextNoteTime = 0;
+    scheduler.scheduleAheadTime = 0.5; // Enough for steps 0-3
+    scheduler.scheduler();
+
+    const times = onSchedule.mock.calls.map(([, time]) => time);
+    expect(times[0]).toBeCloseTo(0, 6);
+    expect(times[1]).toBeCloseTo(0.125 + 0.0625, 6);
+    expect(times[2]).toBeCloseTo(0.25, 6);
+    expect(times[3]).toBeCloseTo(0.375 + 0.0625, 6);
+  });
+
+  it('34. Swing does not drift the straight grid', () => {
+    const mockContext = { currentTime: 0 };
+    const scheduler = new Scheduler({
+      audioContext: mockContext,
+      onStep: vi.fn(),
+      onSchedule: vi.fn(),
+      tempo: 120,
+      swing: 70
+    });
+
+    for (let i = 0; i < 16; i++) {
+      scheduler.nextNote();
+    }
+    expect(scheduler.nextNoteTime).toBeCloseTo(2, 6); // One bar at 120 BPM
+  });
+
+  it('35. setSwing clamps to the 50-75% range', () => {
+    const engine = new AudioEngine();
+    engine.setSwing(90);
+    expect(engine.swing).toBe(75);
+    engine.setSwing(10);
+    expect(engine.swing).toBe(50);
+    expect(defaults.swing).toBe(50);
+  });
+});
+
+// ============================================================================
+// VELOCITY TESTS
+// ============================================================================
+
+describe('Velocity', () => {
+  it('36. Normal velocity keeps the original gain, off is silent', () => {
+    expect(getVelocityGain(0)).toBe(0);
+    expect(getVelocityGain(1)).toBe(1);
+    expect(getVelocityGain(2)).toBeGreaterThan(1);
+    expect(getVelocityGain(3)).toBeLessThan(1);
+    expect(velocityLevels[3].midi).toBeLessThan(velocityLevels[1].midi);
+  });
+
+  it('37. cycleVelocity cycles normal -> accent -> soft -> normal', () => {
+    let pattern = clonePattern(initialPattern);
+    pattern = cycleVelocity(pattern, 'hihat', 2);
+    expect(pattern.hihat[2]).toBe(1);
+    pattern = cycleVelocity(pattern, 'hihat', 2);
+    expect(pattern.hihat[2]).toBe(2);
+    pattern = cycleVelocity(pattern, 'hihat', 2);
+    expect(pattern.hihat[2]).toBe(3);
+    pattern = cycleVelocity(pattern, 'hihat', 2);
+    expect(pattern.hihat[2]).toBe(1);
+  });
+
+  it('38. shiftVelocity moves by loudness and clamps', () => {
+    const pattern = clonePattern(loFiPreset);
+    const louder = shiftVelocity(pattern, 'kick', 0, 1);
+    expect(louder.kick[0]).toBe(2);
+    expect(shiftVelocity(louder, 'kick', 0, 5).kick[0]).toBe(2);
+    expect(shiftVelocity(pattern, 'kick', 0, -3).kick[0]).toBe(3);
+    // Inactive steps are not switched on by dragging
+    expect(shiftVelocity(pattern, 'kick', 1, 1)).toBe(pattern);
+  });
+
+  it('39. scheduleStepSounds scales generator gain by velocity', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = 3;
+    engine.setPattern(pattern);
+
+    const createGain = vi.spyOn(engine.context, 'createGain');
+    engine.scheduleStepSounds(0, 1);
+
+    const envelope = createGain.mock.results[0].value.gain.setValueAtTime;
+    expect(envelope).toHaveBeenCalledWith(velocityLevels[3].gain, 1);
+    engine.destroy();
+  });
+
+  it('149. A step dragged off and released still takes the next click', () => {
+    const onClick = vi.fn();
+    const onShiftVelocity = vi.fn();
+    const { getByRole } = render(
+      <StepButton isActive velocity={1} onClick={onClick} onShiftVelocity={onShiftVelocity} trackId="kick" stepIndex={0} />
+    );
+    const button = getByRole('button');
+
+    // The click that ends a drag is swallowed
+    fireEvent.pointerDown(button, { clientY: 100 });
+    fireEvent.pointerMove(button, { clientY: 70 });
+    fireEvent.pointerLeave(button);
+    fireEvent.pointerUp(button);
+    fireEvent.click(button);
+    expect(onShiftVelocity).toHaveBeenCalledWith(2);
+    expect(onClick).not.toHaveBeenCalled();
+    fireEvent.click(button);
+    expect(onClick).toHaveBeenCalledTimes(1);
+
+    // A cancelled drag has no click to swallow
+    fireEvent.pointerDown(button, { clientY: 100 });
+    fireEvent.pointerMove(button, { clientY: 70 });
+    fireEvent.pointerLeave(button);
+    fireEvent.pointerCancel(button);
+    fireEvent.click(button);
+    expect(onClick).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ============================================================================
+// PATTERN LENGTH & POLYMETER TESTS
+// ============================================================================
+
+describe('Pattern Length', () => {
+  it('40. setTrackLength pads with silence and truncates', () => {
+    const longer = setTrackLength(loFiPreset, 'hihat', 20);
+    expect(longer.hihat).toHaveLength(20);
+    expect(longer.hihat.slice(16).every(v => v === 0)).toBe(true);
+    expect(longer.kick).toHaveLength(16);
+
+    const shorter = setTrackLength(loFiPreset, 'hihat', 12);
+    expect(shorter.hihat).toEqual(loFiPreset.hihat.slice(0, 12));
+  });
+
+  it('41. Track lengths clamp to 1-64 steps', () => {
+    expect(setTrackLength(initialPattern, 'kick', 0).kick).toHaveLength(1);
+    expect(setTrackLength(initialPattern, 'kick', 100).kick).toHaveLength(64);
+  });
+
+  it('42. Pattern length is the longest track', () => {
+    const pattern = setTrackLength(setPatternLength(initialPattern, 32), 'hihat', 12);
+    expect(getPatternLength(pattern)).toBe(32);
+    expect(pattern.snare).toHaveLength(32);
+    expect(pattern.hihat).toHaveLength(12);
+  });
+
+  it('43. Scheduler wraps at its pattern length but keeps counting ticks', () => {
+    const scheduler = new Scheduler({
+      audioContext: { currentTime: 0 },
+      onStep: vi.fn(),
+      onSchedule: vi.fn(),
+      tempo: 120,
+      steps: 12
+    });
+
+    for (let i = 0; i < 14; i++) {
+      scheduler.nextNote();
+    }
+    expect(scheduler.currentStep).toBe(2);
+    expect(scheduler.tick).toBe(14);
+
+    scheduler.reset();
+    expect(scheduler.tick).toBe(0);
+  });
+
+  it('44. Each track loops over its own length (polymeter)', () => {
+    const engine = new AudioEngine();
+    engine.context = new AudioContext();
+    engine.masterGain = engine.context.createGain();
+
+    // 3-step hat against a 4-step kick
+    engine.setPattern({ kick: [1, 0, 0, 0], snare: [0], hihat: [1, 0, 0], chord: [0] });
+    expect(engine.getStepValue('hihat', 3)).toBe(1);
+    expect(engine.getStepValue('kick', 3)).toBe(0);
+    expect(engine.getStepValue('kick', 4)).toBe(1);
+    expect(engine.getStepValue('hihat', 4)).toBe(0);
+  });
+});
+
+// ============================================================================
+// WAV EXPORT TESTS
+// ============================================================================
+
+/**
+ * Reads a four-character chunk ID from a DataView
+ */
+function readChunkId(view, offset) {
+  return String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+}
+
+describe('WAV Export', () => {
+  it('45. encodeWav writes a correct 16-bit RIFF header', () => {
+    const left = new Float32Array([0, 0.5, -0.5]);
+    const right = new Float32Array([1, -1, 0]);
+    const view = new DataView(encodeWav([left, right], 44100, 16));
+
+    expect(view.byteLength).toBe(44 + 3 * 2 * 2);
+    expect(readChunkId(view, 0)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+    expect(readChunkId(view, 8)).toBe('WAVE');
+    expect(readChunkId(view, 12)).toBe('fmt ');
+    expect(view.getUint32(16, true)).toBe(16);
+    expect(view.getUint16(20, true)).toBe(1); // PCM
+    expect(view.getUint16(22, true)).toBe(2); // Stereo
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(28, true)).toBe(44100 * 4); // Byte rate
+    expect(view.getUint16(32, true)).toBe(4); // Block align
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(readChunkId(view, 36)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(12);
+  });
+
+  it('46. encodeWav interleaves and scales 16-bit samples', () => {
+    const left = new Float32Array([0, 0.5]);
+    const right = new Float32Array([1, -1]);
+    const view = new DataView(encodeWav([left, right], 44100, 16));
+
+    expect(view.getInt16(44, true)).toBe(0);
+    expect(view.getInt16(46, true)).toBe(32767);
+    expect(view.getInt16(48, true)).toBe(16384);
+    expect(view.getInt16(50, true)).toBe(-32768);
+  });
+
+  it('47. encodeWav writes 24-bit little-endian samples', () => {
+    const view = new DataView(encodeWav([new Float32Array([-1, 1])], 48000, 24));
+
+    expect(view.getUint16(34, true)).toBe(24);
+    expect(view.getUint16(32, true)).toBe(3);
+    expect(view.getUint32(40, true)).toBe(6);
+    // -1 -> 0x800000, 1 -> 0x7FFFFF
+    expect([view.getUint8(44), view.getUint8(45), view.getUint8(46)]).toEqual([0x00, 0x00, 0x80]);
+    expect([view.getUint8(47), view.getUint8(48), view.getUint8(49)]).toEqual([0xff, 0xff, 0x7f]);
+  });
+
+  it('48. floatToPcm clips out-of-range samples', () => {
+    expect(floatToPcm(2, 16)).toBe(32767);
+    expect(floatToPcm(-2, 16)).toBe(-32768);
+    expect(() => encodeWav([new Float32Array(1)], 44100, 8)).toThrow();
+  });
+
+  it('49. Offline render events follow tempo, swing and bar count', () => {
+    const events = getRenderEvents({ pattern: loFiPreset, tempo: 120, swing: 75, bars: 2 });
+
+    expect(events).toHaveLength(32);
+    expect(events[16]).toMatchObject({ step: 0, tick: 16 });
+    expect(events[16].time).toBeCloseTo(2, 6);
+    expect(events[1].time).toBeCloseTo(0.125 + 0.0625, 6);
+    expect(getRenderDuration({ pattern: loFiPreset, tempo: 120, bars: 2 })).toBeCloseTo(5, 6);
+  });
+
+  it('50. renderPattern schedules every step into an OfflineAudioContext', async () => {
+    const scheduleSpy = vi.spyOn(AudioEngine.prototype, 'scheduleStepSounds');
+    const buffer = await renderPattern({
+      pattern: loFiPreset,
+      tempo: 120,
+      bars: 1,
+      sampleRate: 8000,
+      OfflineContext: OfflineAudioContext
+    });
+
+    expect(scheduleSpy).toHaveBeenCalledTimes(16);
+    expect(buffer.numberOfChannels).toBe(2);
+    expect(buffer.length).toBe(Math.ceil(3 * 8000));
+    scheduleSpy.mockRestore();
+  });
+});
+
+// ============================================================================
+// LO-FI BITCRUSHER TESTS
+// ============================================================================
+
+describe('Lo-Fi Bitcrusher', () => {
+  it('51. crushBlock quantizes to the requested bit depth', () => {
+    const input = new Float32Array([0.3, -0.3, 0.9]);
+    const output = new Float32Array(3);
+    crushBlock(input, output, { phase: 1, held: 0 }, 2, 1);
+
+    // 2 bits: steps of 0.5
+    expect(Array.from(output)).toEqual([0.5, -0.5, 1]);
+  });
+
+  it('52. crushBlock holds samples to reduce the sample rate', () => {
+    const input = new Float32Array([0.1, 0.2, 0.3, 0.4, 0.5, 0.6]);
+    const output = new Float32Array(6);
+    const state = { phase: 1, held: 0 };
+    crushBlock(input, output, state, 16, 0.5);
+
+    expect(output[0]).toBeCloseTo(0.1, 3);
+    expect(output[1]).toBeCloseTo(0.1, 3);
+    expect(output[2]).toBeCloseTo(0.3, 3);
+    expect(output[3]).toBeCloseTo(0.3, 3);
+    expect(output[4]).toBeCloseTo(0.5, 3);
+  });
+
+  it('53. Engine falls back to ScriptProcessor without AudioWorklet', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+
+    expect(engine.crusherType).toBe('script');
+    engine.setCrushBits(4);
+    engine.setCrushRate(0.25);
+    expect(engine.crusher.settings).toEqual({ bits: 4, rate: 0.25 });
+
+    engine.setCrushMix(0.75);
+    expect(engine.crusherWet.gain.value).toBe(0.75);
+    expect(engine.crusherDry.gain.value).toBe(0.25);
+    engine.destroy();
+  });
+
+  it('54. Engine uses the AudioWorklet bitcrusher when available', async () => {
+    const setValueAtTime = vi.fn();
+    global.AudioWorkletNode = class {
+      constructor(context, name, options) {
+        this.name = name;
+        this.options = options;
+        this.parameters = new Map([['bits', { setValueAtTime }], ['rate', { setValueAtTime }]]);
+        this.connect = vi.fn();
+      }
+    };
+    const context = new AudioContext();
+    context.audioWorklet = { addModule: vi.fn().mockResolvedValue() };
+
+    const engine = new AudioEngine({ context });
+    await engine.init();
+
+    expect(context.audioWorklet.addModule).toHaveBeenCalled();
+    expect(engine.crusherType).toBe('worklet');
+    expect(engine.crusher.name).toBe('bitcrusher');
+    engine.setCrushBits(6);
+    expect(setValueAtTime).toHaveBeenCalledWith(6, 0);
+
+    delete global.AudioWorkletNode;
+    engine.destroy();
+  });
+
+  it('55. Chain stays dry when no bitcrusher can be created', async () => {
+    const context = new AudioContext();
+    context.createScriptProcessor = undefined;
+    const engine = new AudioEngine({ context });
+    await engine.init();
+
+    engine.setCrushMix(1);
+    expect(engine.crusherType).toBe('none');
+    expect(engine.crusherDry.gain.value).toBe(1);
+    expect(engine.crusherWet.gain.value).toBe(0);
+    engine.destroy();
+  });
+});
+
+// ============================================================================
+// MIXER TESTS
+// ============================================================================
+
+describe('Mixer', () => {
+  it('56. createMixer has a default channel per track', () => {
+    const mixer = createMixer();
+    tracks.forEach(track => {
+      expect(mixer[track.id]).toEqual({ volume: 1, pan: 0, mute: false, solo: false });
+    });
+  });
+
+  it('57. Solo overrides mute and silences other tracks', () => {
+    const mixer = createMixer();
+    mixer.kick.mute = true;
+    expect(isTrackAudible(mixer, 'kick')).toBe(false);
+    expect(isTrackAudible(mixer, 'snare')).toBe(true);
+
+    mixer.hihat.solo = true;
+    expect(isTrackAudible(mixer, 'hihat')).toBe(true);
+    expect(isTrackAudible(mixer, 'snare')).toBe(false);
+  });
+
+  it('58. Engine routes each track through its own gain and panner', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+
+    engine.setTrackVolume('snare', 0.4);
+    engine.setTrackPan('snare', -2);
+    expect(engine.channels.snare.gain.gain.value).toBe(0.4);
+    expect(engine.channels.snare.panner.pan.value).toBe(-1);
+    expect(engine.channels.snare.panner.connect).toHaveBeenCalledWith(engine.masterGain);
+    expect(engine.getTrackOutput('snare')).toBe(engine.channels.snare.gain);
+    engine.destroy();
+  });
+
+  it('59. Muted tracks are skipped on the next scheduled step', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setPattern(clonePattern(loFiPreset));
+
+    const createOscillator = vi.spyOn(engine.context, 'createOscillator');
+    engine.setTrackMute('kick', true);
+    engine.setTrackMute('chord', true);
+    engine.scheduleStepSounds(0, 0);
+    expect(createOscillator).not.toHaveBeenCalled();
+
+    engine.setTrackSolo('kick', true);
+    engine.scheduleStepSounds(0, 0);
+    expect(createOscillator).toHaveBeenCalledTimes(1); // Solo beats mute
+    engine.destroy();
+  });
+});
+
+// ============================================================================
+// CHORD TESTS
+// ============================================================================
+
+describe('Chords', () => {
+  it('60. Default chord reproduces the original Dm7 voicing', () => {
+    const frequencies = getChordFrequencies(defaultChord);
+    expect(frequencies[0]).toBeCloseTo(293.66, 1);
+    expect(frequencies[1]).toBeCloseTo(349.23, 1);
+    expect(frequencies[2]).toBeCloseTo(523.25, 1);
+    expect(getChordName(defaultChord)).toBe('Dm7');
+  });
+
+  it('61. Inversions move the lowest notes up an octave', () => {
+    const root = getChordNotes({ root: 0, quality: 'maj9', inversion: 0 });
+    const second = getChordNotes({ root: 0, quality: 'maj9', inversion: 2 });
+    expect(root).toEqual([60, 64, 71, 74]);
+    expect(second).toEqual([71, 72, 74, 76]);
+    expect(getChordName({ root: 7, quality: '9', inversion: 1 })).toBe('G9/1');
+  });
+
+  it('62. setStepData stores a chord per step and keeps velocity', () => {
+    const chord = { root: 7, quality: '7', inversion: 0 };
+    const pattern = setStepData(cycleVelocity(clonePattern(initialPattern), 'chord', 4), 'chord', 4, { chord });
+
+    expect(getStepVelocity(pattern.chord[4])).toBe(1);
+    expect(getStepData(pattern.chord[4]).chord).toEqual(chord);
+
+    // Velocity edits keep the chord; toggling off drops it
+    const accented = cycleVelocity(pattern, 'chord', 4);
+    expect(getStepVelocity(accented.chord[4])).toBe(2);
+    expect(getStepData(accented.chord[4]).chord).toEqual(chord);
+    expect(toggleStep(accented, 'chord', 4).chord[4]).toBe(0);
+  });
+
+  it('63. Removing all step data collapses back to a plain velocity', () => {
+    const withChord = setStepData(clonePattern(initialPattern), 'chord', 0, { chord: defaultChord });
+    const plain = setStepData(withChord, 'chord', 0, { chord: undefined });
+    expect(plain.chord[0]).toBe(1);
+  });
+
+  it('64. applyProgression fills each segment with its chord', () => {
+    const pattern = applyProgression(clonePattern(loFiPreset), 'ii-V-I', 0);
+
+    // Existing hits on steps 0 and 8 take ii and I; empty segments get a hit
+    expect(getStepData(pattern.chord[0]).chord).toMatchObject({ root: 2, quality: 'm9' });
+    expect(getStepData(pattern.chord[4]).chord).toMatchObject({ root: 7, quality: '9' });
+    expect(getStepData(pattern.chord[8]).chord).toMatchObject({ root: 0, quality: 'maj7' });
+    expect(getStepData(pattern.chord[12]).chord).toMatchObject({ root: 0, quality: 'maj9' });
+    expect(pattern.kick).toEqual(loFiPreset.kick);
+  });
+
+  it('65. scheduleStepSounds plays the chord stored on the step', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    const chord = { root: 0, quality: 'maj9', inversion: 0 };
+    engine.setPattern(setStepData(clonePattern(initialPattern), 'chord', 0, { chord }));
+
+    const createOscillator = vi.spyOn(engine.context, 'createOscillator');
+    engine.scheduleStepSounds(0, 0);
+
+    const frequencies = createOscillator.mock.results.map(r => r.value.frequency.value);
+    expect(frequencies).toEqual(getChordFrequencies(chord));
+    engine.destroy();
+  });
+});
+
+// ============================================================================
+// VOICE PARAMETER TESTS
+// ============================================================================
+
+describe('Voice Parameters', () => {
+  it('66. Default parameters reproduce the original voices', () => {
+    expect(getDefaultVoiceParams('kick')).toEqual({ pitch: 150, pitchEnd: 50, decay: 0.5 });
+    expect(getDefaultVoiceParams('hihat').cutoff).toBe(7000);
+    expect(Object.keys(createVoiceParams())).toEqual(tracks.map(t => t.id));
+
+    // Every default sits inside its slider range
+    Object.values(voiceParameters).flat().forEach(param => {
+      expect(param.default).toBeGreaterThanOrEqual(param.min);
+      expect(param.default).toBeLessThanOrEqual(param.max);
+    });
+  });
+
+  it('67. Generators use the parameters they are given', () => {
+    const context = new AudioContext();
+    const createOscillator = vi.spyOn(context, 'createOscillator');
+    const createBiquadFilter = vi.spyOn(context, 'createBiquadFilter');
+
+    createKick(context, 0, context.destination, 1, { pitch: 90, pitchEnd: 40, decay: 0.8 });
+    const kickOsc = createOscillator.mock.results[0].value;
+    expect(kickOsc.frequency.setValueAtTime).toHaveBeenCalledWith(90, 0);
+    expect(kickOsc.frequency.exponentialRampToValueAtTime).toHaveBeenCalledWith(40, expect.any(Number));
+
+    createHiHat(context, 0, context.destination, 1, { cutoff: 9000 });
+    expect(createBiquadFilter.mock.results[0].value.frequency.value).toBe(9000);
+  });
+
+  it('68. setVoiceParam changes the sound of scheduled steps', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setPattern({ ...clonePattern(initialPattern), kick: [1] });
+    engine.setVoiceParam('kick', 'pitch', 120);
+    expect(engine.voiceParams.kick.decay).toBe(0.5);
+
+    const createOscillator = vi.spyOn(engine.context, 'createOscillator');
+    engine.scheduleStepSounds(0, 0);
+    expect(createOscillator.mock.results[0].value.frequency.setValueAtTime).toHaveBeenCalledWith(120, 0);
+    engine.destroy();
+  });
+});
+
+// ============================================================================
+// SAMPLE TRACK TESTS
+// ============================================================================
+
+describe('Sample Tracks', () => {
+  it('69. createSample applies start offset, pitch and decay', () => {
+    const context = new AudioContext();
+    const createBufferSource = vi.spyOn(context, 'createBufferSource');
+    const buffer = context.createBuffer(1, 88200, 44100); // 2 seconds
+
+    createSample(context, 1, context.destination, 1, buffer, { start: 0.25, pitch: 12, decay: 0.5 });
+    const source = createBufferSource.mock.results[0].value;
+
+    expect(source.buffer).toBe(buffer);
+    expect(source.playbackRate.value).toBeCloseTo(2, 5); // One octave up
+    expect(source.start).toHaveBeenCalledWith(1, 0.5);
+    expect(source.stop).toHaveBeenCalledWith(1.5);
+  });
+
+  it('70. loadSample decodes and caches the buffer on the engine', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    const decode = vi.spyOn(engine.context, 'decodeAudioData');
+
+    const buffer = await engine.loadSample('snare', new ArrayBuffer(8), 'break.wav');
+    expect(decode).toHaveBeenCalledTimes(1);
+    expect(engine.samples.snare).toEqual({ buffer, name: 'break.wav', active: true });
+
+    await expect(engine.loadSample('kick', new ArrayBuffer(0), 'empty.wav')).rejects.toThrow();
+    expect(engine.samples.kick).toBeUndefined();
+    engine.destroy();
+  });
+
+  it('71. An active sample replaces the synth voice and can be switched off', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setPattern({ kick: [1], snare: [0], hihat: [0], chord: [0] });
+    await engine.loadSample('kick', new ArrayBuffer(8), 'kick.wav');
+
+    const createOscillator = vi.spyOn(engine.context, 'createOscillator');
+    const createBufferSource = vi.spyOn(engine.context, 'createBufferSource');
+    engine.scheduleStepSounds(0, 0);
+    expect(createBufferSource).toHaveBeenCalledTimes(1);
+    expect(createOscillator).not.toHaveBeenCalled();
+
+    engine.setSampleActive('kick', false);
+    engine.scheduleStepSounds(0, 0);
+    expect(createOscillator).toHaveBeenCalledTimes(1);
+    expect(createBufferSource).toHaveBeenCalledTimes(1);
+    engine.destroy();
+  });
+});
+
+// ============================================================================
+// TRACK LIST TESTS
+// ============================================================================
+
+describe('Track List', () => {
+  it('72. Every default track names a registered instrument', () => {
+    tracks.forEach(track => {
+      expect(getInstrument(track.instrument)).not.toBeNull();
+    });
+    expect(getInstrument('chord').chords).toBe(true);
+    expect(getInstrument('cowbell')).toBeNull();
+  });
+
+  it('73. createTrack picks a unique ID and name', () => {
+    const track = createTrack(tracks, 'kick', 'KICK');
+    expect(track).toMatchObject({ id: 'kick-2', name: 'KICK 2', instrument: 'kick' });
+    expect(createTrack([...tracks, track], 'kick', 'KICK').id).toBe('kick-3');
+  });
+
+  it('74. moveTrack and renameTrack return new lists', () => {
+    const moved = moveTrack(tracks, 'chord', -1);
+    expect(moved.map(t => t.id)).toEqual(['kick', 'snare', 'chord', 'hihat']);
+    expect(moveTrack(tracks, 'kick', -1)).toBe(tracks);
+
+    const renamed = renameTrack(tracks, 'snare', ' RIM ');
+    expect(renamed[1].name).toBe('RIM');
+    expect(tracks[1].name).toBe('SNARE');
+    expect(renameTrack(tracks, 'snare', '  ')).toBe(tracks);
+  });
+
+  it('75. Pattern helpers work with any set of tracks', () => {
+    const added = addPatternTrack(setTrackLength(clonePattern(initialPattern), 'kick', 32), 'kick-2');
+    expect(added['kick-2']).toHaveLength(32);
+    expect(clonePattern(added)).toEqual(added);
+    expect(toggleStep(added, 'kick-2', 3)['kick-2'][3]).toBe(1);
+
+    const removed = removePatternTrack(added, 'hihat');
+    expect(Object.keys(removed)).toEqual(['kick', 'snare', 'chord', 'kick-2']);
+
+    // Presets fill matching tracks and clear the rest
+    const loaded = applyPreset(removed, loFiPreset);
+    expect(loaded.kick).toEqual(loFiPreset.kick);
+    expect(loaded['kick-2']).toEqual(new Array(16).fill(0));
+    expect(loaded.hihat).toBeUndefined();
+  });
+
+  it('76. applyProgression can fill any chord track', () => {
+    const pattern = addPatternTrack(clonePattern(initialPattern), 'chord-2');
+    const filled = applyProgression(pattern, 'ii-V-I', 0, 'chord-2');
+    expect(getStepData(filled['chord-2'][0]).chord).toMatchObject({ root: 2, quality: 'm9' });
+    expect(filled.chord).toEqual(initialPattern.chord);
+  });
+
+  it('77. The engine plays each track through its registered instrument', async () => {
+    const play = vi.fn();
+    registerInstrument('test-click', { name: 'Click', play });
+    const engine = new AudioEngine();
+    const trackList = [...tracks, { id: 'click', name: 'CLICK', instrument: 'test-click' }];
+    engine.setTracks(trackList);
+    await engine.init();
+    engine.setPattern(addPatternTrack(clonePattern(initialPattern), 'click'));
+    engine.setPattern(toggleStep(engine.pattern, 'click', 0));
+
+    engine.scheduleStepSounds(0, 0.5);
+    expect(play).toHaveBeenCalledTimes(1);
+    expect(play.mock.calls[0][1]).toBe(0.5);
+    expect(play.mock.calls[0][2]).toBe(engine.getTrackOutput('click'));
+    expect(engine.channels.click).toBeDefined();
+
+    // Removing the track tears down its channel strip
+    engine.setTracks(tracks);
+    expect(engine.channels.click).toBeUndefined();
+    delete instruments['test-click'];
+    delete voiceParameters['test-click'];
+    engine.destroy();
+  });
+
+  it('152. A removed track leaves no settings in the exported project', async () => {
+    const createObjectURL = vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:project');
+    const { getByText, getAllByTitle, findByText } = render(<App />);
+    fireEvent.click(getByText(/Initialize Audio/));
+    fireEvent.click(getAllByTitle('Remove track')[0]);
+    fireEvent.click(await findByText(/Export Project/));
+
+    const text = await createObjectURL.mock.calls[0][0].text();
+    const file = JSON.parse(text);
+    expect(file.tracks.map(track => track.id)).toEqual(['snare', 'hihat', 'chord']);
+    expect(Object.keys(file.mixer)).toEqual(['snare', 'hihat', 'chord']);
+    expect(Object.keys(file.voiceParams)).toEqual(['snare', 'hihat', 'chord']);
+    expect(Object.keys(file.sampleParams)).toEqual(['snare', 'hihat', 'chord']);
+    expect(parseProject(text).tracks).toEqual(file.tracks);
+    createObjectURL.mockRestore();
+  });
+});
+
+// ============================================================================
+// SONG MODE TESTS
+// ============================================================================
+
+describe('Song Mode', () => {
+  it('78. createBanks copies the pattern into A and empties the rest', () => {
+    const banks = createBanks(setTrackLength(clonePattern(loFiPreset), 'hihat', 12));
+    expect(Object.keys(banks)).toEqual(bankNames);
+    expect(banks.A.kick).toEqual(loFiPreset.kick);
+    expect(banks.A).not.toBe(loFiPreset);
+    expect(isPatternEmpty(banks.B)).toBe(true);
+    expect(banks.B.hihat).toHaveLength(12);
+    expect(isPatternEmpty(banks.A)).toBe(false);
+
+    const withTrack = mapBanks(banks, p => addPatternTrack(p, 'kick-2'));
+    bankNames.forEach(name => expect(withTrack[name]['kick-2']).toHaveLength(16));
+  });
+
+  it('79. getSongPosition walks entries bar by bar and loops', () => {
+    const banks = createBanks(initialPattern);
+    banks.B = setPatternLength(banks.B, 8);
+    const song = [{ bank: 'A', repeats: 2 }, { bank: 'B', repeats: 1 }];
+
+    expect(getSongLength(song, banks)).toBe(40);
+    expect(getSongPosition(song, banks, 0)).toEqual({ index: 0, bank: 'A', repeat: 0, tick: 0 });
+    expect(getSongPosition(song, banks, 17)).toEqual({ index: 0, bank: 'A', repeat: 1, tick: 17 });
+    expect(getSongPosition(song, banks, 35)).toEqual({ index: 1, bank: 'B', repeat: 0, tick: 3 });
+    expect(getSongPosition(song, banks, 41)).toMatchObject({ index: 0, tick: 1 });
+  });
+
+  it('80. Song entry edits clamp repeats and keep at least one entry', () => {
+    const song = [{ bank: 'A', repeats: 1 }, { bank: 'C', repeats: 4 }];
+    expect(updateSongEntry(song, 0, { repeats: 99 })[0].repeats).toBe(16);
+    expect(updateSongEntry(song, 1, { repeats: 0 })[1].repeats).toBe(1);
+    expect(updateSongEntry(song, 1, { bank: 'H' })[1]).toEqual({ bank: 'H', repeats: 4 });
+    expect(moveSongEntry(song, 1, -1).map(e => e.bank)).toEqual(['C', 'A']);
+    expect(removeSongEntry(removeSongEntry(song, 0), 0)).toEqual([{ bank: 'C', repeats: 4 }]);
+  });
+
+  it('81. In song mode the engine plays each entry from its own bank', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    const banks = createBanks(initialPattern);
+    banks.A = toggleStep(banks.A, 'kick', 0);
+    banks.B = toggleStep(banks.B, 'snare', 0);
+    engine.setPattern(banks.A);
+    engine.setBanks(banks);
+    engine.setSong([{ bank: 'A', repeats: 1 }, { bank: 'B', repeats: 1 }]);
+
+    const createOscillator = vi.spyOn(engine.context, 'createOscillator');
+    const createBufferSource = vi.spyOn(engine.context, 'createBufferSource');
+    engine.scheduleStepSounds(0, 0, 0);
+    expect(createOscillator).toHaveBeenCalledTimes(1); // Kick from A
+    expect(createBufferSource).not.toHaveBeenCalled();
+
+    engine.scheduleStepSounds(0, 0, 16);
+    expect(createOscillator).toHaveBeenCalledTimes(2); // Snare tone from B
+    expect(createBufferSource).toHaveBeenCalledTimes(1); // Snare noise from B
+
+    engine.currentTick = 20;
+    expect(engine.getPlayhead()).toEqual({ tick: 4, index: 1 });
+    engine.setSong(null);
+    expect(engine.getPlayhead()).toEqual({ tick: 20, index: null });
+    engine.destroy();
+  });
+
+  it('82. renderPattern renders a whole song when one is given', async () => {
+    const banks = createBanks(initialPattern);
+    const song = [{ bank: 'A', repeats: 3 }, { bank: 'B', repeats: 1 }];
+    const buffer = await renderPattern({
+      pattern: banks.A,
+      tempo: 120,
+      song,
+      banks,
+      sampleRate: 8000
+    });
+    // 64 steps at 0.125s plus the 1s release tail
+    expect(buffer.length).toBe(Math.ceil((64 * 0.125 + 1) * 8000));
+    expect(getRenderEvents({ pattern: banks.A, tempo: 120, steps: 64 })).toHaveLength(64);
+  });
+});
+
+describe('Pattern Library', () => {
+  /**
+   * In-memory stand-in for localStorage
+   * @returns {Object} getItem/setItem over a Map
+   */
+  const createStorage = () => {
+    const items = new Map();
+    return {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value))
+    };
+  };
+
+  const data = {
+    pattern: clonePattern(loFiPreset),
+    tempo: 92,
+    swing: 30,
+    tracks,
+    mixer: createMixer(),
+    voiceParams: createVoiceParams(),
+    sampleParams: {}
+  };
+
+  it('83. savePattern stores entries sorted by name and replaces same-named ones', () => {
+    const storage = createStorage();
+    expect(listPatterns(storage)).toEqual([]);
+
+    const beat = savePattern('  Beat  ', data, storage);
+    savePattern('Amen', data, storage);
+    expect(listPatterns(storage).map(entry => entry.name)).toEqual(['Amen', 'Beat']);
+
+    const replaced = savePattern('Beat', { ...data, tempo: 70 }, storage);
+    expect(replaced.id).toBe(beat.id);
+    expect(listPatterns(storage)).toHaveLength(2);
+    expect(getSavedPattern(beat.id, storage).data.tempo).toBe(70);
+    expect(getSavedPattern(beat.id, storage).data.pattern).toEqual(loFiPreset);
+    expect(() => savePattern('   ', data, storage)).toThrow();
+  });
+
+  it('84. renamePattern rejects blank and duplicate names; deletePattern removes', () => {
+    const storage = createStorage();
+    const first = savePattern('One', data, storage);
+    savePattern('Two', data, storage);
+
+    expect(renamePattern(first.id, 'Two', storage)).toBe(false);
+    expect(renamePattern(first.id, ' ', storage)).toBe(false);
+    expect(renamePattern(first.id, 'Uno', storage)).toBe(true);
+    expect(getSavedPattern(first.id, storage).name).toBe('Uno');
+
+    deletePattern(first.id, storage);
+    expect(getSavedPattern(first.id, storage)).toBeNull();
+    expect(listPatterns(storage).map(entry => entry.name)).toEqual(['Two']);
+  });
+
+  it('85. listPatterns reports unreadable storage', () => {
+    const storage = createStorage();
+    storage.setItem('lofi-sequencer:patterns', '{not json');
+    expect(() => listPatterns(storage)).toThrow(/could not be read/);
+    expect(() => savePattern('Beat', data, storage)).toThrow(/could not be read/);
+    expect(storage.getItem('lofi-sequencer:patterns')).toBe('{not json');
+    expect(listPatterns(null)).toEqual([]);
+  });
+
+  it('86. conformPattern fits a pattern to a track list', () => {
+    const trackList = [tracks[1], { id: 'kick-2', name: 'KICK 2', instrument: 'kick' }];
+    const conformed = conformPattern(setTrackLength(loFiPreset, 'snare', 8), trackList);
+    expect(Object.keys(conformed)).toEqual(['snare', 'kick-2']);
+    expect(conformed.snare).toEqual(loFiPreset.snare.slice(0, 8));
+    expect(conformed['kick-2']).toEqual(new Array(16).fill(0));
+  });
+
+  it('142. Saved entries are validated like project files', () => {
+    const storage = createStorage();
+    const entry = savePattern('Beat', { ...data, swing: 60 }, storage);
+    const loaded = loadSavedEntry(getSavedPattern(entry.id, storage));
+    expect(loaded.banks.A).toEqual(loFiPreset);
+    expect(loaded.tempo).toBe(92);
+    expect(loaded.tracks.map(track => track.id)).toEqual(tracks.map(track => track.id));
+
+    const broken = savePattern('Broken', { ...data, swing: 60, tracks: [{ id: 'kick', instrument: 'kick' }] }, storage);
+    expect(() => loadSavedEntry(broken)).toThrow(ProjectFileError);
+    expect(() => loadSavedEntry({ ...entry, data: null })).toThrow(ProjectFileError);
+
+    // Entries load as the version they were saved with
+    expect(entry.version).toBe(PROJECT_VERSION);
+    const pattern = setStepLock(clonePattern(loFiPreset), 'kick', 0, 'pitch', 90);
+    const locked = savePattern('Locked', { ...data, swing: 60, pattern }, storage);
+    expect(loadSavedEntry(locked).banks.A).toEqual(pattern);
+    expect(() => loadSavedEntry({ ...locked, version: 4 })).toThrow(/locks: not part of version 4/);
+    expect(loadSavedEntry({ ...entry, version: 2 }).banks.A).toEqual(loFiPreset);
+    expect(loadSavedEntry({ ...locked, version: undefined }).banks.A).toEqual(pattern);
+  });
+});
+
+describe('Project Files', () => {
+  /**
+   * Builds a current-version project from default state
+   * @returns {Object} Project object
+   */
+  const buildProject = () => {
+    const banks = createBanks(initialPattern);
+    banks.B = setStepData(clonePattern(jazzPreset), 'chord', 0, { chord: { root: 5, quality: 'maj7', inversion: 1 } });
+    return createProject({
+      tracks,
+      banks,
+      song: [{ bank: 'A', repeats: 2 }, { bank: 'B', repeats: 1 }],
+      songMode: true,
+      tempo: 92,
+      swing: 60,
+      lofi: { bits: 6, rate: 0.25, mix: 0.5 },
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+  };
+
+  /**
+   * Parses a project object and returns the thrown error
+   * @param {Object} project - Project to serialize and parse
+   * @returns {ProjectFileError} Error thrown by parseProject
+   */
+  const parseError = (project) => {
+    try {
+      parseProject(JSON.stringify(project));
+    } catch (error) {
+      return error;
+    }
+    throw new Error('parseProject accepted an invalid project');
+  };
+
+  it('87. Projects round-trip through JSON', () => {
+    const project = buildProject();
+    expect(project.format).toBe(PROJECT_FORMAT);
+    expect(project.version).toBe(PROJECT_VERSION);
+
+    const loaded = parseProject(serializeProject(project));
+    expect(loaded.banks).toEqual(project.banks);
+    expect(loaded.song).toEqual(project.song);
+    expect(loaded.songMode).toBe(true);
+    expect(loaded.tempo).toBe(92);
+    expect(loaded.lofi).toEqual({ bits: 6, rate: 0.25, mix: 0.5 });
+    expect(loaded.tracks.map(track => track.id)).toEqual(tracks.map(track => track.id));
+    // Missing per-track settings fall back to the defaults
+    expect(loaded.sampleParams.kick).toBeDefined();
+  });
+
+  it('88. Version 1 projects migrate to the current version', () => {
+    const loaded = parseProject(JSON.stringify({
+      format: PROJECT_FORMAT,
+      version: 1,
+      tempo: 100,
+      swing: 55,
+      pattern: loFiPreset
+    }));
+    expect(loaded.tracks).toHaveLength(4);
+    expect(loaded.banks.A).toEqual(loFiPreset);
+    expect(isPatternEmpty(loaded.banks.H)).toBe(true);
+    expect(loaded.song).toEqual([{ bank: 'A', repeats: 1 }]);
+    expect(loaded.mixer).toEqual(createMixer());
+  });
+
+  it('89. Malformed files and unsupported versions are rejected', () => {
+    expect(() => parseProject('{ "format": ')).toThrow(ProjectFileError);
+    expect(() => parseProject('{"hello": "world"}')).toThrow(/Not a lo-fi sequencer project/);
+    expect(parseError({ ...buildProject(), version: PROJECT_VERSION + 1 }).message).toMatch(/newer/);
+    expect(parseError({ ...buildProject(), version: 'two' }).message).toMatch(/version/);
+  });
+
+  it('90. Validation reports each problem with its path', () => {
+    const project = buildProject();
+    project.tempo = 500;
+    project.banks.A = { ...project.banks.A, kick: [...project.banks.A.kick.slice(0, 15), 7] };
+    project.banks.Z = {};
+    project.song = [{ bank: 'A', repeats: 0 }];
+
+    const error = parseError(project);
+    expect(error).toBeInstanceOf(ProjectFileError);
+    expect(error.problems).toEqual([
+      'tempo: expected 60-180',
+      'banks.A.kick[15]: expected a velocity 0-3 or { velocity, ... }',
+      'banks.Z: unknown bank',
+      'song[0]: expected { bank A-H, repeats 1-16 }'
+    ]);
+  });
+
+  it('91. Tracks must have unique IDs and known instruments', () => {
+    const project = buildProject();
+    project.tracks = [...tracks, { id: 'kick', name: 'KICK 2', instrument: 'theremin' }];
+    expect(parseError(project).problems).toEqual([
+      'tracks[4].id: "kick" is used twice',
+      'tracks[4].instrument: unknown instrument "theremin"'
+    ]);
+  });
+
+  it('141. Inherited object keys are not instruments', () => {
+    ['toString', '__proto__'].forEach(instrument => {
+      expect(getInstrument(instrument)).toBeNull();
+      expect(getDefaultVoiceParams(instrument)).toEqual({});
+
+      const project = buildProject();
+      project.tracks = [...tracks, { id: 'odd', name: 'ODD', instrument }];
+      const error = parseError(project);
+      expect(error).toBeInstanceOf(ProjectFileError);
+      expect(error.problems).toContain(`tracks[4].instrument: unknown instrument "${instrument}"`);
+    });
+  });
+
+  it('143. Sound settings must be within the limits of their controls', () => {
+    const project = buildProject();
+    project.voiceParams.kick.decay = -1;
+    project.voiceParams.snare.wobble = 1;
+    project.mixer.kick.volume = 1e9;
+    project.mixer.snare.mute = 'yes';
+    project.sampleParams = { hihat: { pitch: 48 } };
+    project.lofi = { bits: 6, rate: 0, mix: 0.5 };
+
+    expect(parseError(project).problems).toEqual([
+      'lofi.rate: expected a number from 0.01 to 1',
+      'mixer.kick.volume: expected a number from 0 to 1.5',
+      'mixer.snare.mute: expected true or false',
+      'voiceParams.kick.decay: expected a number from 0.1 to 1.5',
+      'voiceParams.snare.wobble: unknown setting',
+      'sampleParams.hihat.pitch: expected a number from -24 to 24'
+    ]);
+  });
+
+  it('146. Step data newer than the file version is rejected', () => {
+    const project = buildProject();
+    project.banks.A = setStepData(project.banks.A, 'kick', 0, { probability: 50, condition: 'first' });
+    expect(parseProject(JSON.stringify(project)).banks.A.kick[0]).toMatchObject({ probability: 50 });
+
+    expect(parseError({ ...project, version: 2 }).problems).toEqual([
+      'banks.A.kick[0].probability: not part of version 2 projects',
+      'banks.A.kick[0].condition: not part of version 2 projects'
+    ]);
+    const older = { ...project, version: 2, banks: { A: initialPattern } };
+    expect(parseProject(JSON.stringify(older)).banks.A).toEqual(initialPattern);
+  });
+});
+
+describe('MIDI Export', () => {
+  /**
+   * Note events of a MIDI track as [tick, status, note, velocity]
+   * @param {Array<Object>} events - Track events
+   * @returns {Array<number[]>} Note events only, in tick order
+   */
+  const notes = (events) => events
+    .filter(event => event.data[0] !== 0xff)
+    .map(event => [event.tick, ...event.data])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  it('92. encodeVariableLength matches the SMF specification examples', () => {
+    expect(encodeVariableLength(0)).toEqual([0x00]);
+    expect(encodeVariableLength(0x40)).toEqual([0x40]);
+    expect(encodeVariableLength(0x7f)).toEqual([0x7f]);
+    expect(encodeVariableLength(0x80)).toEqual([0x81, 0x00]);
+    expect(encodeVariableLength(0x2000)).toEqual([0xc0, 0x00]);
+    expect(encodeVariableLength(0x3fff)).toEqual([0xff, 0x7f]);
+    expect(encodeVariableLength(0x4000)).toEqual([0x81, 0x80, 0x00]);
+    expect(encodeVariableLength(0x0fffffff)).toEqual([0xff, 0xff, 0xff, 0x7f]);
+    expect(() => encodeVariableLength(-1)).toThrow();
+    expect(() => encodeVariableLength(0x10000000)).toThrow();
+  });
+
+  it('93. Channel and meta events encode to the right bytes', () => {
+    expect(noteOn(9, 36, 100)).toEqual([0x99, 36, 100]);
+    expect(noteOff(0, 60)).toEqual([0x80, 60, 0]);
+    // 120 BPM = 500000 microseconds per quarter = 0x07A120
+    expect(tempoEvent(120)).toEqual([0xff, 0x51, 0x03, 0x07, 0xa1, 0x20]);
+    expect(timeSignatureEvent(4, 4)).toEqual([0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08]);
+    expect(trackNameEvent('Kick')).toEqual([0xff, 0x03, 0x04, 0x4b, 0x69, 0x63, 0x6b]);
+    expect(trackNameEvent('é')).toEqual([0xff, 0x03, 0x01, 0x3f]);
+  });
+
+  it('94. encodeMidiFile writes a Type 1 header and track chunks', () => {
+    const bytes = encodeMidiFile([
+      [{ tick: 0, data: tempoEvent(120) }],
+      [{ tick: 200, data: noteOff(9, 36) }, { tick: 0, data: noteOn(9, 36, 100) }]
+    ], 96);
+
+    expect(Array.from(bytes)).toEqual([
+      // MThd, length 6, format 1, 2 tracks, 96 ticks per quarter
+      0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, 0, 96,
+      // MTrk, length 11: tempo, end of track
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 11,
+      0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20,
+      0x00, 0xff, 0x2f, 0x00,
+      // MTrk, length 13: note on, note off after a 2-byte delta of 200, end of track
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 13,
+      0x00, 0x99, 36, 100,
+      0x81, 0x48, 0x89, 36, 0,
+      0x00, 0xff, 0x2f, 0x00
+    ]);
+  });
+
+  it('95. Note-offs are written before note-ons on the same tick', () => {
+    const bytes = encodeTrack([
+      { tick: 0, data: noteOn(0, 60, 100) },
+      { tick: 24, data: noteOn(0, 60, 90) },
+      { tick: 24, data: noteOff(0, 60) }
+    ]);
+    expect(bytes.slice(8)).toEqual([
+      0x00, 0x90, 60, 100,
+      0x18, 0x80, 60, 0,
+      0x00, 0x90, 60, 90,
+      0x00, 0xff, 0x2f, 0x00
+    ]);
+  });
+
+  it('96. Drum tracks use GM notes on channel 10 with swing and velocity', () => {
+    const pattern = clearPattern(initialPattern);
+    pattern.kick[0] = 2;
+    pattern.kick[1] = 3;
+    pattern.snare[4] = 1;
+    const midiTracks = getMidiTracks({ pattern, tempo: 90, swing: 75 });
+
+    expect(midiTracks).toHaveLength(5);
+    expect(midiTracks[0]).toContainEqual({ tick: 0, data: tempoEvent(90) });
+    // Accent and soft kicks; step 1 is swung by half a 16th (12 of 24 ticks)
+    expect(notes(midiTracks[1])).toEqual([
+      [0, 0x99, 36, 127],
+      [12, 0x89, 36, 0],
+      [36, 0x99, 36, 45],
+      [48, 0x89, 36, 0]
+    ]);
+    expect(notes(midiTracks[2])).toEqual([[96, 0x99, 38, 100], [108, 0x89, 38, 0]]);
+    expect(notes(midiTracks[3])).toEqual([]);
+  });
+
+  it('97. Chord steps become note-on/off pairs for their voicing', () => {
+    const pattern = clearPattern(initialPattern);
+    const chord = { root: 0, quality: 'maj7', inversion: 0 };
+    pattern.chord[0] = { velocity: 1, chord };
+    pattern.chord[2] = 1;
+    const voiceParams = { chord: { ...getDefaultVoiceParams('chord'), decay: 10 } };
+    const events = notes(getMidiTracks({ pattern, tempo: 120, voiceParams })[4]);
+
+    // First chord is held until the next chord on step 2, the default
+    // chord until the end of the 16-step loop
+    const first = getChordNotes(chord);
+    const second = getChordNotes(defaultChord);
+    expect(events).toEqual([
+      ...first.map(note => [0, 0x90, note, 100]),
+      ...first.map(note => [48, 0x80, note, 0]),
+      ...second.map(note => [48, 0x90, note, 100]),
+      ...second.map(note => [384, 0x80, note, 0])
+    ].sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+  });
+
+  it('98. Songs export every entry and the file is a MIDI blob', () => {
+    const banks = createBanks(clearPattern(initialPattern));
+    banks.B.kick[0] = 1;
+    const song = [{ bank: 'A', repeats: 1 }, { bank: 'B', repeats: 2 }];
+    const kick = notes(getMidiTracks({ pattern: banks.A, tempo: 120, song, banks })[1]);
+    expect(kick.filter(event => event[1] === 0x99).map(event => event[0])).toEqual([384, 768]);
+
+    const blob = exportPatternToMidi({ pattern: initialPattern, tempo: 85 });
+    expect(blob.type).toBe('audio/midi');
+  });
+});
+
+describe('MIDI Import', () => {
+  /**
+   * Wraps track bodies in MThd/MTrk chunks (End of Track not added)
+   * @param {Array<number[]>} bodies - Raw track bytes
+   * @param {number} division - Ticks per quarter note
+   * @returns {Uint8Array} File bytes
+   */
+  const rawMidiFile = (bodies, division = 96) => Uint8Array.from([
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, bodies.length, 0, division,
+    ...bodies.flatMap(body => [0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, body.length, ...body])
+  ]);
+
+  it('99. parseMidiFile reads back the exporter output', () => {
+    const pattern = clearPattern(initialPattern);
+    pattern.kick[0] = 2;
+    pattern.snare[4] = 3;
+    const midi = parseMidiFile(encodeMidiFile(getMidiTracks({ pattern, tempo: 90 })));
+
+    expect(midi.format).toBe(1);
+    expect(midi.division).toBe(96);
+    expect(midi.tracks).toHaveLength(5);
+    expect(midi.tracks[0]).toEqual([{ tick: 0, type: 'tempo', bpm: 90 }]);
+    expect(midi.tracks[1]).toEqual([
+      { tick: 0, type: 'noteOn', channel: 9, note: 36, velocity: 127 },
+      { tick: 12, type: 'noteOff', channel: 9, note: 36, velocity: 0 }
+    ]);
+    expect(midi.tracks[2][0]).toEqual({ tick: 96, type: 'noteOn', channel: 9, note: 38, velocity: 45 });
+  });
+
+  it('100. Running status, zero-velocity note-ons, SysEx and unknown chunks', () => {
+    const file = rawMidiFile([[
+      0x00, 0xf0, 0x02, 0x7e, 0xf7, // SysEx, skipped
+      0x00, 0x99, 36, 100, // Note on
+      0x18, 42, 80, // Running status note on
+      0x0c, 36, 0, // Running status note on with velocity 0 = note off
+      0x00, 0xb9, 7, 100, // Control change, skipped
+      0x00, 0xff, 0x2f, 0x00
+    ]]);
+    // An unknown chunk before the track must be skipped
+    const withChunk = Uint8Array.from([
+      ...file.slice(0, 14),
+      0x58, 0x58, 0x58, 0x58, 0, 0, 0, 2, 1, 2,
+      ...file.slice(14)
+    ]);
+
+    expect(parseMidiFile(withChunk.buffer).tracks[0]).toEqual([
+      { tick: 0, type: 'noteOn', channel: 9, note: 36, velocity: 100 },
+      { tick: 24, type: 'noteOn', channel: 9, note: 42, velocity: 80 },
+      { tick: 36, type: 'noteOff', channel: 9, note: 36, velocity: 0 }
+    ]);
+  });
+
+  it('101. Broken files throw MidiFileError', () => {
+    expect(() => parseMidiFile(new Uint8Array(20))).toThrow(MidiFileError);
+    expect(() => parseMidiFile(rawMidiFile([[0x00, 0x99, 36]]))).toThrow(/end of file/);
+    expect(() => parseMidiFile(rawMidiFile([[0x00, 36, 100]]))).toThrow(/status/);
+    const smpte = rawMidiFile([[0x00, 0xff, 0x2f, 0x00]]);
+    smpte[12] = 0xe7;
+    expect(() => parseMidiFile(smpte)).toThrow(/SMPTE/);
+  });
+
+  it('102. Drum hits are quantized to 16ths with velocity levels', () => {
+    expect(getVelocityFromMidi(127)).toBe(2);
+    expect(getVelocityFromMidi(100)).toBe(1);
+    expect(getVelocityFromMidi(30)).toBe(3);
+
+    const file = rawMidiFile([[
+      0x05, 0x99, 36, 120, // Kick, 5 ticks late: step 0
+      0x12, 0x99, 42, 50, // Hat at tick 23: step 1
+      0x00, 0x99, 49, 100, // Crash: not mapped
+      0x00, 0x90, 38, 100, // Snare on channel 1: ignored, the file uses channel 10
+      0x00, 0xff, 0x2f, 0x00
+    ]]);
+    expect(getMidiDrumHits(parseMidiFile(file))).toEqual({
+      hits: [
+        { step: 0, type: 'kick', velocity: 2 },
+        { step: 1, type: 'hihat', velocity: 3 }
+      ],
+      ignored: 1
+    });
+
+    // Without any channel 10 notes every channel is read
+    const channelOne = rawMidiFile([[0x00, 0x90, 38, 100, 0x00, 0xff, 0x2f, 0x00]]);
+    expect(getMidiDrumHits(parseMidiFile(channelOne)).hits).toEqual([{ step: 0, type: 'snare', velocity: 1 }]);
+  });
+
+  it('103. One bar is picked and written to the first track of each instrument', () => {
+    const hits = [
+      { step: 0, type: 'kick', velocity: 1 },
+      { step: 16, type: 'kick', velocity: 3 },
+      { step: 16, type: 'kick', velocity: 2 },
+      { step: 20, type: 'snare', velocity: 1 }
+    ];
+    expect(getMidiBarCount(hits)).toBe(2);
+
+    const rows = getMidiBar(hits, 1);
+    expect(rows.kick[0]).toBe(2);
+    expect(rows.snare[4]).toBe(1);
+    expect(rows.hihat).toEqual(new Array(16).fill(0));
+
+    const trackList = [...tracks, { id: 'kick-2', name: 'KICK 2', instrument: 'kick' }];
+    const pattern = addPatternTrack(setTrackLength(loFiPreset, 'kick', 8), 'kick-2');
+    const imported = applyMidiBar(pattern, trackList, rows);
+    expect(imported.kick).toEqual(rows.kick);
+    expect(imported.hihat).toEqual(rows.hihat);
+    expect(imported['kick-2']).toEqual(pattern['kick-2']);
+    expect(imported.chord).toEqual(loFiPreset.chord);
+  });
+});
+
+// ============================================================================
+// MIDI OUTPUT TESTS
+// ============================================================================
+
+/**
+ * Fake Web MIDI access with one output port that records what it is sent
+ * @returns {{access: Object, port: Object}} Access object and its port
+ */
+function createFakeMidiAccess() {
+  const port = { id: 'port-1', name: 'Fake Synth', send: vi.fn() };
+  return { access: { outputs: new Map([[port.id, port]]) }, port };
+}
+
+describe('MIDI Output', () => {
+  it('104. MidiOutput lists ports and only sends once a port is selected', async () => {
+    const { access, port } = createFakeMidiAccess();
+    const output = new MidiOutput(access);
+    expect(output.getOutputs()).toEqual([{ id: 'port-1', name: 'Fake Synth' }]);
+
+    output.playNote(0, 60, 100, 10, 50);
+    expect(port.send).not.toHaveBeenCalled();
+
+    expect(output.selectOutput('missing')).toBe(false);
+    expect(output.selectOutput('port-1')).toBe(true);
+    output.playNote(0, 60, 100, 10, 50);
+    expect(port.send.mock.calls).toEqual([
+      [[0x90, 60, 100], 10],
+      [[0x80, 60, 0], 60]
+    ]);
+
+    expect(await requestMidiAccess(null)).toBeNull();
+    const request = vi.fn().mockResolvedValue(access);
+    expect(await requestMidiAccess(request)).toBe(access);
+  });
+
+  it('105. AudioEngine sends timestamped notes on each track\'s channel', async () => {
+    const { access, port } = createFakeMidiAccess();
+    const engine = new AudioEngine({ midiAccess: access });
+    await engine.init();
+    expect(await engine.initMidi()).toBe(true);
+    expect(engine.getMidiOutputs()).toHaveLength(1);
+    engine.setMidiOutput('port-1');
+    engine.setTempo(120); // 125 ms per 16th
+    engine.setVoiceParam('chord', 'decay', 2);
+
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = 2;
+    pattern.chord[0] = 1;
+    pattern.chord[2] = 1;
+    engine.setPattern(pattern);
+
+    vi.spyOn(performance, 'now').mockReturnValue(1000);
+    engine.scheduleStepSounds(0, 1, 0);
+
+    // AudioContext time 1 s is 1000 ms after the context's current time
+    const notes = port.send.mock.calls;
+    expect(notes).toContainEqual([[0x99, 36, velocityLevels[2].midi], 2000]);
+    expect(notes).toContainEqual([[0x89, 36, 0], 2000 + 62.5 - 1]);
+
+    // Chords are held until the track's next hit, on the first melodic channel
+    getChordNotes(defaultChord).forEach(note => {
+      expect(notes).toContainEqual([[0x90, note, velocityLevels[1].midi], 2000]);
+      expect(notes).toContainEqual([[0x80, note, 0], 2000 + 250 - 1]);
+    });
+
+    // Muted tracks send nothing
+    port.send.mockClear();
+    engine.setMixer({ ...createMixer(), kick: { ...createMixer().kick, mute: true } });
+    engine.scheduleStepSounds(0, 1, 0);
+    expect(port.send.mock.calls.some(([data]) => data[0] === 0x99)).toBe(false);
+
+    vi.restoreAllMocks();
+    engine.destroy();
+  });
+
+  it('106. MIDI clock sends 6 pulses per 16th on the straight grid, with start and stop', async () => {
+    const { access, port } = createFakeMidiAccess();
+    const engine = new AudioEngine({ midiAccess: access });
+    await engine.init();
+    engine.setMidiOutput('port-1');
+    engine.setMidiClock(true);
+    engine.setTempo(120);
+    engine.setSwing(75);
+    engine.setPattern(clonePattern(initialPattern));
+    vi.spyOn(performance, 'now').mockReturnValue(0);
+
+    // Off-beat 16th, pushed late by swing; the clock stays on the grid
+    engine.scheduleStepSounds(1, 0.125 + calculateSwingOffset(1, 120, 75), 1);
+    const pulses = port.send.mock.calls.filter(([data]) => data[0] === midiMessages.clock);
+    expect(pulses).toHaveLength(CLOCKS_PER_STEP);
+    expect(pulses[0][1]).toBeCloseTo(125);
+    expect(pulses[5][1]).toBeCloseTo(125 + 5 * 125 / 6);
+
+    port.send.mockClear();
+    engine.start();
+    expect(port.send.mock.calls[0][0]).toEqual([midiMessages.start]);
+    engine.stop();
+    expect(port.send).toHaveBeenCalledWith([midiMessages.stop], undefined);
+
+    // Resuming mid-pattern sends Continue
+    port.send.mockClear();
+    engine.scheduler.tick = 5;
+    engine.start();
+    expect(port.send.mock.calls[0][0]).toEqual([midiMessages.continue]);
+
+    vi.restoreAllMocks();
+    engine.destroy();
+  });
+
+  it('107. Stopping silences every channel that played notes', () => {
+    const { access, port } = createFakeMidiAccess();
+    const output = new MidiOutput(access);
+    output.selectOutput('port-1');
+    output.playNote(9, 36, 100, 0, 10);
+    output.playNote(0, 60, 100, 0, 10);
+    port.send.mockClear();
+
+    output.stop();
+    expect(port.send.mock.calls.map(([data]) => data)).toEqual([
+      [0xb9, 123, 0],
+      [0xb0, 123, 0]
+    ]);
+
+    // Nothing is left to silence the next time
+    port.send.mockClear();
+    output.stop();
+    expect(port.send).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// MIDI INPUT TESTS
+// ============================================================================
+
+describe('MIDI Input', () => {
+  it('108. Incoming messages are decoded and notes named', () => {
+    expect(parseMidiMessage([0x99, 36, 100])).toEqual({ type: 'noteOn', channel: 9, note: 36, velocity: 100 });
+    expect(parseMidiMessage([0x90, 38, 0])).toEqual({ type: 'noteOff', channel: 0, note: 38, velocity: 0 });
+    expect(parseMidiMessage([0xf8])).toEqual({ type: 'clock' });
+    expect(parseMidiMessage([0xfa])).toEqual({ type: 'start' });
+    expect(parseMidiMessage([0xb0, 1, 64])).toBeNull();
+    expect(getNoteName(36)).toBe('C1 (36)');
+    expect(getNoteName(61)).toBe('C#3 (61)');
+  });
+
+  it('109. Pads map to tracks by drum note and can be learned', () => {
+    const noteMap = createNoteMap(tracks);
+    expect(noteMap).toEqual({ 36: 'kick', 38: 'snare', 42: 'hihat' });
+
+    const learned = learnNote(noteMap, 'chord', 48);
+    expect(getTrackNote(learned, 'chord')).toBe(48);
+    // Learning a pad already in use moves it, and the track's old pad is released
+    const moved = learnNote(learned, 'snare', 36);
+    expect(moved).toEqual({ 36: 'snare', 42: 'hihat', 48: 'chord' });
+    expect(getTrackNote(moved, 'kick')).toBeNull();
+
+    // Removed tracks lose their pads; unmapped tracks get a free drum note
+    const trackList = [tracks[0], tracks[2], { id: 'snare-2', name: 'SNARE 2', instrument: 'snare' }];
+    expect(conformNoteMap(moved, trackList)).toEqual({ 36: 'kick', 38: 'snare-2', 42: 'hihat' });
+  });
+
+  it('110. ClockFollower measures the tempo over a quarter note of pulses', () => {
+    const onTempo = vi.fn();
+    const follower = new ClockFollower(onTempo);
+    const interval = 60000 / 120 / CLOCKS_PER_QUARTER;
+    for (let i = 0; i < 48; i++) {
+      follower.pulse(i * interval);
+    }
+    expect(onTempo.mock.calls).toEqual([[120]]);
+
+    follower.reset();
+    const faster = 60000 / 300 / CLOCKS_PER_QUARTER;
+    for (let i = 0; i <= CLOCKS_PER_QUARTER; i++) {
+      follower.pulse(i * faster);
+    }
+    expect(onTempo).toHaveBeenLastCalledWith(defaults.maxTempo);
+  });
+
+  it('111. The engine listens to one input port at a time', () => {
+    const first = { id: 'in-1', name: 'Pads', onmidimessage: null };
+    const second = { id: 'in-2', name: 'Keys', onmidimessage: null };
+    const engine = new AudioEngine({
+      midiAccess: { outputs: new Map(), inputs: new Map([[first.id, first], [second.id, second]]) }
+    });
+    expect(engine.getMidiInputs()).toEqual([{ id: 'in-1', name: 'Pads' }, { id: 'in-2', name: 'Keys' }]);
+
+    const onMessage = vi.fn();
+    expect(engine.setMidiInput('in-1', onMessage)).toBe(true);
+    first.onmidimessage({ data: new Uint8Array([0x99, 36, 127]), timeStamp: 42 });
+    first.onmidimessage({ data: new Uint8Array([0xfe]), timeStamp: 43 }); // Active sensing: ignored
+    expect(onMessage.mock.calls).toEqual([[{ type: 'noteOn', channel: 9, note: 36, velocity: 127 }, 42]]);
+
+    engine.setMidiInput('in-2', onMessage);
+    expect(first.onmidimessage).toBeNull();
+    expect(second.onmidimessage).toBeTypeOf('function');
+  });
+
+  it('112. Recorded hits land on the nearest step and are not played twice', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setTempo(120); // 125 ms per 16th
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[8] = 1;
+    engine.setPattern(pattern);
+
+    // The scheduler's next tick is 8, due at 1 s
+    engine.scheduler.tick = 8;
+    engine.scheduler.nextNoteTime = 1;
+    expect(engine.getNearestTick(0.95)).toBe(8);
+    expect(engine.getNearestTick(0.9)).toBe(7);
+    expect(engine.getNearestTick(1.2)).toBe(10);
+
+    // A hit on a step already scheduled is not marked
+    engine.markLiveHit('kick', 7);
+    expect(engine.liveHits.size).toBe(0);
+
+    engine.markLiveHit('kick', 8);
+    const createGain = vi.spyOn(engine.context, 'createGain');
+    engine.scheduleStepSounds(8, 1, 8);
+    expect(createGain).not.toHaveBeenCalled();
+    engine.scheduleStepSounds(8, 1, 8);
+    expect(createGain).toHaveBeenCalled();
+
+    expect(setStepVelocity(pattern, 'kick', 8, 2).kick[8]).toBe(2);
+    const chord = { velocity: 1, chord: defaultChord };
+    expect(setStepVelocity({ ...pattern, chord: [chord] }, 'chord', 0, 3).chord[0]).toEqual({ ...chord, velocity: 3 });
+    engine.destroy();
+  });
+});
+
+// ============================================================================
+// LIVE RECORDING TESTS
+// ============================================================================
+
+describe('Live Recording', () => {
+  it('113. Hits are quantized toward the grid from the Scheduler\'s nextNoteTime', () => {
+    expect(quantizePosition(7.7, 1)).toEqual({ tick: 8, nudge: 0 });
+    expect(quantizePosition(7.7, 0.5)).toEqual({ tick: 8, nudge: -0.15 });
+    expect(quantizePosition(7.7, 0)).toEqual({ tick: 8, nudge: -0.3 });
+    expect(quantizePosition(8.2, 0)).toEqual({ tick: 8, nudge: 0.2 });
+    // Nothing lands before the first step
+    expect(quantizePosition(-0.4, 1)).toEqual({ tick: 0, nudge: 0 });
+    expect(quantizePosition(-0.8, 0)).toEqual({ tick: 0, nudge: 0 });
+
+    const scheduler = new Scheduler({
+      audioContext: new AudioContext(),
+      onStep: () => {},
+      onSchedule: () => {},
+      tempo: 120
+    });
+    scheduler.tick = 4;
+    scheduler.nextNoteTime = 2;
+    expect(scheduler.getPosition(2)).toBe(4);
+    expect(scheduler.getPosition(1.9)).toBeCloseTo(3.2);
+  });
+
+  it('114. Recorded hits keep step data, and replace clears the track', () => {
+    const chord = { root: 5, quality: 'maj7', inversion: 0 };
+    const pattern = setStepData(clonePattern(loFiPreset), 'chord', 0, { chord });
+
+    const recorded = recordStep(pattern, 'chord', 0, 2, -0.25);
+    expect(recorded.chord[0]).toEqual({ velocity: 2, chord, nudge: -0.25 });
+    expect(recordStep(recorded, 'chord', 0, 1).chord[0]).toEqual({ velocity: 1, chord });
+    expect(recordStep(initialPattern, 'kick', 3, 1).kick[3]).toBe(1);
+    expect(pattern.chord[0]).toEqual({ velocity: 1, chord });
+
+    const cleared = clearTrack(loFiPreset, 'hihat');
+    expect(cleared.hihat).toEqual(new Array(16).fill(0));
+    expect(cleared.kick).toBe(loFiPreset.kick);
+  });
+
+  it('115. Nudged steps play off the grid, never before the current time', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setTempo(120); // 125 ms per 16th
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = { velocity: 1, nudge: 0.25 };
+    pattern.snare[1] = { velocity: 1, nudge: -0.5 };
+    engine.setPattern(pattern);
+
+    const createGain = vi.spyOn(engine.context, 'createGain');
+    engine.scheduleStepSounds(0, 1, 0);
+    expect(createGain.mock.results[0].value.gain.setValueAtTime)
+      .toHaveBeenCalledWith(velocityLevels[1].gain, 1.03125);
+
+    createGain.mockClear();
+    engine.scheduleStepSounds(1, 0.05, 1);
+    const times = createGain.mock.results.flatMap(result => result.value.gain.setValueAtTime.mock.calls.map(call => call[1]));
+    expect(Math.min(...times)).toBe(0);
+    engine.destroy();
+  });
+
+  it('116. Nudges are exported to MIDI and validated in project files', () => {
+    const pattern = clearPattern(initialPattern);
+    pattern.kick[1] = { velocity: 1, nudge: 0.5 };
+    pattern.kick[4] = { velocity: 1, nudge: -0.25 };
+    const kickOns = getMidiTracks({ pattern, tempo: 90 })[1]
+      .filter(event => event.data[0] === 0x99)
+      .map(event => event.tick);
+    expect(kickOns).toEqual([36, 90]);
+
+    const banks = createBanks(initialPattern);
+    banks.A = { ...banks.A, kick: [{ velocity: 1, nudge: 0.8 }, ...banks.A.kick.slice(1)] };
+    const project = createProject({
+      tracks,
+      banks,
+      song: [{ bank: 'A', repeats: 1 }],
+      songMode: false,
+      tempo: 90,
+      swing: 50,
+      lofi: defaults.lofi,
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+    expect(() => parseProject(JSON.stringify(project))).toThrow(ProjectFileError);
+    banks.A.kick[0] = { velocity: 1, nudge: -0.5 };
+    expect(parseProject(serializeProject(project)).banks.A.kick[0]).toEqual({ velocity: 1, nudge: -0.5 });
+  });
+});
+
+// ============================================================================
+// UNDO/REDO HISTORY TESTS
+// ============================================================================
+
+describe('Undo History', () => {
+  it('117. Undo and redo walk back and forth through snapshots', () => {
+    const first = { name: 'first' };
+    const second = { name: 'second' };
+    const third = { name: 'third' };
+
+    let history = recordHistory(createHistory(), first);
+    history = recordHistory(history, second);
+
+    const undone = undoHistory(history, third);
+    expect(undone.present).toBe(second);
+    const undoneTwice = undoHistory(undone.history, undone.present);
+    expect(undoneTwice.present).toBe(first);
+    expect(undoHistory(undoneTwice.history, first)).toBeNull();
+
+    const redone = redoHistory(undoneTwice.history, first);
+    expect(redone.present).toBe(second);
+    expect(redoHistory(redone.history, second).present).toBe(third);
+    expect(redoHistory(createHistory(), first)).toBeNull();
+  });
+
+  it('118. A new edit drops the redo steps and the depth is capped', () => {
+    const undone = undoHistory(recordHistory(createHistory(), 'a'), 'b');
+    expect(undone.history.future).toEqual(['b']);
+    expect(recordHistory(undone.history, 'a2').future).toEqual([]);
+
+    let history = createHistory();
+    for (let i = 0; i < HISTORY_LIMIT + 10; i++) {
+      history = recordHistory(history, i);
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0]).toBe(10);
+    expect(recordHistory(history, 'x', 3).past).toEqual([HISTORY_LIMIT + 8, HISTORY_LIMIT + 9, 'x']);
+  });
+
+  it('119. Recording the same snapshot twice is a no-op', () => {
+    const banks = createBanks(initialPattern);
+    const history = recordHistory(createHistory(), banks);
+    expect(recordHistory(history, banks)).toBe(history);
+    expect(recordHistory(history, { ...banks }).past).toHaveLength(2);
+  });
+
+  it('144. Edits of one gesture share an undo step', () => {
+    let history = recordEdit(createHistory(), 'a', 'velocity:kick:0');
+    history = recordEdit(history, 'b', 'velocity:kick:0');
+    history = recordEdit(history, 'c', 'velocity:kick:0');
+    expect(history.past).toEqual(['a']);
+
+    history = recordEdit(history, 'd', 'nudge:kick:0');
+    history = recordEdit(endGesture(history), 'e', 'nudge:kick:0');
+    expect(history.past).toEqual(['a', 'd', 'e']);
+
+    history = recordEdit(recordEdit(history, 'f', null), 'g', null);
+    expect(history.past).toEqual(['a', 'd', 'e', 'f', 'g']);
+    expect(undoHistory(recordEdit(history, 'h', 'x'), 'i').history.gesture).toBeNull();
+  });
+
+  it('150. Typed values end their undo step on commit or blur', async () => {
+    const { container, getByText, findByTitle } = render(<App />);
+    fireEvent.click(getByText(/Initialize Audio/));
+    const undo = await findByTitle('Undo (Ctrl+Z)');
+    const input = container.querySelector('#length-input');
+
+    fireEvent.input(input, { target: { value: '20' } });
+    fireEvent.input(input, { target: { value: '24' } });
+    fireEvent.change(input, { target: { value: '24' } });
+    fireEvent.input(input, { target: { value: '28' } });
+    fireEvent.focusOut(input);
+    fireEvent.input(input, { target: { value: '32' } });
+
+    fireEvent.click(undo);
+    expect(input.value).toBe('28');
+    fireEvent.click(undo);
+    expect(input.value).toBe('24');
+    fireEvent.click(undo);
+    expect(input.value).toBe('16');
+    expect(undo.disabled).toBe(true);
+  });
+
+  it('151. Edits that leave the patterns as they were add no undo step', async () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = { velocity: 1, chord: defaultChord, locks: { pitch: 90 } };
+    expect(isSamePattern(pattern, clonePattern(pattern))).toBe(true);
+    expect(isSamePattern(pattern, setStepLock(pattern, 'kick', 0, 'pitch', 80))).toBe(false);
+    expect(isSamePattern(pattern, setTrackLength(pattern, 'kick', 8))).toBe(false);
+
+    const { getByText, findByTitle } = render(<App />);
+    fireEvent.click(getByText(/Initialize Audio/));
+    const undo = await findByTitle('Undo (Ctrl+Z)');
+    fireEvent.click(getByText(/CLEAR/));
+    fireEvent.click(getByText(/CLEAR/));
+    fireEvent.click(undo);
+    expect(undo.disabled).toBe(true);
+  });
+});
+
+// ============================================================================
+// SHAREABLE URL TESTS
+// ============================================================================
+
+/**
+ * Rewrites the 4-bit version at the start of a share hash
+ * @param {string} hash - base64url hash
+ * @param {number} version - Version to write
+ * @returns {string} Hash claiming that version
+ */
+const withShareVersion = (hash, version) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  return alphabet[(version << 2) | (alphabet.indexOf(hash[0]) & 3)] + hash.slice(1);
+};
+
+describe('Shareable URL', () => {
+  /**
+   * App state for a beat, as the hash writer passes it
+   */
+  const createShareState = (overrides = {}) => ({
+    tracks,
+    banks: createBanks(initialPattern),
+    song: [{ bank: 'A', repeats: 1 }],
+    songMode: false,
+    tempo: 85,
+    swing: 50,
+    lofi: defaults.lofi,
+    mixer: createMixer(),
+    voiceParams: createVoiceParams(),
+    sampleParams: {},
+    ...overrides
+  });
+
+  it('120. The whole beat survives a round trip through the hash', () => {
+    const extra = { ...createTrack(tracks, 'chord', 'KEYS'), name: 'Rhodes' };
+    const trackList = [...tracks, extra];
+    let bankA = addPatternTrack(clonePattern(loFiPreset), extra.id, 32);
+    bankA = setStepData(bankA, 'chord', 0, { chord: { root: 9, quality: '11', inversion: 3 } });
+    bankA = recordStep(bankA, extra.id, 5, 2, -0.125);
+    const banks = { ...createBanks(bankA), C: addPatternTrack(clonePattern(trapPreset), extra.id, 16) };
+    const mixer = createMixer(trackList);
+    mixer.snare = { volume: 1.25, pan: -0.3, mute: true, solo: false };
+    const voiceParams = createVoiceParams(trackList);
+    voiceParams.hihat.decay = 0.125;
+    const state = createShareState({
+      tracks: trackList,
+      banks,
+      song: [{ bank: 'A', repeats: 2 }, { bank: 'C', repeats: 16 }],
+      songMode: true,
+      tempo: 142,
+      swing: 63,
+      lofi: { bits: 5, rate: 0.35, mix: 0.6 },
+      mixer,
+      voiceParams
+    });
+
+    const beat = decodeShareHash(`#${encodeShareHash(state)}`);
+    expect(beat.tracks.map(({ id, name, instrument }) => ({ id, name, instrument })))
+      .toEqual(trackList.map(({ id, name, instrument }) => ({ id, name, instrument })));
+    expect(beat.banks).toEqual(banks);
+    expect(beat.song).toEqual(state.song);
+    expect(beat.songMode).toBe(true);
+    expect([beat.tempo, beat.swing]).toEqual([142, 63]);
+    expect(beat.lofi).toEqual(state.lofi);
+    expect(beat.mixer).toEqual(mixer);
+    expect(beat.voiceParams).toEqual(voiceParams);
+  });
+
+  it('121. The hash is compact base64url', () => {
+    const empty = encodeShareHash(createShareState());
+    expect(empty).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(empty.length).toBeLessThan(48);
+
+    const full = encodeShareHash(createShareState({ banks: createBanks(jazzPreset) }));
+    expect(full).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(full.length).toBeLessThan(96);
+    expect(decodeShareHash('')).toBeNull();
+    expect(decodeShareHash('#')).toBeNull();
+  });
+
+  it('122. Invalid or truncated hashes are rejected with a ShareUrlError', () => {
+    const hash = encodeShareHash(createShareState({ banks: createBanks(loFiPreset) }));
+    for (let length = 1; length < hash.length; length++) {
+      expect(() => decodeShareHash(hash.slice(0, length))).toThrow(ShareUrlError);
+    }
+    expect(() => decodeShareHash(`${hash}AA`)).toThrow(ShareUrlError);
+    expect(() => decodeShareHash('#not a beat!')).toThrow(ShareUrlError);
+    expect(() => decodeShareHash('#_w')).toThrow(/version 15/);
+
+    const unknown = encodeShareHash(createShareState({
+      tracks: [{ id: 'theremin', name: 'OOH', instrument: 'theremin' }],
+      banks: createBanks({ theremin: [1, 0, 0, 0] })
+    }));
+    try {
+      decodeShareHash(unknown);
+      throw new Error('expected an error');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ShareUrlError);
+      expect(error.problems).toEqual(['tracks[0].instrument: unknown instrument "theremin"']);
+    }
+  });
+
+  it('145. Older links decode with the step fields of their version', () => {
+    let bankA = setStepData(clonePattern(loFiPreset), 'chord', 0, { chord: { root: 2, quality: 'm7', inversion: 0 } });
+    bankA = setStepData(bankA, 'kick', 0, { nudge: 0.25 });
+    const v1 = withShareVersion(encodeShareHash(createShareState({ banks: createBanks(bankA) })), 1);
+    expect(decodeShareHash(v1).banks.A).toEqual(bankA);
+
+    const withProbability = setStepData(bankA, 'kick', 0, { probability: 50 });
+    const hash = encodeShareHash(createShareState({ banks: createBanks(withProbability) }));
+    expect(decodeShareHash(withShareVersion(hash, 2)).banks.A).toEqual(withProbability);
+    expect(() => decodeShareHash(withShareVersion(hash, 1))).toThrow(/unknown step field/);
+  });
+});
+
+// ============================================================================
+// STEP PROBABILITY & CONDITION TESTS
+// ============================================================================
+
+describe('Step Probability and Conditions', () => {
+  it('123. Conditions pick the loops a step plays on', () => {
+    const loops = (condition) => [0, 1, 2, 3, 4, 5].filter(loop => isConditionMet(condition, loop));
+    expect(loops('first')).toEqual([0]);
+    expect(loops('not-first')).toEqual([1, 2, 3, 4, 5]);
+    expect(loops('1:2')).toEqual([0, 2, 4]);
+    expect(loops('2:4')).toEqual([1, 5]);
+    expect(loops('3:3')).toEqual([2, 5]);
+    expect(stepConditions.map(option => option.value)).toContain('4:4');
+  });
+
+  it('124. isStepTriggered rolls the probability after the condition', () => {
+    const random = vi.fn(() => 0.5);
+    expect(isStepTriggered(1, 3, random)).toBe(true);
+    expect(isStepTriggered({ velocity: 1, probability: 60 }, 0, random)).toBe(true);
+    expect(isStepTriggered({ velocity: 1, probability: 40 }, 0, random)).toBe(false);
+    expect(isStepTriggered({ velocity: 1, probability: 0 }, 0, () => 0)).toBe(false);
+    expect(random).toHaveBeenCalledTimes(2);
+
+    // A step held back by its condition doesn't use up a random number
+    expect(isStepTriggered({ velocity: 1, probability: 60, condition: 'first' }, 1, random)).toBe(false);
+    expect(random).toHaveBeenCalledTimes(2);
+
+    expect(getStepTriggerLabel({ velocity: 1, probability: 60, condition: 'not-first' })).toBe('!1st 60%');
+    expect(getStepTriggerLabel({ velocity: 1, condition: '2:4' })).toBe('2:4');
+    expect(getStepTriggerLabel(1)).toBeNull();
+  });
+
+  it('125. createRandom replays the same numbers for the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const numbers = Array.from({ length: 100 }, () => first());
+
+    expect(Array.from({ length: 100 }, () => second())).toEqual(numbers);
+    expect(numbers.every(n => n >= 0 && n < 1)).toBe(true);
+    expect(new Set(numbers).size).toBe(100);
+    expect(createRandom(43)()).not.toBe(numbers[0]);
+  });
+
+  it('126. The Scheduler counts loops and passes them to onSchedule', () => {
+    const onSchedule = vi.fn();
+    const scheduler = new Scheduler({
+      audioContext: { currentTime: 0 },
+      onStep: vi.fn(),
+      onSchedule,
+      tempo: 120,
+      steps: 4
+    });
+
+    scheduler.scheduleAheadTime = 1.2; // 10 steps at 120 BPM
+    scheduler.scheduler();
+    expect(onSchedule.mock.calls.map(([, , , loop]) => loop)).toEqual([0, 0, 0, 0, 1, 1, 1, 1, 2, 2]);
+
+    scheduler.reset();
+    expect(scheduler.loop).toBe(0);
+  });
+
+  it('127. scheduleStepSounds honours conditions and seeded probability', async () => {
+    const engine = new AudioEngine({ seed: 7 });
+    await engine.init();
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = { velocity: 1, condition: '2:2' };
+    pattern.kick[1] = { velocity: 1, probability: 50 };
+    engine.setPattern(pattern);
+
+    const createOscillator = vi.spyOn(engine.context, 'createOscillator');
+    engine.scheduleStepSounds(0, 0, 0, 0);
+    expect(createOscillator).not.toHaveBeenCalled();
+    engine.scheduleStepSounds(0, 0, 16, 1);
+    expect(createOscillator).toHaveBeenCalledTimes(1);
+
+    /**
+     * Loops (of 32) on which the 50% step plays for a seed
+     */
+    const rolls = (seed) => {
+      engine.seedRandom(seed);
+      return Array.from({ length: 32 }, (_, loop) => {
+        const before = createOscillator.mock.calls.length;
+        engine.scheduleStepSounds(1, 0, loop * 16 + 1, loop);
+        return createOscillator.mock.calls.length > before;
+      });
+    };
+    const played = rolls(99);
+    expect(rolls(99)).toEqual(played);
+    expect(played.filter(Boolean).length).toBeGreaterThan(8);
+    expect(played.filter(Boolean).length).toBeLessThan(24);
+    engine.destroy();
+  });
+
+  it('128. Probability and conditions are saved, shared and exported', () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = { velocity: 1, condition: 'first' };
+    pattern.kick[4] = { velocity: 2, probability: 35, condition: '1:3' };
+    pattern.kick[8] = { velocity: 1, probability: 0 };
+
+    // 24 ticks per 16th: step 4 plays on loops 0 and 3 of 4
+    const kickNotes = getMidiTracks({ pattern, tempo: 120, bars: 4 })[1]
+      .filter(event => event.data[0] === 0x99);
+    expect(kickNotes.map(event => event.tick)).toEqual([0, 4 * 24, (48 + 4) * 24]);
+
+    const project = createProject({
+      tracks,
+      banks: createBanks(pattern),
+      song: [{ bank: 'A', repeats: 1 }],
+      songMode: false,
+      tempo: 90,
+      swing: 50,
+      lofi: defaults.lofi,
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+    expect(parseProject(serializeProject(project)).banks.A.kick).toEqual(pattern.kick);
+    expect(decodeShareHash(encodeShareHash(project)).banks.A.kick).toEqual(pattern.kick);
+
+    project.banks.A.snare[0] = { velocity: 1, probability: 120, condition: 'sometimes' };
+    expect(() => parseProject(serializeProject(project))).toThrow(/probability[\s\S]*"sometimes"/);
+  });
+});
+
+describe('Ratchets', () => {
+  it('129. getRatchetOffsets spreads the repeats of a step', () => {
+    expect(getRatchetOffsets(1)).toEqual([0]);
+    expect(getRatchetOffsets({ velocity: 1, ratchet: 2 })).toEqual([0, 0.5]);
+    expect(getRatchetOffsets({ velocity: 1, ratchet: 4 })).toEqual([0, 0.25, 0.5, 0.75]);
+    expect(getRatchetOffsets({ velocity: 1, ratchet: 4, ratchetDivision: '32nd' })).toEqual([0, 0.5, 1, 1.5]);
+
+    const triplets = getRatchetOffsets({ velocity: 1, ratchet: 3, ratchetDivision: 'triplet' });
+    [0, 2 / 3, 4 / 3].forEach((offset, index) => expect(triplets[index]).toBeCloseTo(offset));
+    expect(trapPreset.hihat.some(value => getRatchetOffsets(value).length > 1)).toBe(true);
+  });
+
+  it('130. scheduleStepSounds plays each repeat at its exact time', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setTempo(120);
+    const pattern = clonePattern(initialPattern);
+    pattern.hihat[0] = { velocity: 1, ratchet: 3 };
+    pattern.hihat[1] = { velocity: 2, ratchet: 2, ratchetDivision: 'triplet', nudge: 0.1 };
+    engine.setPattern(pattern);
+
+    // 0.125 s per 16th at 120 BPM
+    const playSample = vi.spyOn(engine, 'playSample');
+    engine.scheduleStepSounds(0, 10);
+    expect(playSample.mock.calls.map(call => call[1])).toEqual([10, 10 + 0.125 / 3, 10 + 0.25 / 3]);
+
+    playSample.mockClear();
+    engine.scheduleStepSounds(1, 10.125);
+    const times = playSample.mock.calls.map(call => call[1]);
+    expect(times).toHaveLength(2);
+    expect(times[0]).toBeCloseTo(10.1375);
+    expect(times[1]).toBeCloseTo(10.1375 + 0.125 * 2 / 3);
+    expect(playSample.mock.calls.every(call => call[0] === 'hihat')).toBe(true);
+    engine.destroy();
+  });
+
+  it('131. Ratchets are saved, shared and exported', () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.hihat[0] = { velocity: 1, ratchet: 4 };
+    pattern.hihat[2] = { velocity: 3, ratchet: 2, ratchetDivision: '32nd' };
+
+    // 24 ticks per 16th; each repeat ends by the next one
+    const hihatNotes = getMidiTracks({ pattern, tempo: 120, bars: 1 })[3];
+    const noteOns = hihatNotes.filter(event => event.data[0] === 0x99);
+    expect(noteOns.map(event => event.tick)).toEqual([0, 6, 12, 18, 48, 60]);
+    const firstOff = hihatNotes.find(event => event.data[0] === 0x89);
+    expect(firstOff.tick).toBe(6);
+
+    const project = createProject({
+      tracks,
+      banks: createBanks(pattern),
+      song: [{ bank: 'A', repeats: 1 }],
+      songMode: false,
+      tempo: 90,
+      swing: 50,
+      lofi: defaults.lofi,
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+    expect(parseProject(serializeProject(project)).banks.A.hihat).toEqual(pattern.hihat);
+    expect(decodeShareHash(encodeShareHash(project)).banks.A.hihat).toEqual(pattern.hihat);
+
+    project.banks.A.snare[0] = { velocity: 1, ratchet: 5, ratchetDivision: 'dotted' };
+    expect(() => parseProject(serializeProject(project))).toThrow(/ratchet[\s\S]*"dotted"/);
+  });
+
+  it('147. Ratchets need version 4 projects and version 3 links', () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.hihat[0] = { velocity: 1, ratchet: 3, ratchetDivision: 'triplet' };
+    const project = createProject({
+      tracks,
+      banks: createBanks(pattern),
+      song: [{ bank: 'A', repeats: 1 }],
+      songMode: false,
+      tempo: 90,
+      swing: 50,
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+    expect(() => parseProject(serializeProject({ ...project, version: 3 }))).toThrow(/ratchet: not part of version 3/);
+    expect(parseProject(serializeProject({ ...project, version: 3, banks: { A: initialPattern } })).banks.A)
+      .toEqual(initialPattern);
+
+    const hash = encodeShareHash({ ...project, lofi: defaults.lofi });
+    expect(decodeShareHash(withShareVersion(hash, 3)).banks.A.hihat[0]).toEqual(pattern.hihat[0]);
+    expect(() => decodeShareHash(withShareVersion(hash, 2))).toThrow(/unknown step field/);
+  });
+});
+
+describe('Micro-timing Nudge', () => {
+  it('132. shiftNudge moves active steps within half a 16th', () => {
+    let pattern = clonePattern(initialPattern);
+    pattern.snare[4] = { velocity: 2, probability: 50 };
+
+    pattern = shiftNudge(pattern, 'snare', 4, 0.15);
+    expect(pattern.snare[4]).toEqual({ velocity: 2, probability: 50, nudge: 0.15 });
+    pattern = shiftNudge(pattern, 'snare', 4, 1);
+    expect(pattern.snare[4].nudge).toBe(0.5);
+    pattern = shiftNudge(pattern, 'snare', 4, -0.5);
+    expect(pattern.snare[4]).toEqual({ velocity: 2, probability: 50 });
+
+    // Off steps have nothing to move
+    expect(shiftNudge(pattern, 'snare', 5, 0.1)).toBe(pattern);
+    expect(formatNudge(0.25)).toBe('+25%');
+    expect(formatNudge(-0.1)).toBe('-10%');
+  });
+
+  it('133. The Scheduler looks further ahead for early hits', () => {
+    const mockContext = { currentTime: 0 };
+    const onSchedule = vi.fn();
+    const plain = new Scheduler({ audioContext: mockContext, onStep: vi.fn(), onSchedule, tempo: 120 });
+    plain.start();
+    plain.stop();
+    expect(onSchedule).toHaveBeenCalledTimes(1);
+
+    // Half a 16th at 120 BPM is 62.5 ms: the 125 ms step is now in the window
+    onSchedule.mockClear();
+    const early = new Scheduler({ audioContext: mockContext, onStep: vi.fn(), onSchedule, tempo: 120, early: 0.5 });
+    early.start();
+    early.stop();
+    expect(onSchedule.mock.calls.map(call => call[1])).toEqual([0, 0.125]);
+  });
+
+  it('134. Early steps sound ahead of the grid instead of late', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    engine.setTempo(120);
+    expect(engine.scheduler.early).toBe(defaults.maxNudge);
+
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[1] = { velocity: 1, nudge: -0.5 };
+    pattern.snare[1] = { velocity: 1, nudge: 0.25 };
+    engine.setPattern(pattern);
+
+    const playSample = vi.spyOn(engine, 'playSample');
+    engine.scheduleStepSounds(1, engine.context.currentTime + 0.125);
+    const times = Object.fromEntries(playSample.mock.calls.map(call => [call[0], call[1] - engine.context.currentTime]));
+    expect(times.kick).toBeCloseTo(0.0625);
+    expect(times.snare).toBeCloseTo(0.15625);
+    engine.destroy();
+  });
+});
+
+describe('Parameter Locks', () => {
+  it('135. setStepLock locks and releases parameters of active steps', () => {
+    let pattern = clonePattern(initialPattern);
+    pattern.kick[0] = { velocity: 2, nudge: 0.1 };
+
+    pattern = setStepLock(pattern, 'kick', 0, 'pitch', 220);
+    pattern = setStepLock(pattern, 'kick', 0, 'decay', 0.3);
+    expect(pattern.kick[0]).toEqual({ velocity: 2, nudge: 0.1, locks: { pitch: 220, decay: 0.3 } });
+    pattern = setStepLock(pattern, 'kick', 0, 'pitch', undefined);
+    expect(pattern.kick[0].locks).toEqual({ decay: 0.3 });
+    pattern = setStepLock(pattern, 'kick', 0, 'decay', undefined);
+    expect(pattern.kick[0]).toEqual({ velocity: 2, nudge: 0.1 });
+
+    // Off steps have nothing to lock
+    expect(setStepLock(pattern, 'kick', 1, 'pitch', 200)).toBe(pattern);
+  });
+
+  it('136. scheduleStepSounds merges locks over the track parameters', async () => {
+    const engine = new AudioEngine();
+    await engine.init();
+    const pattern = clonePattern(initialPattern);
+    pattern.kick[0] = { velocity: 1, locks: { pitch: 90 } };
+    pattern.kick[1] = 1;
+    engine.setPattern(pattern);
+    engine.setVoiceParams({ ...createVoiceParams(), kick: { pitch: 150, pitchEnd: 60, decay: 0.5 } });
+
+    const play = vi.spyOn(instruments.kick, 'play');
+    engine.scheduleStepSounds(0, 0);
+    engine.scheduleStepSounds(1, 0.1);
+    expect(play.mock.calls[0][4]).toEqual({ pitch: 90, pitchEnd: 60, decay: 0.5 });
+    expect(play.mock.calls[1][4]).toEqual({ pitch: 150, pitchEnd: 60, decay: 0.5 });
+    play.mockRestore();
+    engine.destroy();
+  });
+
+  it('137. Locks are saved, shared and shorten exported chords', () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.snare[4] = { velocity: 1, locks: { decay: 0.5, cutoff: 3000 } };
+    pattern.chord[0] = { velocity: 1, chord: defaultChord, locks: { decay: 0.25 } };
+    pattern.chord[8] = { velocity: 1, chord: defaultChord };
+
+    // 0.125 s per 16th at 120 BPM: a 0.25 s decay is two 16ths (48 ticks)
+    const chordEvents = getMidiTracks({ pattern, tempo: 120, bars: 1 })[4];
+    const offTicks = chordEvents.filter(event => (event.data[0] & 0xf0) === 0x80).map(event => event.tick);
+    expect(offTicks[0]).toBe(48);
+    expect(offTicks[offTicks.length - 1]).toBeGreaterThan(8 * 24 + 48);
+
+    const project = createProject({
+      tracks,
+      banks: createBanks(pattern),
+      song: [{ bank: 'A', repeats: 1 }],
+      songMode: false,
+      tempo: 120,
+      swing: 50,
+      lofi: defaults.lofi,
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+    expect(parseProject(serializeProject(project)).banks.A).toEqual(pattern);
+    expect(decodeShareHash(encodeShareHash(project)).banks.A).toEqual(pattern);
+
+    project.banks.A.kick[0] = { velocity: 1, locks: { cutoff: 500, pitch: 9999 } };
+    expect(() => parseProject(serializeProject(project))).toThrow(/locks\.cutoff[\s\S]*locks\.pitch/);
+  });
+
+  it('148. Locks need version 5 projects and version 4 links', () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.snare[4] = { velocity: 1, locks: { decay: 0.5 } };
+    const project = createProject({
+      tracks,
+      banks: createBanks(pattern),
+      song: [{ bank: 'A', repeats: 1 }],
+      songMode: false,
+      tempo: 120,
+      swing: 50,
+      mixer: createMixer(),
+      voiceParams: createVoiceParams(),
+      sampleParams: {}
+    });
+    expect(() => parseProject(serializeProject({ ...project, version: 4 }))).toThrow(/locks: not part of version 4/);
+    expect(parseProject(serializeProject({ ...project, version: 4, banks: { A: initialPattern } })).banks.A)
+      .toEqual(initialPattern);
+
+    const hash = encodeShareHash({ ...project, lofi: defaults.lofi });
+    expect(decodeShareHash(withShareVersion(hash, 4)).banks.A.snare[4]).toEqual(pattern.snare[4]);
+    expect(() => decodeShareHash(withShareVersion(hash, 3))).toThrow(/unknown step field/);
+  });
+});
+
+describe('Euclidean Rhythms', () => {
+  /**
+   * Writes a rhythm as x (hit) and . (rest)
+   */
+  const notate = (rhythm) => rhythm.map(hit => (hit ? 'x' : '.')).join('');
+
+  it('138. euclideanRhythm matches Bjorklund', () => {
+    expect(euclideanRhythm(3, 8)).toEqual([1, 0, 0, 1, 0, 0, 1, 0]);
+    expect(euclideanRhythm(5, 16)).toEqual([1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 0]);
+    expect(notate(euclideanRhythm(5, 8))).toBe('x.xx.xx.');
+    expect(notate(euclideanRhythm(7, 16))).toBe('x..x.x.x..x.x.x.');
+    expect(notate(euclideanRhythm(2, 5))).toBe('x.x..');
+    expect(notate(euclideanRhythm(0, 4))).toBe('....');
+    expect(notate(euclideanRhythm(6, 4))).toBe('xxxx');
+  });
+
+  it('139. Rotation moves every hit later, wrapping round', () => {
+    expect(notate(euclideanRhythm(3, 8, 1))).toBe('.x..x..x');
+    expect(notate(euclideanRhythm(3, 8, 2))).toBe('x.x..x..');
+    expect(euclideanRhythm(3, 8, -1)).toEqual(euclideanRhythm(3, 8, 7));
+    expect(euclideanRhythm(3, 8, 8)).toEqual(euclideanRhythm(3, 8));
+  });
+
+  it('140. applyEuclidean fills and resizes one track, keeping hit steps', () => {
+    const pattern = clonePattern(initialPattern);
+    pattern.hihat = new Array(16).fill(0);
+    pattern.hihat[3] = { velocity: 2, probability: 50 };
+    pattern.hihat[4] = 3;
+
+    const filled = applyEuclidean(pattern, 'hihat', { hits: 3, steps: 8, rotation: 0 });
+    expect(filled.hihat).toEqual([1, 0, 0, { velocity: 2, probability: 50 }, 0, 0, 1, 0]);
+    expect(filled.kick).toEqual(pattern.kick);
+    expect(pattern.hihat).toHaveLength(16);
+
+    expect(applyEuclidean(pattern, 'hihat', { hits: 2, steps: 100 }).hihat).toHaveLength(defaults.maxSteps);
+  });
+});
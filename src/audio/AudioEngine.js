@@ -5,8 +5,40 @@
  * master effects chain, and instrument scheduling.
  */
 
-import { createKick, createSnare, createHiHat, createChord } from './SoundGenerator.js';
-import { Scheduler } from './Scheduler.js';
+import {
+  createSample,
+  createLoFiEffect,
+  createVoiceParams,
+  createSampleParams
+} from './SoundGenerator.js';
+import {
+  Scheduler,
+  calculateSixteenthNoteTime,
+  calculateSwingOffset,
+  quantizePosition
+} from './Scheduler.js';
+import { playInstrument, getInstrument } from './instruments.js';
+import { MidiOutput, requestMidiAccess } from './MidiOutput.js';
+import { MidiInput } from './MidiInput.js';
+import { getMidiChannels, getStepNotes } from './MidiExport.js';
+import { getSongPosition } from '../utils/song.js';
+import { createRandom } from '../utils/random.js';
+import {
+  getVelocityGain,
+  getPatternLength,
+  getStepVelocity,
+  getStepData,
+  createMixer,
+  isTrackAudible,
+  isStepTriggered,
+  getRatchetOffsets,
+  velocityLevels,
+  tracks,
+  defaults
+} from '../utils/constants.js';
+
+// Bitcrusher worklet module, resolved by the bundler to a static asset URL
+const bitcrusherUrl = new URL('./worklets/bitcrusher-processor.js', import.meta.url);
 
 /**
  * AudioEngine manages the Web Audio API context, master effects,
@@ -16,21 +48,69 @@ export class AudioEngine {
   /**
    * Creates a new AudioEngine instance
    * Note: AudioContext is NOT created in constructor due to browser autoplay policies
+   * @param {Object} [options] - Engine options
+   * @param {BaseAudioContext} [options.context] - Existing context to render into
+   *   (e.g. an OfflineAudioContext for WAV export)
+   * @param {MIDIAccess} [options.midiAccess] - Web MIDI access to use instead
+   *   of requesting it from the browser (e.g. a fake in tests)
+   * @param {number} [options.seed] - Seed for step probabilities, so the
+   *   same variations play every time (random when omitted)
    */
-  constructor() {
-    this.context = null; // AudioContext - initialized on user interaction
+  constructor({ context = null, midiAccess = null, seed } = {}) {
+    this.context = context; // AudioContext - initialized on user interaction
     this.masterGain = null; // GainNode for master volume
     this.compressor = null; // DynamicsCompressorNode for limiting
     
+    // Lo-fi degradation stage (bitcrusher + sample rate reducer)
+    this.crusher = null; // AudioWorkletNode, ScriptProcessorNode fallback, or null
+    this.crusherType = 'none'; // 'worklet' | 'script' | 'none'
+    this.crusherDry = null; // GainNode for the clean signal
+    this.crusherWet = null; // GainNode for the crushed signal
+    this.lofi = { ...defaults.lofi }; // { bits, rate, mix }
+    
+    // Track list: order, names and instrument type of each pattern track
+    this.tracks = tracks; // [{ id, name, instrument }]
+    
+    // Per-track channel strips: voice -> gain -> panner -> masterGain
+    this.channels = {}; // trackId -> { gain: GainNode, panner: StereoPannerNode|null }
+    this.mixer = createMixer(); // trackId -> { volume, pan, mute, solo }
+    
+    // Synthesis parameters per track, passed to the generators on every hit
+    this.voiceParams = createVoiceParams(); // trackId -> { pitch, decay, ... }
+    
+    // User samples: decoded buffers are cached here and replace the synth
+    // voice of their track while active
+    this.samples = {}; // trackId -> { buffer: AudioBuffer, name: string, active: boolean }
+    this.sampleParams = createSampleParams(); // trackId -> { start, pitch, decay }
+    
     this.tempo = 85; // Default lo-fi BPM
+    this.swing = 50; // Percent, 50 = straight 16ths
     this.isPlaying = false;
     this.currentStep = 0;
+    this.currentTick = 0; // Running 16th count, each track loops over it
     
     // Scheduler configuration
     this.scheduler = null;
     
     // Pattern data (set from outside)
     this.pattern = null;
+    
+    // Song mode: when a song is set, each tick is resolved to an entry of
+    // the arrangement and its bank's pattern instead of looping this.pattern
+    this.song = null; // [{ bank, repeats }] or null
+    this.banks = null; // bank name -> pattern
+    
+    // MIDI out: notes for each track and MIDI clock, sent alongside the audio
+    this.midiOutput = new MidiOutput(midiAccess);
+    this.midiChannels = getMidiChannels(tracks); // trackId -> zero-based channel
+    
+    // MIDI in: pad hits are played at once, and recorded ones that land on a
+    // step not yet scheduled are skipped there so they don't sound twice
+    this.midiInput = new MidiInput(midiAccess);
+    this.liveHits = new Set(); // "trackId:tick" keys
+    
+    // Dice for step probabilities; seedable so tests are repeatable
+    this.random = createRandom(seed);
   }
 
   /**
@@ -53,19 +133,24 @@ export class AudioEngine {
     // Setup master effects chain only once
     if (!this.masterGain) {
       this.setupMasterChain();
+      await this.setupLoFi();
     }
     
     // Initialize scheduler
     if (!this.scheduler) {
       this.scheduler = new Scheduler({
         audioContext: this.context,
-        onStep: (step) => {
+        onStep: (step, tick) => {
           this.currentStep = step;
+          this.currentTick = tick;
         },
-        onSchedule: (step, time) => {
-          this.scheduleStepSounds(step, time);
+        onSchedule: (step, time, tick, loop) => {
+          this.scheduleStepSounds(step, time, tick, loop);
         },
-        tempo: this.tempo
+        tempo: this.tempo,
+        swing: this.swing,
+        steps: this.pattern ? getPatternLength(this.pattern) : 16,
+        early: defaults.maxNudge
       });
     }
     
@@ -73,7 +158,8 @@ export class AudioEngine {
   }
 
   /**
-   * Sets up the master audio chain: source -> gain -> compressor -> destination
+   * Sets up the master audio chain:
+   * source -> gain -> (dry | bitcrusher -> wet) -> compressor -> destination
    * The compressor prevents clipping and adds subtle glue to the mix
    */
   setupMasterChain() {
@@ -88,38 +174,631 @@ export class AudioEngine {
     this.compressor.attack.value = 0.003; // 3ms attack (fast)
     this.compressor.release.value = 0.25; // 250ms release
     
-    // Connect chain: masterGain -> compressor -> speakers
-    this.masterGain.connect(this.compressor);
+    // Wet/dry split around the bitcrusher; the crusher itself is wired
+    // in by setupLoFi() once it has loaded
+    this.crusherDry = this.context.createGain();
+    this.crusherWet = this.context.createGain();
+    this.applyLoFiMix();
+    
+    // Connect chain: masterGain -> dry/wet -> compressor -> speakers
+    this.masterGain.connect(this.crusherDry);
+    this.crusherDry.connect(this.compressor);
+    this.crusherWet.connect(this.compressor);
     this.compressor.connect(this.context.destination);
+    
+    this.tracks.forEach(track => this.setupChannel(track.id));
   }
 
   /**
-   * Schedules sounds for a specific step based on the current pattern
-   * @param {number} step - The step index (0-15)
+   * Replaces the track list
+   * Channel strips are created for new tracks and torn down for removed ones
+   * @param {Array<Object>} trackList - Tracks { id, name, instrument }
+   */
+  setTracks(trackList) {
+    this.tracks = trackList;
+    this.midiChannels = getMidiChannels(trackList);
+    if (!this.masterGain) return;
+    
+    const ids = new Set(trackList.map(track => track.id));
+    Object.keys(this.channels).forEach(id => {
+      if (ids.has(id)) return;
+      const { gain, panner } = this.channels[id];
+      gain.disconnect();
+      if (panner) panner.disconnect();
+      delete this.channels[id];
+    });
+    trackList.forEach(track => {
+      if (!this.channels[track.id]) this.setupChannel(track.id);
+    });
+  }
+
+  /**
+   * Creates a channel strip for a track and connects it to the master gain
+   * StereoPannerNode is skipped on browsers that lack it (pan is ignored)
+   * @param {string} track - Track ID
+   */
+  setupChannel(track) {
+    const gain = this.context.createGain();
+    const panner = this.context.createStereoPanner ? this.context.createStereoPanner() : null;
+    
+    if (panner) {
+      gain.connect(panner);
+      panner.connect(this.masterGain);
+    } else {
+      gain.connect(this.masterGain);
+    }
+    
+    this.channels[track] = { gain, panner };
+    this.applyChannel(track);
+  }
+
+  /**
+   * Pushes a track's volume and pan settings to its channel nodes
+   * @param {string} track - Track ID
+   */
+  applyChannel(track) {
+    const channel = this.channels[track];
+    const settings = this.mixer[track];
+    if (!channel || !settings) return;
+    
+    channel.gain.gain.value = settings.volume;
+    if (channel.panner) {
+      channel.panner.pan.value = settings.pan;
+    }
+  }
+
+  /**
+   * Returns the node a track's voices should connect to
+   * @param {string} track - Track ID
+   * @returns {AudioNode} Channel input, or the master gain as a fallback
+   */
+  getTrackOutput(track) {
+    return this.channels[track] ? this.channels[track].gain : this.masterGain;
+  }
+
+  /**
+   * Updates one mixer setting for a track
+   * Volume and pan change immediately; mute and solo are read when the next
+   * step is scheduled, so notes already in the lookahead window still finish
+   * @param {string} track - Track ID
+   * @param {string} param - 'volume', 'pan', 'mute' or 'solo'
+   * @param {number|boolean} value - New value
+   */
+  setTrackMixer(track, param, value) {
+    if (!this.mixer[track]) {
+      this.mixer[track] = { ...defaults.channel };
+    }
+    this.mixer[track] = { ...this.mixer[track], [param]: value };
+    this.applyChannel(track);
+  }
+
+  /**
+   * Sets a track's volume
+   * @param {string} track - Track ID
+   * @param {number} volume - Linear gain (0-1.5)
+   */
+  setTrackVolume(track, volume) {
+    this.setTrackMixer(track, 'volume', Math.min(defaults.maxVolume, Math.max(0, volume)));
+  }
+
+  /**
+   * Sets a track's stereo position
+   * @param {string} track - Track ID
+   * @param {number} pan - -1 (left) to 1 (right)
+   */
+  setTrackPan(track, pan) {
+    this.setTrackMixer(track, 'pan', Math.min(1, Math.max(-1, pan)));
+  }
+
+  /**
+   * Mutes or unmutes a track
+   * @param {string} track - Track ID
+   * @param {boolean} mute - True to silence the track
+   */
+  setTrackMute(track, mute) {
+    this.setTrackMixer(track, 'mute', Boolean(mute));
+  }
+
+  /**
+   * Solos or unsolos a track
+   * @param {string} track - Track ID
+   * @param {boolean} solo - True to hear only soloed tracks
+   */
+  setTrackSolo(track, solo) {
+    this.setTrackMixer(track, 'solo', Boolean(solo));
+  }
+
+  /**
+   * Replaces all mixer settings (used for offline renders and loading)
+   * @param {Object} mixer - Map of track ID to { volume, pan, mute, solo }
+   */
+  setMixer(mixer) {
+    this.mixer = Object.keys(mixer).reduce((copy, track) => {
+      copy[track] = { ...defaults.channel, ...mixer[track] };
+      return copy;
+    }, {});
+    Object.keys(this.channels).forEach(track => this.applyChannel(track));
+  }
+
+  /**
+   * Loads the bitcrusher and inserts it into the master chain
+   * Prefers the AudioWorklet processor, falls back to a ScriptProcessorNode,
+   * and leaves the chain dry if neither is available
+   * @returns {Promise<string>} The crusher type in use
+   */
+  async setupLoFi() {
+    if (this.crusher || !this.masterGain) return this.crusherType;
+    
+    if (this.context.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      try {
+        await this.context.audioWorklet.addModule(bitcrusherUrl);
+        this.crusher = new AudioWorkletNode(this.context, 'bitcrusher', {
+          outputChannelCount: [2],
+          parameterData: { bits: this.lofi.bits, rate: this.lofi.rate }
+        });
+        this.crusherType = 'worklet';
+      } catch {
+        // Fall through to the ScriptProcessor version; crusherType reports which is in use
+      }
+    }
+    
+    if (!this.crusher && this.context.createScriptProcessor) {
+      // The fallback reads these settings live on every block
+      this.crusher = createLoFiEffect(this.context, { bits: this.lofi.bits, rate: this.lofi.rate });
+      this.crusherType = 'script';
+    }
+    
+    if (this.crusher) {
+      this.masterGain.connect(this.crusher);
+      this.crusher.connect(this.crusherWet);
+    }
+    
+    this.applyLoFiMix();
+    return this.crusherType;
+  }
+
+  /**
+   * Pushes a bitcrusher parameter to whichever crusher is active
+   * @param {string} name - 'bits' or 'rate'
+   * @param {number} value - New value
+   */
+  applyLoFiParam(name, value) {
+    if (this.crusherType === 'worklet') {
+      this.crusher.parameters.get(name).setValueAtTime(value, this.context.currentTime);
+    } else if (this.crusherType === 'script') {
+      this.crusher.settings[name] = value;
+    }
+  }
+
+  /**
+   * Sets the wet/dry gains from the mix setting
+   * Without a crusher the chain stays fully dry so nothing goes silent
+   */
+  applyLoFiMix() {
+    if (!this.crusherDry) return;
+    
+    const mix = this.crusher ? this.lofi.mix : 0;
+    this.crusherDry.gain.value = 1 - mix;
+    this.crusherWet.gain.value = mix;
+  }
+
+  /**
+   * Sets the bitcrusher bit depth
+   * @param {number} bits - Bit depth (1-16), lower is dirtier
+   */
+  setCrushBits(bits) {
+    this.lofi.bits = Math.min(16, Math.max(1, bits));
+    this.applyLoFiParam('bits', this.lofi.bits);
+  }
+
+  /**
+   * Sets the sample rate reduction
+   * @param {number} rate - Normalized rate (0.01-1), 1 = full sample rate
+   */
+  setCrushRate(rate) {
+    this.lofi.rate = Math.min(1, Math.max(0.01, rate));
+    this.applyLoFiParam('rate', this.lofi.rate);
+  }
+
+  /**
+   * Sets the bitcrusher wet/dry mix
+   * @param {number} mix - 0 (clean) to 1 (fully crushed)
+   */
+  setCrushMix(mix) {
+    this.lofi.mix = Math.min(1, Math.max(0, mix));
+    this.applyLoFiMix();
+  }
+
+  /**
+   * Updates one synthesis parameter for a track
+   * Takes effect from the next scheduled hit
+   * @param {string} track - Track ID
+   * @param {string} key - Parameter key (see voiceParameters)
+   * @param {number} value - New value
+   */
+  setVoiceParam(track, key, value) {
+    this.voiceParams = {
+      ...this.voiceParams,
+      [track]: { ...this.voiceParams[track], [key]: value }
+    };
+  }
+
+  /**
+   * Replaces the synthesis parameters of every track
+   * @param {Object} voiceParams - Map of track ID to parameter object
+   */
+  setVoiceParams(voiceParams) {
+    this.voiceParams = { ...createVoiceParams(this.tracks), ...voiceParams };
+  }
+
+  /**
+   * Decodes an audio file and assigns it to a track
+   * The track switches to the sample straight away
+   * @param {string} track - Track ID
+   * @param {ArrayBuffer} data - Encoded audio file contents
+   * @param {string} name - File name, for display
+   * @returns {Promise<AudioBuffer>} The decoded sample
+   */
+  async loadSample(track, data, name) {
+    if (!this.context) {
+      throw new Error('Audio must be initialized before loading samples');
+    }
+    
+    const buffer = await this.context.decodeAudioData(data);
+    this.samples = { ...this.samples, [track]: { buffer, name, active: true } };
+    return buffer;
+  }
+
+  /**
+   * Switches a track between its sample and its synth voice
+   * @param {string} track - Track ID
+   * @param {boolean} active - True to play the loaded sample
+   */
+  setSampleActive(track, active) {
+    if (!this.samples[track]) return;
+    this.samples = { ...this.samples, [track]: { ...this.samples[track], active } };
+  }
+
+  /**
+   * Removes a track's sample, returning it to its synth voice
+   * @param {string} track - Track ID
+   */
+  removeSample(track) {
+    const { [track]: removed, ...rest } = this.samples;
+    this.samples = rest;
+  }
+
+  /**
+   * Replaces every loaded sample (e.g. to share buffers with an offline render)
+   * @param {Object} samples - Map of track ID to { buffer, name, active }
+   */
+  setSamples(samples) {
+    this.samples = { ...samples };
+  }
+
+  /**
+   * Updates one sample voice parameter for a track
+   * @param {string} track - Track ID
+   * @param {string} key - Parameter key (see sampleParameters)
+   * @param {number} value - New value
+   */
+  setSampleParam(track, key, value) {
+    this.sampleParams = {
+      ...this.sampleParams,
+      [track]: { ...this.sampleParams[track], [key]: value }
+    };
+  }
+
+  /**
+   * Replaces the sample voice parameters of every track
+   * @param {Object} sampleParams - Map of track ID to { start, pitch, decay }
+   */
+  setSampleParams(sampleParams) {
+    this.sampleParams = { ...createSampleParams(this.tracks), ...sampleParams };
+  }
+
+  /**
+   * Plays a track's sample if it is in sample mode
+   * @param {string} track - Track ID
    * @param {number} time - The exact AudioContext time to play
+   * @param {number} velocity - Gain multiplier for the hit
+   * @returns {boolean} True if the sample played in place of the synth voice
    */
-  scheduleStepSounds(step, time) {
-    if (!this.pattern) return;
+  playSample(track, time, velocity) {
+    const sample = this.samples[track];
+    if (!sample?.active) return false;
     
-    // Schedule kick if active
-    if (this.pattern.kick[step]) {
-      createKick(this.context, time, this.masterGain);
+    createSample(this.context, time, this.getTrackOutput(track), velocity, sample.buffer, this.sampleParams[track]);
+    return true;
+  }
+
+  /**
+   * Returns a track's step value at a running tick position
+   * Each track loops over its own length, which gives polymeter
+   * @param {string} track - Track ID
+   * @param {number} tick - Running 16th count
+   * @param {Object} [pattern] - Pattern to read (defaults to the current one)
+   * @returns {number} Step value (velocity level)
+   */
+  getStepValue(track, tick, pattern = this.pattern) {
+    const steps = pattern[track];
+    return steps[tick % steps.length];
+  }
+
+  /**
+   * Updates the pattern banks a song plays from
+   * @param {Object} banks - Map of bank name to pattern
+   */
+  setBanks(banks) {
+    this.banks = banks;
+  }
+
+  /**
+   * Turns song mode on or off
+   * The running tick is taken as the song position, so call reset() to
+   * start the song from its first entry
+   * @param {Array<Object>|null} song - Entries { bank, repeats }, or null to loop the pattern
+   */
+  setSong(song) {
+    this.song = song && song.length ? song : null;
+  }
+
+  /**
+   * Resolves a running tick to the pattern that plays it
+   * @param {number} tick - Running 16th count
+   * @returns {{pattern: Object, tick: number, index: number|null, repeat: number|null}}
+   *   Pattern, tick within it, the song entry index and the entry's repeat
+   *   (both null outside song mode)
+   */
+  resolveTick(tick) {
+    if (!this.song || !this.banks) {
+      return { pattern: this.pattern, tick, index: null, repeat: null };
+    }
+    const position = getSongPosition(this.song, this.banks, tick);
+    return { pattern: this.banks[position.bank], tick: position.tick, index: position.index, repeat: position.repeat };
+  }
+
+  /**
+   * Current playback position for the UI
+   * @returns {{tick: number, index: number|null}} Tick within the playing
+   *   pattern and the song entry index (null outside song mode)
+   */
+  getPlayhead() {
+    const { tick, index } = this.resolveTick(this.currentTick);
+    return { tick, index };
+  }
+
+  /**
+   * Gets Web MIDI access, unless it was passed to the constructor
+   * @returns {Promise<boolean>} True if MIDI is available
+   */
+  async initMidi() {
+    if (!this.midiOutput.access) {
+      const access = await requestMidiAccess();
+      this.midiOutput.setAccess(access);
+      this.midiInput.setAccess(access);
+    }
+    return this.midiOutput.access !== null;
+  }
+
+  /**
+   * Lists the MIDI output ports
+   * @returns {Array<{id: string, name: string}>} Ports
+   */
+  getMidiOutputs() {
+    return this.midiOutput.getOutputs();
+  }
+
+  /**
+   * Lists the MIDI input ports
+   * @returns {Array<{id: string, name: string}>} Ports
+   */
+  getMidiInputs() {
+    return this.midiInput.getInputs();
+  }
+
+  /**
+   * Chooses the MIDI input port to listen to
+   * @param {string|null} id - Port ID, or null to stop listening
+   * @param {Function} onMessage - Called with (message, timestamp); see
+   *   MidiInput.selectInput()
+   * @returns {boolean} True if a port is selected
+   */
+  setMidiInput(id, onMessage) {
+    return this.midiInput.selectInput(id, onMessage);
+  }
+
+  /**
+   * Chooses the MIDI output port that notes and clock are sent to
+   * Hanging notes on the previous port are silenced first
+   * @param {string|null} id - Port ID, or null to turn MIDI out off
+   * @returns {boolean} True if a port is selected
+   */
+  setMidiOutput(id) {
+    this.midiOutput.stop();
+    return this.midiOutput.selectOutput(id);
+  }
+
+  /**
+   * Turns MIDI clock (24 PPQN, with start and stop) on or off
+   * @param {boolean} enabled - True to send clock
+   */
+  setMidiClock(enabled) {
+    this.midiOutput.setClock(enabled);
+  }
+
+  /**
+   * Converts an AudioContext time to a performance.now() timestamp,
+   * which is what Web MIDI schedules messages by
+   * @param {number} time - AudioContext time in seconds
+   * @returns {number} Timestamp in milliseconds
+   */
+  toMidiTimestamp(time) {
+    const now = typeof this.context.getOutputTimestamp === 'function'
+      ? this.context.getOutputTimestamp()
+      : {};
+    if (now.contextTime !== undefined && now.performanceTime !== undefined) {
+      return now.performanceTime + (time - now.contextTime) * 1000;
     }
+    return performance.now() + (time - this.context.currentTime) * 1000;
+  }
+
+  /**
+   * Converts a performance.now() timestamp (e.g. of an incoming MIDI
+   * message) to AudioContext time; the inverse of toMidiTimestamp()
+   * @param {number} timestamp - Timestamp in milliseconds
+   * @returns {number} AudioContext time in seconds
+   */
+  fromMidiTimestamp(timestamp) {
+    return this.context.currentTime + (timestamp - this.toMidiTimestamp(this.context.currentTime)) / 1000;
+  }
+
+  /**
+   * Sends the MIDI notes of one track's hit
+   * Drum notes are short one-shots; chords are held until the track's next
+   * hit, or until the voice has decayed. A ratchet repeat ends by the next
+   * repeat at the latest.
+   * @param {string} id - Track ID
+   * @param {string} instrumentType - Instrument type
+   * @param {number|Object} value - Step value
+   * @param {number} time - AudioContext time of the hit
+   * @param {number} tick - Running 16th count of the hit
+   * @param {number} [offset] - Ratchet repeat's offset into the step, in 16ths
+   * @param {number} [next] - Offset of the following repeat, in 16ths
+   */
+  sendMidiNotes(id, instrumentType, value, time, tick, offset = 0, next = Infinity) {
+    const channel = this.midiChannels[id];
+    const instrument = getInstrument(instrumentType);
+    if (channel === undefined || !instrument) return;
     
-    // Schedule snare if active
-    if (this.pattern.snare[step]) {
-      createSnare(this.context, time, this.masterGain);
+    const stepTime = calculateSixteenthNoteTime(this.tempo);
+    let length = Math.min(stepTime / 2, (next - offset) * stepTime);
+    if (instrument.chords) {
+      // Scan ahead for the next hit, at most the longest track length
+      let gap = 1;
+      while (gap < defaults.maxSteps) {
+        const ahead = this.resolveTick(tick + gap);
+        if (ahead.pattern?.[id] && getStepVelocity(this.getStepValue(id, ahead.tick, ahead.pattern))) break;
+        gap++;
+      }
+      const decay = getStepData(value).locks?.decay ?? this.voiceParams[id]?.decay;
+      length = Math.min((Math.min(gap, next) - offset) * stepTime, decay || Infinity);
     }
     
-    // Schedule hi-hat if active
-    if (this.pattern.hihat[step]) {
-      createHiHat(this.context, time, this.masterGain);
+    // End a hair early so a note-off never lands after the next note-on
+    const timestamp = this.toMidiTimestamp(time);
+    const duration = Math.max(1, length * 1000 - 1);
+    const midiVelocity = velocityLevels[getStepVelocity(value)].midi;
+    getStepNotes(instrument, value).forEach(note => {
+      this.midiOutput.playNote(channel, note, midiVelocity, timestamp, duration);
+    });
+  }
+
+  /**
+   * Plays a track's sound right away (a pad or key hit)
+   * Chord tracks play the default chord
+   * @param {string} id - Track ID
+   * @param {number} velocity - Velocity level (see velocityLevels)
+   */
+  triggerTrack(id, velocity) {
+    const track = this.tracks.find(t => t.id === id);
+    if (!track || !this.masterGain) return;
+    
+    const time = this.context.currentTime;
+    const gain = getVelocityGain(velocity);
+    if (this.playSample(id, time, gain)) return;
+    playInstrument(track.instrument, this.context, time, this.getTrackOutput(id), gain, this.voiceParams[id], velocity);
+  }
+
+  /**
+   * Running 16th nearest to an AudioContext time during playback
+   * Measured on the straight grid from the Scheduler's nextNoteTime, the
+   * time of the next tick it will schedule
+   * @param {number} time - AudioContext time
+   * @returns {number} Running 16th count (never below 0)
+   */
+  getNearestTick(time) {
+    return this.getRecordPosition(time, 1).tick;
+  }
+
+  /**
+   * Where a hit played at an AudioContext time is recorded
+   * @param {number} time - AudioContext time
+   * @param {number} strength - Quantize strength (1, 0.5 or 0 for off)
+   * @returns {{tick: number, nudge: number}} Running 16th count and the
+   *   offset from it in 16ths (see quantizePosition)
+   */
+  getRecordPosition(time, strength) {
+    return quantizePosition(this.scheduler.getPosition(time), strength);
+  }
+
+  /**
+   * Marks a recorded hit that was already played live
+   * If its tick has not been scheduled yet, the scheduler skips that track
+   * on it once instead of playing the hit a second time
+   * @param {string} id - Track ID
+   * @param {number} tick - Running 16th count the hit was recorded on
+   */
+  markLiveHit(id, tick) {
+    if (this.scheduler && tick >= this.scheduler.tick) {
+      this.liveHits.add(`${id}:${tick}`);
     }
+  }
+
+  /**
+   * Schedules sounds for a specific step based on the current pattern
+   * @param {number} step - The step index within the pattern
+   * @param {number} time - The exact AudioContext time to play
+   * @param {number} [tick] - Running 16th count (defaults to step)
+   * @param {number} [loop] - Passes through the pattern so far, for step
+   *   conditions; in song mode the repeat of the song entry is used instead
+   */
+  scheduleStepSounds(step, time, tick = step, loop = 0) {
+    const { pattern, tick: patternTick, repeat } = this.resolveTick(tick);
+    if (!pattern) return;
+    const passes = repeat ?? loop;
     
-    // Schedule chord if active
-    if (this.pattern.chord[step]) {
-      createChord(this.context, time, this.masterGain);
+    // MIDI clock follows the straight grid; swing only moves the notes
+    if (this.midiOutput.port) {
+      const gridTime = time - calculateSwingOffset(tick, this.tempo, this.swing);
+      const stepMs = calculateSixteenthNoteTime(this.tempo) * 1000;
+      this.midiOutput.sendStepClock(this.toMidiTimestamp(gridTime), stepMs);
     }
+    
+    this.tracks.forEach(({ id, instrument }) => {
+      if (!pattern[id]) return;
+      if (this.liveHits.delete(`${id}:${tick}`)) return;
+      
+      // Step values are velocity levels; 0 means the step is off.
+      // Muted (or non-soloed) tracks are skipped from the next step on
+      const value = this.getStepValue(id, patternTick, pattern);
+      const velocity = isTrackAudible(this.mixer, id) ? getVelocityGain(value) : 0;
+      if (!velocity || !isStepTriggered(value, passes, this.random)) return;
+      
+      // A nudged step sounds off the grid by a fraction of a 16th. The
+      // Scheduler looks ahead far enough for early hits; only the first
+      // step after pressing play can be due already, and sounds at once
+      const stepTime = calculateSixteenthNoteTime(this.tempo);
+      const { nudge, locks } = getStepData(value);
+      const hitTime = nudge ? Math.max(this.context.currentTime, time + nudge * stepTime) : time;
+      
+      // Parameter locks override the track's voice for this hit only
+      const params = locks ? { ...this.voiceParams[id], ...locks } : this.voiceParams[id];
+      
+      // A ratcheted step repeats its hit at exact subdivisions of the 16th
+      const offsets = getRatchetOffsets(value);
+      offsets.forEach((offset, index) => {
+        const repeatTime = hitTime + offset * stepTime;
+        if (this.midiOutput.port) {
+          this.sendMidiNotes(id, instrument, value, repeatTime, tick, offset, offsets[index + 1]);
+        }
+        
+        // An active sample replaces the track's instrument
+        if (this.playSample(id, repeatTime, velocity)) return;
+        
+        playInstrument(instrument, this.context, repeatTime, this.getTrackOutput(id), velocity, params, value);
+      });
+    });
   }
 
   /**
@@ -129,6 +808,8 @@ export class AudioEngine {
     if (!this.scheduler || !this.context) return;
     
     this.isPlaying = true;
+    // Start from the top, or Continue from where playback stopped
+    this.midiOutput.sendStart(this.toMidiTimestamp(this.context.currentTime), this.scheduler.tick === 0);
     this.scheduler.start();
   }
 
@@ -140,6 +821,8 @@ export class AudioEngine {
     
     this.isPlaying = false;
     this.scheduler.stop();
+    this.midiOutput.stop();
+    this.liveHits.clear();
   }
 
   /**
@@ -164,12 +847,35 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Updates the swing amount applied to off-beat 16ths
+   * @param {number} amount - Swing in percent (50-75)
+   */
+  setSwing(amount) {
+    this.swing = Math.min(75, Math.max(50, amount));
+    if (this.scheduler) {
+      this.scheduler.setSwing(this.swing);
+    }
+  }
+
+  /**
+   * Restarts the step probability dice from a seed
+   * @param {number} [seed] - 32-bit seed (random when omitted)
+   */
+  seedRandom(seed) {
+    this.random = createRandom(seed);
+  }
+
   /**
    * Sets the current pattern for playback
    * @param {Object} pattern - Pattern object with kick, snare, hihat, chord arrays
+   *   of velocity levels (see velocityLevels in constants.js)
    */
   setPattern(pattern) {
     this.pattern = pattern;
+    if (this.scheduler) {
+      this.scheduler.setLength(getPatternLength(pattern));
+    }
   }
 
   /**
@@ -177,6 +883,8 @@ export class AudioEngine {
    */
   reset() {
     this.currentStep = 0;
+    this.currentTick = 0;
+    this.liveHits.clear();
     if (this.scheduler) {
       this.scheduler.reset();
     }
@@ -0,0 +1,232 @@
+/**
+ * MidiDecoder.js
+ * 
+ * Parses Standard MIDI Files (format 0, 1 or 2) into note events.
+ * Pure functions with no Web Audio dependency so they can be unit tested.
+ */
+
+/**
+ * Error for a file that is not a readable MIDI file
+ */
+export class MidiFileError extends Error {
+  /**
+   * @param {string} message - What is wrong with the file
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MidiFileError';
+  }
+}
+
+// Data bytes that follow each channel message status (high nibble)
+const CHANNEL_MESSAGE_LENGTHS = {
+  0x80: 2, // Note off
+  0x90: 2, // Note on
+  0xa0: 2, // Polyphonic aftertouch
+  0xb0: 2, // Control change
+  0xc0: 1, // Program change
+  0xd0: 1, // Channel aftertouch
+  0xe0: 2 // Pitch bend
+};
+
+/**
+ * Sequential reader over the file bytes
+ * Reading past the end throws a MidiFileError
+ */
+class ByteReader {
+  /**
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} [start] - First byte to read
+   * @param {number} [end] - Byte after the last one to read
+   */
+  constructor(bytes, start = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.offset = start;
+    this.end = end;
+  }
+  
+  /**
+   * Whether any bytes are left
+   * @returns {boolean} True until the end is reached
+   */
+  hasMore() {
+    return this.offset < this.end;
+  }
+  
+  /**
+   * Reads one byte
+   * @returns {number} Byte value
+   */
+  uint8() {
+    if (this.offset >= this.end) {
+      throw new MidiFileError('Unexpected end of file');
+    }
+    return this.bytes[this.offset++];
+  }
+  
+  /**
+   * Reads a big-endian integer
+   * @param {number} length - Bytes to read (1-4)
+   * @returns {number} Unsigned value
+   */
+  uint(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = value * 256 + this.uint8();
+    }
+    return value;
+  }
+  
+  /**
+   * Reads a variable-length quantity
+   * @returns {number} Value
+   */
+  variableLength() {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new MidiFileError('Variable-length value longer than 4 bytes');
+  }
+  
+  /**
+   * Reads a four-character chunk ID
+   * @returns {string} Chunk ID
+   */
+  chunkId() {
+    return String.fromCharCode(this.uint8(), this.uint8(), this.uint8(), this.uint8());
+  }
+  
+  /**
+   * Skips bytes
+   * @param {number} length - Bytes to skip
+   */
+  skip(length) {
+    if (this.offset + length > this.end) {
+      throw new MidiFileError('Unexpected end of file');
+    }
+    this.offset += length;
+  }
+}
+
+/**
+ * Parses one MTrk chunk body
+ * Note-ons with velocity 0 are reported as note-offs. Meta events other
+ * than tempo, and SysEx and non-note channel messages, are skipped.
+ * @param {ByteReader} reader - Reader limited to the chunk body
+ * @returns {Array<Object>} Events { tick, type, ... } in file order:
+ *   { type: 'noteOn' | 'noteOff', channel, note, velocity } or
+ *   { type: 'tempo', bpm }
+ */
+function parseTrack(reader) {
+  const events = [];
+  let tick = 0;
+  let runningStatus = null;
+  
+  while (reader.hasMore()) {
+    tick += reader.variableLength();
+    let status = reader.uint8();
+    
+    if (status === 0xff) {
+      const type = reader.uint8();
+      const length = reader.variableLength();
+      if (type === 0x2f) break; // End of Track
+      if (type === 0x51 && length === 3) {
+        // Microseconds per quarter can't hold most tempos exactly, so round
+        const bpm = Math.round(60000000 / reader.uint(3) * 1000) / 1000;
+        events.push({ tick, type: 'tempo', bpm });
+      } else {
+        reader.skip(length);
+      }
+      continue;
+    }
+    
+    if (status === 0xf0 || status === 0xf7) {
+      reader.skip(reader.variableLength());
+      runningStatus = null;
+      continue;
+    }
+    
+    // Running status: a data byte reuses the previous channel message status
+    let firstData = null;
+    if (status < 0x80) {
+      if (runningStatus === null) {
+        throw new MidiFileError('Data byte without a status byte');
+      }
+      firstData = status;
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+    }
+    
+    const kind = status & 0xf0;
+    const data = [firstData ?? reader.uint8()];
+    if (CHANNEL_MESSAGE_LENGTHS[kind] === 2) {
+      data.push(reader.uint8());
+    }
+    
+    if (kind === 0x90 || kind === 0x80) {
+      const [note, velocity] = data;
+      events.push({
+        tick,
+        type: kind === 0x90 && velocity > 0 ? 'noteOn' : 'noteOff',
+        channel: status & 0x0f,
+        note,
+        velocity
+      });
+    }
+  }
+  
+  return events;
+}
+
+/**
+ * Parses a Standard MIDI File
+ * 
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{format: number, division: number, tracks: Array<Array<Object>>}}
+ *   File format, ticks per quarter note and each track's events (see parseTrack)
+ * @throws {MidiFileError} If the file is not a MIDI file or is damaged
+ */
+export function parseMidiFile(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const reader = new ByteReader(bytes);
+  
+  if (bytes.length < 14 || reader.chunkId() !== 'MThd') {
+    throw new MidiFileError('Not a MIDI file');
+  }
+  const headerLength = reader.uint(4);
+  const format = reader.uint(2);
+  const trackCount = reader.uint(2);
+  const division = reader.uint(2);
+  reader.skip(headerLength - 6);
+  
+  if (format > 2) {
+    throw new MidiFileError(`Unknown MIDI file format ${format}`);
+  }
+  if (division & 0x8000) {
+    throw new MidiFileError('SMPTE time code files are not supported');
+  }
+  if (division === 0) {
+    throw new MidiFileError('Invalid time division');
+  }
+  
+  const tracks = [];
+  while (tracks.length < trackCount && reader.hasMore()) {
+    const id = reader.chunkId();
+    const length = reader.uint(4);
+    const start = reader.offset;
+    reader.skip(length);
+    // Unknown chunk types must be skipped, per the specification
+    if (id === 'MTrk') {
+      tracks.push(parseTrack(new ByteReader(bytes, start, start + length)));
+    }
+  }
+  
+  if (tracks.length === 0) {
+    throw new MidiFileError('The file has no tracks');
+  }
+  return { format, division, tracks };
+}
@@ -0,0 +1,148 @@
+/**
+ * MidiEncoder.js
+ * 
+ * Encodes note and meta events into a Standard MIDI File (SMF).
+ * Pure functions with no Web Audio dependency so they can be unit tested.
+ * 
+ * Events are { tick, data } where tick is an absolute time in pulses and
+ * data the raw event bytes (status byte included); the encoder sorts them
+ * and writes the delta times.
+ */
+
+/**
+ * Default resolution: pulses (ticks) per quarter note
+ */
+export const DEFAULT_DIVISION = 96;
+
+/**
+ * Encodes a number as a MIDI variable-length quantity
+ * Seven bits per byte, most significant first, with the top bit set on
+ * every byte except the last
+ * @param {number} value - Non-negative integer below 2^28
+ * @returns {number[]} 1-4 bytes
+ */
+export function encodeVariableLength(value) {
+  if (!Number.isInteger(value) || value < 0 || value > 0x0fffffff) {
+    throw new Error(`Value out of range for a MIDI variable-length quantity: ${value}`);
+  }
+  
+  const bytes = [value & 0x7f];
+  let remaining = value >> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Note-on event bytes
+ * @param {number} channel - MIDI channel 0-15 (9 = General MIDI drums)
+ * @param {number} note - Note number 0-127
+ * @param {number} velocity - Velocity 1-127
+ * @returns {number[]} Event bytes
+ */
+export function noteOn(channel, note, velocity) {
+  return [0x90 | channel, note, velocity];
+}
+
+/**
+ * Note-off event bytes
+ * @param {number} channel - MIDI channel 0-15
+ * @param {number} note - Note number 0-127
+ * @returns {number[]} Event bytes
+ */
+export function noteOff(channel, note) {
+  return [0x80 | channel, note, 0];
+}
+
+/**
+ * Set Tempo meta event bytes (microseconds per quarter note)
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number[]} Event bytes
+ */
+export function tempoEvent(bpm) {
+  const microseconds = Math.round(60000000 / bpm);
+  return [0xff, 0x51, 0x03, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff];
+}
+
+/**
+ * Time Signature meta event bytes
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (power of two)
+ * @returns {number[]} Event bytes (24 clocks per click, 8 32nds per quarter)
+ */
+export function timeSignatureEvent(numerator = 4, denominator = 4) {
+  return [0xff, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8];
+}
+
+/**
+ * Track Name meta event bytes
+ * Non-ASCII characters are replaced with '?'
+ * @param {string} name - Track name
+ * @returns {number[]} Event bytes
+ */
+export function trackNameEvent(name) {
+  const text = Array.from(name, char => (char.charCodeAt(0) < 0x80 ? char.charCodeAt(0) : 0x3f));
+  return [0xff, 0x03, ...encodeVariableLength(text.length), ...text];
+}
+
+/**
+ * Sort key so note-offs come before note-ons at the same tick and a
+ * repeated note is released before it is struck again
+ * @param {number[]} data - Event bytes
+ * @returns {number} 0 for meta events, 1 for note-offs, 2 for everything else
+ */
+function eventOrder(data) {
+  if (data[0] === 0xff) return 0;
+  return (data[0] & 0xf0) === 0x80 ? 1 : 2;
+}
+
+/**
+ * Encodes one track chunk (MTrk)
+ * An End of Track meta event is appended after the last event
+ * @param {Array<{tick: number, data: number[]}>} events - Track events
+ * @returns {number[]} Chunk bytes including the 8-byte header
+ */
+export function encodeTrack(events) {
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => a.tick - b.tick || eventOrder(a.data) - eventOrder(b.data) || a.index - b.index);
+  
+  const body = [];
+  let lastTick = 0;
+  sorted.forEach(({ tick, data }) => {
+    body.push(...encodeVariableLength(tick - lastTick), ...data);
+    lastTick = tick;
+  });
+  body.push(0x00, 0xff, 0x2f, 0x00); // End of Track
+  
+  const length = body.length;
+  return [
+    0x4d, 0x54, 0x72, 0x6b, // 'MTrk'
+    (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff,
+    ...body
+  ];
+}
+
+/**
+ * Encodes a complete multi-track (Type 1) MIDI file
+ * 
+ * @param {Array<Array<{tick: number, data: number[]}>>} tracks - Events per
+ *   track; by convention the first track holds tempo and time signature
+ * @param {number} division - Ticks per quarter note
+ * @returns {Uint8Array} Complete SMF file
+ */
+export function encodeMidiFile(tracks, division = DEFAULT_DIVISION) {
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // 'MThd'
+    0x00, 0x00, 0x00, 0x06, // Header length
+    0x00, 0x01, // Format 1: simultaneous tracks
+    (tracks.length >> 8) & 0xff, tracks.length & 0xff,
+    (division >> 8) & 0x7f, division & 0xff
+  ];
+  
+  // concat rather than push(...chunk): long songs exceed the argument limit
+  const bytes = tracks.reduce((file, events) => file.concat(encodeTrack(events)), header);
+  return Uint8Array.from(bytes);
+}
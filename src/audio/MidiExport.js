@@ -0,0 +1,208 @@
+/**
+ * MidiExport.js
+ * 
+ * Converts the pattern (or song) into a Type 1 Standard MIDI File for
+ * finishing beats in a DAW. Drum instruments become General MIDI drum notes
+ * on channel 10; chord instruments become their voicings on a melodic
+ * channel. Velocity levels map to MIDI velocities and swing shifts the
+ * off-beat 16ths exactly as live playback does.
+ */
+
+import {
+  encodeMidiFile,
+  noteOn,
+  noteOff,
+  tempoEvent,
+  timeSignatureEvent,
+  trackNameEvent,
+  DEFAULT_DIVISION
+} from './MidiEncoder.js';
+import { calculateSixteenthNoteTime, calculateSwingOffset } from './Scheduler.js';
+import { getInstrument } from './instruments.js';
+import { getDefaultVoiceParams } from './SoundGenerator.js';
+import {
+  tracks as defaultTracks,
+  getPatternLength,
+  getStepVelocity,
+  getStepData,
+  isStepTriggered,
+  getRatchetOffsets,
+  velocityLevels
+} from '../utils/constants.js';
+import { getChordNotes, getStepChord } from '../utils/chords.js';
+import { getSongLength, getSongPosition } from '../utils/song.js';
+
+// General MIDI percussion channel (channel 10, zero-based)
+const DRUM_CHANNEL = 9;
+
+// MIDI ticks in one 16th step
+const TICKS_PER_STEP = DEFAULT_DIVISION / 4;
+
+// Drum hits are one-shots; give them a short fixed length
+const DRUM_NOTE_LENGTH = TICKS_PER_STEP / 2;
+
+/**
+ * Melodic MIDI channel for the nth chord track, skipping the drum channel
+ * @param {number} index - Chord track index
+ * @returns {number} Channel 0-15
+ */
+function getMelodicChannel(index) {
+  return Math.min(15, index < DRUM_CHANNEL ? index : index + 1);
+}
+
+/**
+ * Assigns a MIDI channel to every track that can be sent as MIDI
+ * Drum instruments share channel 10; each chord track gets its own
+ * melodic channel in track order. Other instruments get none.
+ * @param {Array<Object>} tracks - Track list { id, instrument }
+ * @returns {Object} Map of track ID to zero-based channel
+ */
+export function getMidiChannels(tracks) {
+  let chordTracks = 0;
+  return tracks.reduce((channels, track) => {
+    const instrument = getInstrument(track.instrument);
+    if (instrument?.chords) {
+      channels[track.id] = getMelodicChannel(chordTracks++);
+    } else if (instrument?.drumNote !== undefined) {
+      channels[track.id] = DRUM_CHANNEL;
+    }
+    return channels;
+  }, {});
+}
+
+/**
+ * MIDI notes a step plays: the drum note, or the step's chord voicing
+ * @param {Object} instrument - Registry entry
+ * @param {number|Object} value - Step value
+ * @returns {number[]} MIDI note numbers
+ */
+export function getStepNotes(instrument, value) {
+  return instrument.chords ? getChordNotes(getStepChord(value)) : [instrument.drumNote];
+}
+
+/**
+ * Builds the event lists for every MIDI track
+ * The first track carries the tempo and time signature; each sequencer
+ * track whose instrument has a drum note or plays chords gets its own
+ * track after that.
+ * 
+ * @param {Object} options - Export options
+ * @param {Object} options.pattern - Pattern to export
+ * @param {Array<Object>} options.tracks - Track list { id, name, instrument }
+ * @param {number} options.tempo - BPM
+ * @param {number} options.swing - Swing amount in percent (50-75)
+ * @param {number} options.bars - Number of passes through the pattern (or song)
+ * @param {Array<Object>} options.song - Song entries to export instead of the pattern
+ * @param {Object} options.banks - Map of bank name to pattern, used by the song
+ * @param {Object} options.voiceParams - Per-track synthesis parameters; a
+ *   chord track's decay caps how long its notes are held
+ * @returns {Array<Array<{tick: number, data: number[]}>>} Events per MIDI track
+ */
+export function getMidiTracks({
+  pattern,
+  tracks = defaultTracks,
+  tempo,
+  swing = 50,
+  bars = 1,
+  song = null,
+  banks = null,
+  voiceParams = {}
+}) {
+  const steps = bars * (song ? getSongLength(song, banks) : getPatternLength(pattern));
+  const endTick = steps * TICKS_PER_STEP;
+  const stepTime = calculateSixteenthNoteTime(tempo);
+  
+  /**
+   * MIDI tick a running 16th starts on, swing included
+   * @param {number} tick - Running 16th count
+   * @returns {number} MIDI tick
+   */
+  const getStartTick = (tick) => (
+    tick * TICKS_PER_STEP + Math.round(calculateSwingOffset(tick, tempo, swing) / stepTime * TICKS_PER_STEP)
+  );
+  
+  /**
+   * Step value a track plays on a running 16th
+   * @param {string} id - Track ID
+   * @param {number} tick - Running 16th count
+   * @returns {number|Object|undefined} Step value
+   */
+  const getValue = (id, tick) => {
+    const position = song ? getSongPosition(song, banks, tick) : { bank: null, tick };
+    const row = (position.bank ? banks[position.bank] : pattern)[id];
+    return row ? row[position.tick % row.length] : undefined;
+  };
+  
+  /**
+   * Pass a running 16th falls in, for step conditions: the repeat of the
+   * song entry, or the pass through the pattern
+   * @param {number} tick - Running 16th count
+   * @returns {number} Completed passes
+   */
+  const getLoop = (tick) => (
+    song ? getSongPosition(song, banks, tick).repeat : Math.floor(tick / getPatternLength(pattern))
+  );
+  
+  const midiTracks = [[
+    { tick: 0, data: trackNameEvent('Lo-Fi Beat') },
+    { tick: 0, data: tempoEvent(tempo) },
+    { tick: 0, data: timeSignatureEvent(4, 4) }
+  ]];
+  const channels = getMidiChannels(tracks);
+  
+  tracks.forEach(track => {
+    const channel = channels[track.id];
+    if (channel === undefined) return;
+    const instrument = getInstrument(track.instrument);
+    
+    const hits = [];
+    for (let tick = 0; tick < steps; tick++) {
+      const value = getValue(track.id, tick);
+      // Conditions apply; steps with a probability are all written unless
+      // it is 0%, so the take can be thinned out in the DAW
+      const velocity = getStepVelocity(value);
+      if (velocity && isStepTriggered(value, getLoop(tick), () => 0)) {
+        // Nudged steps move off the grid by a fraction of a 16th, and
+        // ratcheted steps repeat at subdivisions of it
+        const start = getStartTick(tick) + (getStepData(value).nudge || 0) * TICKS_PER_STEP;
+        getRatchetOffsets(value).forEach(offset => {
+          const hitTick = Math.max(0, Math.round(start + offset * TICKS_PER_STEP));
+          hits.push({ tick: hitTick, velocity: velocityLevels[velocity].midi, value });
+        });
+      }
+    }
+    // A ratchet with a fixed division can run into the following steps
+    hits.sort((a, b) => a.tick - b.tick);
+    
+    // Drum hits are one-shots; chords are held until the next one, or
+    // until their voice (or the step's locked decay) has decayed
+    const trackDecay = (voiceParams[track.id] || getDefaultVoiceParams(track.instrument)).decay;
+    const getMaxLength = (value) => {
+      if (!instrument.chords) return DRUM_NOTE_LENGTH;
+      const decay = getStepData(value).locks?.decay ?? trackDecay;
+      return decay ? Math.max(1, Math.round(decay / stepTime * TICKS_PER_STEP)) : Infinity;
+    };
+    
+    const events = [{ tick: 0, data: trackNameEvent(track.name) }];
+    hits.forEach((hit, index) => {
+      const next = index + 1 < hits.length ? hits[index + 1].tick : endTick;
+      const end = Math.min(next, hit.tick + getMaxLength(hit.value));
+      getStepNotes(instrument, hit.value).forEach(note => {
+        events.push({ tick: hit.tick, data: noteOn(channel, note, hit.velocity) });
+        events.push({ tick: end, data: noteOff(channel, note) });
+      });
+    });
+    midiTracks.push(events);
+  });
+  
+  return midiTracks;
+}
+
+/**
+ * Exports the pattern (or song) as a Type 1 MIDI file
+ * @param {Object} options - getMidiTracks options
+ * @returns {Blob} MIDI file blob
+ */
+export function exportPatternToMidi(options) {
+  return new Blob([encodeMidiFile(getMidiTracks(options))], { type: 'audio/midi' });
+}
@@ -0,0 +1,129 @@
+/**
+ * MidiImport.js
+ * 
+ * Turns a parsed MIDI file into drum steps. General MIDI drum notes are
+ * mapped to instrument types, note times are quantized to the 16th grid
+ * and note velocities to the nearest velocity level. One 4/4 bar (16
+ * steps) is imported at a time.
+ */
+
+import { getVelocityFromMidi, velocityOrder } from '../utils/constants.js';
+
+/**
+ * Steps in one imported bar (4/4 at 16ths)
+ */
+export const STEPS_PER_BAR = 16;
+
+// General MIDI percussion channel (channel 10, zero-based)
+const DRUM_CHANNEL = 9;
+
+/**
+ * General MIDI drum notes and the instrument type each one imports to
+ */
+export const gmDrumMap = {
+  35: 'kick', // Acoustic Bass Drum
+  36: 'kick', // Bass Drum 1
+  37: 'snare', // Side Stick
+  38: 'snare', // Acoustic Snare
+  39: 'snare', // Hand Clap
+  40: 'snare', // Electric Snare
+  42: 'hihat', // Closed Hi-Hat
+  44: 'hihat', // Pedal Hi-Hat
+  46: 'hihat' // Open Hi-Hat
+};
+
+/**
+ * Instrument types drum notes import to, in display order
+ */
+export const drumImportTypes = ['kick', 'snare', 'hihat'];
+
+/**
+ * Collects the drum hits of a MIDI file on the 16th grid
+ * Only channel 10 is read when the file uses it; files without any
+ * channel 10 notes (drum loops are often saved on channel 1) are read
+ * from every channel
+ * @param {Object} midi - Result of parseMidiFile()
+ * @returns {{hits: Array<{step: number, type: string, velocity: number}>, ignored: number}}
+ *   Hits with their running 16th step, instrument type and velocity level,
+ *   and the number of notes with no drum mapping
+ */
+export function getMidiDrumHits(midi) {
+  const noteOns = midi.tracks.flat().filter(event => event.type === 'noteOn');
+  const hasDrumChannel = noteOns.some(event => event.channel === DRUM_CHANNEL);
+  const ticksPerStep = midi.division / 4;
+  
+  const hits = [];
+  let ignored = 0;
+  noteOns
+    .filter(event => !hasDrumChannel || event.channel === DRUM_CHANNEL)
+    .forEach(event => {
+      const type = gmDrumMap[event.note];
+      if (!type) {
+        ignored++;
+        return;
+      }
+      hits.push({
+        step: Math.round(event.tick / ticksPerStep),
+        type,
+        velocity: getVelocityFromMidi(event.velocity)
+      });
+    });
+  
+  return { hits, ignored };
+}
+
+/**
+ * Number of bars the hits span
+ * @param {Array<Object>} hits - Hits from getMidiDrumHits()
+ * @returns {number} Bars (at least 1)
+ */
+export function getMidiBarCount(hits) {
+  const lastStep = hits.reduce((last, hit) => Math.max(last, hit.step), 0);
+  return Math.floor(lastStep / STEPS_PER_BAR) + 1;
+}
+
+/**
+ * Steps of one bar for each drum instrument type
+ * When two hits land on the same step the louder one is kept
+ * @param {Array<Object>} hits - Hits from getMidiDrumHits()
+ * @param {number} bar - Bar index (0-based)
+ * @returns {Object} Map of instrument type to 16 velocity levels
+ */
+export function getMidiBar(hits, bar) {
+  const rows = drumImportTypes.reduce((result, type) => {
+    result[type] = new Array(STEPS_PER_BAR).fill(0);
+    return result;
+  }, {});
+  
+  hits.forEach(({ step, type, velocity }) => {
+    const index = step - bar * STEPS_PER_BAR;
+    if (index < 0 || index >= STEPS_PER_BAR) return;
+    // velocityOrder runs quietest to loudest; an empty step indexes as -1
+    if (velocityOrder.indexOf(velocity) > velocityOrder.indexOf(rows[type][index])) {
+      rows[type][index] = velocity;
+    }
+  });
+  
+  return rows;
+}
+
+/**
+ * Writes an imported bar into a pattern
+ * Each instrument type replaces the first track playing that instrument
+ * (which becomes 16 steps long); types with no such track are skipped and
+ * other tracks are left alone
+ * @param {Object} pattern - Current pattern
+ * @param {Array<Object>} trackList - Tracks { id, instrument }
+ * @param {Object} rows - Result of getMidiBar()
+ * @returns {Object} New pattern
+ */
+export function applyMidiBar(pattern, trackList, rows) {
+  const newPattern = { ...pattern };
+  Object.keys(rows).forEach(type => {
+    const track = trackList.find(t => t.instrument === type);
+    if (track) {
+      newPattern[track.id] = [...rows[type]];
+    }
+  });
+  return newPattern;
+}
@@ -0,0 +1,211 @@
+/**
+ * MidiInput.js
+ * 
+ * Live MIDI input through the Web MIDI API: pad controller notes mapped to
+ * tracks (with a learn mode), and incoming MIDI clock turned into a tempo.
+ * Like MidiOutput, the MIDIAccess object is injected so tests can pass a
+ * fake with an `inputs` Map of ports that have an `onmidimessage` slot.
+ */
+
+import { getInstrument } from './instruments.js';
+import { midiMessages } from './MidiOutput.js';
+import { defaults } from '../utils/constants.js';
+import { noteNames } from '../utils/chords.js';
+
+/**
+ * Clock pulses per quarter note
+ */
+export const CLOCKS_PER_QUARTER = 24;
+
+/**
+ * Decodes one incoming MIDI message
+ * Note-ons with velocity 0 are reported as note-offs. Messages the
+ * sequencer has no use for return null.
+ * @param {Uint8Array|number[]} data - Message bytes
+ * @returns {Object|null} { type: 'noteOn' | 'noteOff', channel, note, velocity },
+ *   { type: 'clock' | 'start' | 'continue' | 'stop' } or null
+ */
+export function parseMidiMessage(data) {
+  const [status, note, velocity] = data;
+  const realTime = Object.keys(midiMessages).find(type => midiMessages[type] === status);
+  if (realTime) return { type: realTime };
+  
+  const kind = status & 0xf0;
+  if (kind !== 0x90 && kind !== 0x80) return null;
+  return {
+    type: kind === 0x90 && velocity > 0 ? 'noteOn' : 'noteOff',
+    channel: status & 0x0f,
+    note,
+    velocity
+  };
+}
+
+/**
+ * Name of a MIDI note, e.g. "C1 (36)"
+ * @param {number} note - Note number (middle C = 60 = C3)
+ * @returns {string} Note name and number
+ */
+export function getNoteName(note) {
+  return `${noteNames[note % 12]}${Math.floor(note / 12) - 2} (${note})`;
+}
+
+/**
+ * Default pad mapping: each track whose instrument has a General MIDI drum
+ * note listens to that note (the first such track, if several share it)
+ * @param {Array<Object>} trackList - Tracks { id, instrument }
+ * @returns {Object} Map of note number to track ID
+ */
+export function createNoteMap(trackList) {
+  return conformNoteMap({}, trackList);
+}
+
+/**
+ * Keeps a note map in step with the track list
+ * Notes of removed tracks are dropped; tracks with no note get their
+ * instrument's drum note, if no other track has it
+ * @param {Object} noteMap - Map of note number to track ID
+ * @param {Array<Object>} trackList - Tracks { id, instrument }
+ * @returns {Object} New note map
+ */
+export function conformNoteMap(noteMap, trackList) {
+  const ids = new Set(trackList.map(track => track.id));
+  const newMap = {};
+  Object.keys(noteMap).forEach(note => {
+    if (ids.has(noteMap[note])) newMap[note] = noteMap[note];
+  });
+  
+  const mapped = new Set(Object.values(newMap));
+  trackList.forEach(track => {
+    const drumNote = getInstrument(track.instrument)?.drumNote;
+    if (drumNote !== undefined && !mapped.has(track.id) && newMap[drumNote] === undefined) {
+      newMap[drumNote] = track.id;
+      mapped.add(track.id);
+    }
+  });
+  return newMap;
+}
+
+/**
+ * Assigns a note to a track (learn mode)
+ * The track's previous note is released and the note leaves any other track
+ * @param {Object} noteMap - Map of note number to track ID
+ * @param {string} trackId - Track to learn
+ * @param {number} note - Incoming note number
+ * @returns {Object} New note map
+ */
+export function learnNote(noteMap, trackId, note) {
+  const newMap = {};
+  Object.keys(noteMap).forEach(key => {
+    if (noteMap[key] !== trackId) newMap[key] = noteMap[key];
+  });
+  newMap[note] = trackId;
+  return newMap;
+}
+
+/**
+ * Note a track listens to
+ * @param {Object} noteMap - Map of note number to track ID
+ * @param {string} trackId - Track ID
+ * @returns {number|null} Note number, or null if none
+ */
+export function getTrackNote(noteMap, trackId) {
+  const note = Object.keys(noteMap).find(key => noteMap[key] === trackId);
+  return note === undefined ? null : Number(note);
+}
+
+/**
+ * ClockFollower turns incoming MIDI clock pulses into a tempo
+ * The tempo is averaged over the last quarter note of pulses, rounded to
+ * whole BPM and reported only when it changes
+ */
+export class ClockFollower {
+  /**
+   * @param {Function} onTempo - Called with the new BPM
+   */
+  constructor(onTempo) {
+    this.onTempo = onTempo;
+    this.pulses = []; // Timestamps (ms) of the most recent pulses
+    this.tempo = null; // Last reported BPM
+  }
+
+  /**
+   * Records one clock pulse
+   * @param {number} timestamp - Pulse time in milliseconds
+   */
+  pulse(timestamp) {
+    this.pulses.push(timestamp);
+    if (this.pulses.length > CLOCKS_PER_QUARTER + 1) {
+      this.pulses.shift();
+    }
+    if (this.pulses.length <= CLOCKS_PER_QUARTER) return;
+    
+    const quarter = this.pulses[this.pulses.length - 1] - this.pulses[0];
+    if (quarter <= 0) return;
+    const tempo = Math.min(defaults.maxTempo, Math.max(defaults.minTempo, Math.round(60000 / quarter)));
+    if (tempo !== this.tempo) {
+      this.tempo = tempo;
+      this.onTempo(tempo);
+    }
+  }
+
+  /**
+   * Forgets the pulses so far (after a Start, Stop or source change)
+   */
+  reset() {
+    this.pulses = [];
+  }
+}
+
+/**
+ * MidiInput listens to one chosen input port
+ */
+export class MidiInput {
+  /**
+   * @param {MIDIAccess} [access] - Web MIDI access (or a fake)
+   */
+  constructor(access = null) {
+    this.access = access;
+    this.port = null; // Selected MIDIInput, or null when disabled
+  }
+
+  /**
+   * Replaces the MIDI access object (and stops listening)
+   * @param {MIDIAccess|null} access - Web MIDI access
+   */
+  setAccess(access) {
+    this.selectInput(null);
+    this.access = access;
+  }
+
+  /**
+   * Lists the available input ports
+   * @returns {Array<{id: string, name: string}>} Ports
+   */
+  getInputs() {
+    if (!this.access?.inputs) return [];
+    return Array.from(this.access.inputs.values(), port => ({ id: port.id, name: port.name }));
+  }
+
+  /**
+   * Listens to an input port instead of the current one
+   * @param {string|null} id - Port ID; an unknown or empty ID stops listening
+   * @param {Function} [onMessage] - Called with (message, timestamp) for
+   *   every message parseMidiMessage() understands
+   * @returns {boolean} True if a port is selected
+   */
+  selectInput(id, onMessage) {
+    if (this.port) {
+      this.port.onmidimessage = null;
+    }
+    this.port = (id && this.access?.inputs?.get(id)) || null;
+    if (this.port && onMessage) {
+      this.port.onmidimessage = (event) => {
+        const message = parseMidiMessage(event.data);
+        if (message) onMessage(message, event.timeStamp);
+      };
+    }
+    return this.port !== null;
+  }
+}
+
+export default MidiInput;
@@ -0,0 +1,163 @@
+/**
+ * MidiOutput.js
+ * 
+ * Live MIDI output through the Web MIDI API: notes for each track, and
+ * 24 PPQN MIDI clock with start, continue and stop messages.
+ * Messages carry performance.now() timestamps so the browser sends them
+ * at the same moment the matching audio plays.
+ * 
+ * The MIDIAccess object is injected, so tests can pass a fake with an
+ * `outputs` Map of ports that have `send(data, timestamp)`.
+ */
+
+import { noteOn, noteOff } from './MidiEncoder.js';
+
+/**
+ * MIDI system real-time messages
+ */
+export const midiMessages = {
+  clock: 0xf8,
+  start: 0xfa,
+  continue: 0xfb,
+  stop: 0xfc
+};
+
+/**
+ * Clock pulses per 16th step (24 per quarter note)
+ */
+export const CLOCKS_PER_STEP = 6;
+
+// Control change 123: All Notes Off
+const ALL_NOTES_OFF = 123;
+
+/**
+ * Requests Web MIDI access
+ * @param {Function} [request] - requestMIDIAccess implementation (defaults
+ *   to the browser's)
+ * @returns {Promise<MIDIAccess|null>} Access object, or null where Web MIDI
+ *   is not supported
+ */
+export async function requestMidiAccess(
+  request = typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+    ? navigator.requestMIDIAccess.bind(navigator)
+    : null
+) {
+  if (!request) return null;
+  return request({ sysex: false });
+}
+
+/**
+ * MidiOutput sends timestamped messages to one chosen output port
+ */
+export class MidiOutput {
+  /**
+   * @param {MIDIAccess} [access] - Web MIDI access (or a fake)
+   */
+  constructor(access = null) {
+    this.access = access;
+    this.port = null; // Selected MIDIOutput, or null when disabled
+    this.clock = false; // Whether to send MIDI clock
+    this.usedChannels = new Set(); // Channels with notes, for All Notes Off
+  }
+
+  /**
+   * Replaces the MIDI access object (and deselects the port)
+   * @param {MIDIAccess|null} access - Web MIDI access
+   */
+  setAccess(access) {
+    this.access = access;
+    this.port = null;
+  }
+
+  /**
+   * Lists the available output ports
+   * @returns {Array<{id: string, name: string}>} Ports
+   */
+  getOutputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.outputs.values(), port => ({ id: port.id, name: port.name }));
+  }
+
+  /**
+   * Chooses the output port; an unknown or empty ID disables output
+   * @param {string|null} id - Port ID
+   * @returns {boolean} True if a port is selected
+   */
+  selectOutput(id) {
+    this.port = (id && this.access?.outputs.get(id)) || null;
+    return this.port !== null;
+  }
+
+  /**
+   * Turns MIDI clock on or off
+   * @param {boolean} enabled - True to send clock
+   */
+  setClock(enabled) {
+    this.clock = enabled;
+  }
+
+  /**
+   * Sends a message to the selected port
+   * @param {number[]} data - Message bytes
+   * @param {number} [timestamp] - performance.now() time to send at
+   */
+  send(data, timestamp) {
+    if (this.port) {
+      this.port.send(data, timestamp);
+    }
+  }
+
+  /**
+   * Sends a note-on and its note-off
+   * @param {number} channel - Zero-based channel
+   * @param {number} note - Note number
+   * @param {number} velocity - Velocity 1-127
+   * @param {number} timestamp - Note-on time (performance.now() ms)
+   * @param {number} duration - Note length in ms
+   */
+  playNote(channel, note, velocity, timestamp, duration) {
+    if (!this.port) return;
+    this.usedChannels.add(channel);
+    this.send(noteOn(channel, note, velocity), timestamp);
+    this.send(noteOff(channel, note), timestamp + duration);
+  }
+
+  /**
+   * Sends the clock pulses of one 16th step, if clock is on
+   * @param {number} timestamp - Time of the step on the straight grid (ms)
+   * @param {number} stepDuration - Length of a 16th (ms)
+   */
+  sendStepClock(timestamp, stepDuration) {
+    if (!this.clock) return;
+    for (let i = 0; i < CLOCKS_PER_STEP; i++) {
+      this.send([midiMessages.clock], timestamp + (i * stepDuration) / CLOCKS_PER_STEP);
+    }
+  }
+
+  /**
+   * Sends Start (from the top) or Continue, if clock is on
+   * @param {number} timestamp - Time of the first step (ms)
+   * @param {boolean} fromStart - True for Start, false for Continue
+   */
+  sendStart(timestamp, fromStart) {
+    if (this.clock) {
+      this.send([fromStart ? midiMessages.start : midiMessages.continue], timestamp);
+    }
+  }
+
+  /**
+   * Sends Stop (if clock is on) and All Notes Off on every channel used
+   * Sent immediately, since playback has already stopped
+   */
+  stop() {
+    if (this.clock) {
+      this.send([midiMessages.stop]);
+    }
+    this.usedChannels.forEach(channel => {
+      this.send([0xb0 | channel, ALL_NOTES_OFF, 0]);
+    });
+    this.usedChannels.clear();
+  }
+}
+
+export default MidiOutput;
@@ -0,0 +1,149 @@
+/**
+ * OfflineRenderer.js
+ * 
+ * Renders the current pattern to audio faster than real time using an
+ * OfflineAudioContext. A throwaway AudioEngine is bound to the offline
+ * context so the exact same master chain and SoundGenerator voices are used
+ * as during live playback.
+ */
+
+import { AudioEngine } from './AudioEngine.js';
+import { calculateSixteenthNoteTime, calculateSwingOffset } from './Scheduler.js';
+import { audioBufferToWav } from './WavEncoder.js';
+import { getPatternLength } from '../utils/constants.js';
+import { getSongLength } from '../utils/song.js';
+
+// Extra time after the last step so chord and kick releases are not cut off
+const RELEASE_TAIL = 1.0;
+
+/**
+ * Computes every step event for an offline render
+ * Mirrors the live Scheduler: a straight 16th grid with swing added on output
+ * 
+ * @param {Object} options - Render options
+ * @param {Object} options.pattern - Pattern to render
+ * @param {number} options.tempo - BPM
+ * @param {number} options.swing - Swing amount in percent (50-75)
+ * @param {number} options.bars - Number of passes through the pattern
+ * @param {number} [options.steps] - Steps in one pass (defaults to the pattern length)
+ * @returns {Array<{step: number, tick: number, loop: number, time: number}>} Step
+ *   events, with the pass through the pattern each falls in
+ */
+export function getRenderEvents({ pattern, tempo, swing = 50, bars = 1, steps = getPatternLength(pattern) }) {
+  const length = steps;
+  const stepTime = calculateSixteenthNoteTime(tempo);
+  const events = [];
+
+  for (let tick = 0; tick < bars * length; tick++) {
+    events.push({
+      step: tick % length,
+      tick,
+      loop: Math.floor(tick / length),
+      time: tick * stepTime + calculateSwingOffset(tick, tempo, swing)
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Total duration of an offline render in seconds, including the release tail
+ * @param {Object} options - Same options as getRenderEvents
+ * @returns {number} Duration in seconds
+ */
+export function getRenderDuration({ pattern, tempo, bars = 1, steps = getPatternLength(pattern) }) {
+  return bars * steps * calculateSixteenthNoteTime(tempo) + RELEASE_TAIL;
+}
+
+/**
+ * Renders the pattern through an OfflineAudioContext
+ * 
+ * @param {Object} options - Render options
+ * @param {Object} options.pattern - Pattern to render
+ * @param {Array<Object>} options.tracks - Track list { id, instrument } (defaults to the built-in four)
+ * @param {number} options.tempo - BPM
+ * @param {number} options.swing - Swing amount in percent
+ * @param {number} options.bars - Number of passes through the pattern (or song)
+ * @param {Array<Object>} options.song - Song entries { bank, repeats } to render
+ *   instead of looping the pattern
+ * @param {Object} options.banks - Map of bank name to pattern, used by the song
+ * @param {Object} options.lofi - Bitcrusher settings { bits, rate, mix }
+ * @param {Object} options.mixer - Per-track { volume, pan, mute, solo }
+ * @param {Object} options.voiceParams - Per-track synthesis parameters
+ * @param {Object} options.samples - Per-track { buffer, name, active } (buffers
+ *   are context-independent, so the live engine's decoded samples can be reused)
+ * @param {Object} options.sampleParams - Per-track sample voice parameters
+ * @param {number} options.sampleRate - Output sample rate (default 44100)
+ * @param {number} [options.seed] - Seed for step probabilities (random when omitted)
+ * @param {Function} options.OfflineContext - OfflineAudioContext constructor (injectable for tests)
+ * @returns {Promise<AudioBuffer>} The rendered stereo audio
+ */
+export async function renderPattern({
+  pattern,
+  tracks = null,
+  tempo,
+  swing = 50,
+  bars = 1,
+  song = null,
+  banks = null,
+  lofi = {},
+  mixer = null,
+  voiceParams = null,
+  samples = null,
+  sampleParams = null,
+  sampleRate = 44100,
+  seed,
+  OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext
+}) {
+  if (!OfflineContext) {
+    throw new Error('OfflineAudioContext is not supported in this browser');
+  }
+
+  const steps = song ? getSongLength(song, banks) : getPatternLength(pattern);
+  const frames = Math.ceil(getRenderDuration({ pattern, tempo, bars, steps }) * sampleRate);
+  const context = new OfflineContext(2, frames, sampleRate);
+
+  // Offline contexts cannot be resumed before rendering, so skip init()
+  const engine = new AudioEngine({ context, seed });
+  if (tracks) {
+    engine.setTracks(tracks);
+  }
+  Object.assign(engine.lofi, lofi);
+  engine.setupMasterChain();
+  await engine.setupLoFi();
+  engine.setTempo(tempo);
+  engine.setSwing(swing);
+  engine.setPattern(pattern);
+  if (song) {
+    engine.setBanks(banks);
+    engine.setSong(song);
+  }
+  if (mixer) {
+    engine.setMixer(mixer);
+  }
+  if (voiceParams) {
+    engine.setVoiceParams(voiceParams);
+  }
+  if (samples) {
+    engine.setSamples(samples);
+  }
+  if (sampleParams) {
+    engine.setSampleParams(sampleParams);
+  }
+
+  getRenderEvents({ pattern, tempo, swing, bars, steps }).forEach(({ step, tick, loop, time }) => {
+    engine.scheduleStepSounds(step, time, tick, loop);
+  });
+
+  return context.startRendering();
+}
+
+/**
+ * Renders the pattern and encodes it as a WAV file
+ * @param {Object} options - renderPattern options plus bitDepth (16 or 24)
+ * @returns {Promise<Blob>} WAV file blob
+ */
+export async function renderPatternToWav({ bitDepth = 16, ...options }) {
+  const audioBuffer = await renderPattern(options);
+  return new Blob([audioBufferToWav(audioBuffer, bitDepth)], { type: 'audio/wav' });
+}
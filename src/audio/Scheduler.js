@@ -17,6 +17,39 @@ export function calculateSixteenthNoteTime(bpm) {
   return (60.0 / bpm) / 4;
 }
 
+/**
+ * Calculates how late a step should sound for a given swing amount
+ * Swing delays every off-beat 16th (odd step index) toward the next
+ * down-beat. 50% is perfectly straight, ~66% is a triplet shuffle and
+ * 75% places the off-beat on the last 32nd of the 8th note pair.
+ * @param {number} step - Step index
+ * @param {number} bpm - Beats per minute
+ * @param {number} swing - Swing amount in percent (50-75)
+ * @returns {number} Delay in seconds to add to the step's grid time
+ */
+export function calculateSwingOffset(step, bpm, swing) {
+  if (step % 2 === 0) return 0;
+  
+  // Off-beat sits at swing% of the 8th note pair instead of 50%
+  return (2 * (swing / 100) - 1) * calculateSixteenthNoteTime(bpm);
+}
+
+/**
+ * Moves a played position toward the 16th grid
+ * Whatever is left after quantizing is kept as a nudge, the offset from
+ * the nearest 16th in 16ths
+ * @param {number} position - Position in running 16ths (fractional)
+ * @param {number} strength - 1 snaps fully to the grid, 0.5 halfway, 0 not at all
+ * @returns {{tick: number, nudge: number}} Nearest 16th (never below 0) and
+ *   the nudge (-0.5 to 0.5, rounded to 0.001)
+ */
+export function quantizePosition(position, strength) {
+  const tick = Math.round(position) || 0;
+  const quantized = position + (tick - position) * strength;
+  if (tick < 0) return { tick: 0, nudge: 0 };
+  return { tick, nudge: Math.round((quantized - tick) * 1000) / 1000 || 0 };
+}
+
 /**
  * Scheduler class manages the timing of step sequencer playback
  * Uses a lookahead pattern for precise audio scheduling without jitter
@@ -26,22 +59,32 @@ export class Scheduler {
    * @param {Object} options - Configuration options
    * @param {AudioContext} options.audioContext - The Web Audio context
    * @param {Function} options.onStep - Callback when step changes (for UI)
-   * @param {Function} options.onSchedule - Callback to trigger sounds
+   * @param {Function} options.onSchedule - Callback to trigger sounds, called
+   *   with (step, time, tick, loop)
    * @param {number} options.tempo - Initial BPM
+   * @param {number} options.swing - Initial swing amount in percent (50-75)
+   * @param {number} options.steps - Pattern length in 16th steps (1-64)
+   * @param {number} options.early - Furthest a hit may sound ahead of its
+   *   step, in 16ths (nudged steps); steps are scheduled that much sooner
    */
-  constructor({ audioContext, onStep, onSchedule, tempo = 85 }) {
+  constructor({ audioContext, onStep, onSchedule, tempo = 85, swing = 50, steps = 16, early = 0 }) {
     this.audioContext = audioContext;
     this.onStep = onStep;
     this.onSchedule = onSchedule;
     this.tempo = tempo;
+    this.swing = swing;
+    this.length = steps;
     
     // Scheduling configuration
     this.lookahead = 25.0; // How often to call scheduler (ms)
     this.scheduleAheadTime = 0.1; // How far ahead to schedule (seconds)
+    this.early = early; // Extra lookahead for hits nudged early (16ths)
     
     // Playback state
     this.isPlaying = false;
     this.currentStep = 0;
+    this.tick = 0; // 16ths since reset, never wraps (drives polymeter tracks)
+    this.loop = 0; // Passes through the pattern since reset (drives step conditions)
     this.nextNoteTime = 0.0;
     this.timerID = null;
   }
@@ -54,17 +97,52 @@ export class Scheduler {
     this.tempo = newTempo;
   }
 
+  /**
+   * Updates the swing amount without stopping playback
+   * @param {number} amount - Swing in percent, clamped to 50-75
+   */
+  setSwing(amount) {
+    this.swing = Math.min(75, Math.max(50, amount));
+  }
+
+  /**
+   * Updates the pattern length without stopping playback
+   * The current step is re-derived from the running tick so tracks
+   * with their own loop lengths stay in phase
+   * @param {number} steps - Pattern length in 16th steps
+   */
+  setLength(steps) {
+    this.length = Math.max(1, steps);
+    this.currentStep = this.tick % this.length;
+  }
+
   /**
    * Advances the current step and calculates the next note time
-   * Wraps from step 15 back to step 0 for continuous looping
+   * Wraps from the last step back to step 0 for continuous looping,
+   * counting the pass
    */
   nextNote() {
     // Calculate time for next 16th note based on current tempo
     const secondsPerBeat = 60.0 / this.tempo;
     this.nextNoteTime += secondsPerBeat / 4; // Divide by 4 for 16th notes
     
-    // Advance step counter, wrapping at 16
-    this.currentStep = (this.currentStep + 1) % 16;
+    // Advance tick and derive the step, wrapping at the pattern length
+    this.tick++;
+    this.currentStep = this.tick % this.length;
+    if (this.currentStep === 0) {
+      this.loop++;
+    }
+  }
+
+  /**
+   * Position of an AudioContext time in running 16ths on the straight grid
+   * Measured from nextNoteTime, the time of the next tick to be scheduled,
+   * so it also works for times already scheduled
+   * @param {number} time - AudioContext time
+   * @returns {number} Fractional running 16th count
+   */
+  getPosition(time) {
+    return this.tick + (time - this.nextNoteTime) / calculateSixteenthNoteTime(this.tempo);
   }
 
   /**
@@ -73,16 +151,22 @@ export class Scheduler {
    */
   scheduler() {
     // Schedule all notes that need to play before the next interval
-    // The lookahead window ensures we don't miss any notes due to timer jitter
+    // The lookahead window ensures we don't miss any notes due to timer jitter.
+    // It reaches further by the earliest a nudged hit can sound, so a step
+    // pulled early is scheduled before its hit time has passed
+    const earlyTime = this.early * calculateSixteenthNoteTime(this.tempo);
     while (
-      this.nextNoteTime < 
+      this.nextNoteTime - earlyTime < 
       this.audioContext.currentTime + this.scheduleAheadTime
     ) {
       // Notify UI of step change (for visual indicator)
-      this.onStep(this.currentStep);
+      this.onStep(this.currentStep, this.tick);
       
       // Schedule the actual audio events at the precise time
-      this.onSchedule(this.currentStep, this.nextNoteTime);
+      // nextNoteTime stays on the straight grid; swing only shifts the output.
+      // Swing follows the tick so odd pattern lengths keep the shuffle in place
+      const swingOffset = calculateSwingOffset(this.tick, this.tempo, this.swing);
+      this.onSchedule(this.currentStep, this.nextNoteTime + swingOffset, this.tick, this.loop);
       
       // Advance to next step
       this.nextNote();
@@ -116,11 +200,13 @@ export class Scheduler {
   }
 
   /**
-   * Resets the step counter to 0
+   * Resets the step and loop counters to 0
    * Call this when clearing or loading a new pattern
    */
   reset() {
     this.currentStep = 0;
+    this.tick = 0;
+    this.loop = 0;
   }
 
   /**
@@ -2,9 +2,13 @@
  * SoundGenerator.js
  * 
  * Synthesizes lo-fi hip hop drum sounds and chords using the Web Audio API.
- * All sounds are generated in real-time - no samples used.
+ * Built-in voices are generated in real-time; tracks can instead play a
+ * user-loaded sample through createSample().
  */
 
+import { crushBlock } from './worklets/bitcrusher-processor.js';
+import { tracks } from '../utils/constants.js';
+
 /**
  * Creates a buffer of white noise for percussion synthesis
  * @param {AudioContext} context - The AudioContext to create the buffer in
@@ -24,6 +28,92 @@ export function createNoiseBuffer(context, duration) {
   return buffer;
 }
 
+/**
+ * Editable synthesis parameters for each voice (instrument type)
+ * Each entry describes one control: its default, range and display unit.
+ * Defaults reproduce the original hard-coded sounds.
+ */
+export const voiceParameters = {
+  kick: [
+    { key: 'pitch', label: 'PITCH', min: 60, max: 300, step: 1, default: 150, unit: 'Hz' },
+    { key: 'pitchEnd', label: 'BODY', min: 30, max: 120, step: 1, default: 50, unit: 'Hz' },
+    { key: 'decay', label: 'DECAY', min: 0.1, max: 1.5, step: 0.01, default: 0.5, unit: 's' }
+  ],
+  snare: [
+    { key: 'tone', label: 'TONE', min: 100, max: 400, step: 1, default: 180, unit: 'Hz' },
+    { key: 'cutoff', label: 'CUTOFF', min: 200, max: 8000, step: 10, default: 1000, unit: 'Hz' },
+    { key: 'decay', label: 'DECAY', min: 0.05, max: 0.8, step: 0.01, default: 0.2, unit: 's' },
+    { key: 'mix', label: 'NOISE', min: 0, max: 1, step: 0.01, default: 0.59, unit: '' }
+  ],
+  hihat: [
+    { key: 'cutoff', label: 'CUTOFF', min: 2000, max: 15000, step: 50, default: 7000, unit: 'Hz' },
+    { key: 'tone', label: 'RES', min: 0.1, max: 20, step: 0.1, default: 1, unit: 'Q' },
+    { key: 'decay', label: 'DECAY', min: 0.01, max: 0.5, step: 0.005, default: 0.05, unit: 's' }
+  ],
+  chord: [
+    { key: 'cutoff', label: 'CUTOFF', min: 200, max: 12000, step: 10, default: 12000, unit: 'Hz' },
+    { key: 'decay', label: 'DECAY', min: 0.2, max: 3, step: 0.01, default: 0.6, unit: 's' },
+    { key: 'detune', label: 'DETUNE', min: 0, max: 50, step: 1, default: 5, unit: 'ct' }
+  ]
+};
+
+/**
+ * Returns the default parameter object for a voice
+ * @param {string} voice - Instrument type (kick, snare, hihat, chord)
+ * @returns {Object} Map of parameter key to default value
+ */
+export function getDefaultVoiceParams(voice) {
+  return (Object.hasOwn(voiceParameters, voice) ? voiceParameters[voice] : []).reduce((params, param) => {
+    params[param.key] = param.default;
+    return params;
+  }, {});
+}
+
+/**
+ * Creates default parameters for every track, based on its instrument
+ * @param {Array<Object>} [trackList] - Tracks { id, instrument } (defaults to the built-in four)
+ * @returns {Object} Map of track ID to parameter object
+ */
+export function createVoiceParams(trackList = tracks) {
+  return trackList.reduce((all, track) => {
+    all[track.id] = getDefaultVoiceParams(track.instrument);
+    return all;
+  }, {});
+}
+
+/**
+ * Editable parameters of the sample voice, shared by every track
+ * Same shape as voiceParameters
+ */
+export const sampleParameters = [
+  { key: 'start', label: 'START', min: 0, max: 0.99, step: 0.01, default: 0, unit: '' },
+  { key: 'pitch', label: 'PITCH', min: -24, max: 24, step: 1, default: 0, unit: 'st' },
+  { key: 'decay', label: 'DECAY', min: 0.05, max: 4, step: 0.01, default: 2, unit: 's' }
+];
+
+/**
+ * Returns the default sample voice parameters
+ * @returns {Object} { start, pitch, decay }
+ */
+export function getDefaultSampleParams() {
+  return sampleParameters.reduce((params, param) => {
+    params[param.key] = param.default;
+    return params;
+  }, {});
+}
+
+/**
+ * Creates default sample parameters for every track
+ * @param {Array<Object>} [trackList] - Tracks { id } (defaults to the built-in four)
+ * @returns {Object} Map of track ID to { start, pitch, decay }
+ */
+export function createSampleParams(trackList = tracks) {
+  return trackList.reduce((all, track) => {
+    all[track.id] = getDefaultSampleParams();
+    return all;
+  }, {});
+}
+
 /**
  * Creates a kick drum sound with pitch envelope
  * Synthesizes an 808-style kick using oscillator frequency sweep
@@ -31,25 +121,28 @@ export function createNoiseBuffer(context, duration) {
  * @param {AudioContext} context - The AudioContext
  * @param {number} time - The exact AudioContext time to start the sound
  * @param {GainNode} destination - The gain node to connect to (master gain)
+ * @param {number} velocity - Gain multiplier for the hit (1 = normal)
+ * @param {Object} params - Voice parameters { pitch, pitchEnd, decay }
  */
-export function createKick(context, time, destination) {
+export function createKick(context, time, destination, velocity = 1, params = {}) {
+  const { pitch, pitchEnd, decay } = { ...getDefaultVoiceParams('kick'), ...params };
   const osc = context.createOscillator();
   const oscGain = context.createGain();
   
-  // Start at 150Hz and quickly sweep down to 50Hz for that punch
-  osc.frequency.setValueAtTime(150, time);
-  osc.frequency.exponentialRampToValueAtTime(50, time + 0.5);
+  // Start high and quickly sweep down to the body frequency for that punch
+  osc.frequency.setValueAtTime(pitch, time);
+  osc.frequency.exponentialRampToValueAtTime(pitchEnd, time + decay);
   
   // Gain envelope: full volume then quick decay
-  oscGain.gain.setValueAtTime(1, time);
-  oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.5);
+  oscGain.gain.setValueAtTime(velocity, time);
+  oscGain.gain.exponentialRampToValueAtTime(0.01, time + decay);
   
   osc.type = 'sine';
   osc.connect(oscGain);
   oscGain.connect(destination);
   
   osc.start(time);
-  osc.stop(time + 0.5);
+  osc.stop(time + decay);
   
   // Cleanup when done to prevent memory leaks
   osc.onended = () => {
@@ -65,27 +158,36 @@ export function createKick(context, time, destination) {
  * @param {AudioContext} context - The AudioContext
  * @param {number} time - The exact AudioContext time to start the sound
  * @param {GainNode} destination - The gain node to connect to
+ * @param {number} velocity - Gain multiplier for the hit (1 = normal)
+ * @param {Object} params - Voice parameters { tone, cutoff, decay, mix }
  */
-export function createSnare(context, time, destination) {
+export function createSnare(context, time, destination, velocity = 1, params = {}) {
+  const { tone, cutoff, decay, mix } = { ...getDefaultVoiceParams('snare'), ...params };
+  
+  // Noise/tone balance; the default mix gives the classic 1 : 0.7 levels
+  const noiseLevel = 1.7 * mix;
+  const toneLevel = 1.7 * (1 - mix);
+  
   // Noise component (the snap/crackle)
   const noise = context.createBufferSource();
-  noise.buffer = createNoiseBuffer(context, 0.2);
+  noise.buffer = createNoiseBuffer(context, decay);
   
   const noiseFilter = context.createBiquadFilter();
   noiseFilter.type = 'highpass';
-  noiseFilter.frequency.value = 1000; // Filter out low frequencies
+  noiseFilter.frequency.value = cutoff; // Filter out low frequencies
   
   const noiseGain = context.createGain();
-  noiseGain.gain.setValueAtTime(1, time);
-  noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.2);
+  // Exponential ramps can't start at 0, so a fully dry mix floors at the ramp target
+  noiseGain.gain.setValueAtTime(Math.max(0.01, noiseLevel * velocity), time);
+  noiseGain.gain.exponentialRampToValueAtTime(0.01, time + decay);
   
-  // Tonal component (the body)
+  // Tonal component (the body), half as long as the noise
   const osc = context.createOscillator();
   const oscGain = context.createGain();
   
-  osc.frequency.value = 180; // Near the fundamental of a snare drum
-  oscGain.gain.setValueAtTime(0.7, time);
-  oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
+  osc.frequency.value = tone; // Near the fundamental of a snare drum
+  oscGain.gain.setValueAtTime(Math.max(0.01, toneLevel * velocity), time);
+  oscGain.gain.exponentialRampToValueAtTime(0.01, time + decay / 2);
   
   // Connect noise path
   noise.connect(noiseFilter);
@@ -98,9 +200,9 @@ export function createSnare(context, time, destination) {
   
   // Start both components
   noise.start(time);
-  noise.stop(time + 0.2);
+  noise.stop(time + decay);
   osc.start(time);
-  osc.stop(time + 0.1);
+  osc.stop(time + decay / 2);
   
   // Cleanup
   noise.onended = () => {
@@ -121,26 +223,29 @@ export function createSnare(context, time, destination) {
  * @param {AudioContext} context - The AudioContext
  * @param {number} time - The exact AudioContext time to start the sound
  * @param {GainNode} destination - The gain node to connect to
+ * @param {number} velocity - Gain multiplier for the hit (1 = normal)
+ * @param {Object} params - Voice parameters { cutoff, tone, decay }
  */
-export function createHiHat(context, time, destination) {
+export function createHiHat(context, time, destination, velocity = 1, params = {}) {
+  const { cutoff, tone, decay } = { ...getDefaultVoiceParams('hihat'), ...params };
   const noise = context.createBufferSource();
-  noise.buffer = createNoiseBuffer(context, 0.05);
+  noise.buffer = createNoiseBuffer(context, decay);
   
   const filter = context.createBiquadFilter();
   filter.type = 'highpass';
-  filter.frequency.value = 7000; // Very high frequency for metallic sound
-  filter.Q.value = 1; // Resonance for character
+  filter.frequency.value = cutoff; // Very high frequency for metallic sound
+  filter.Q.value = tone; // Resonance for character
   
   const gain = context.createGain();
-  gain.gain.setValueAtTime(0.6, time);
-  gain.gain.exponentialRampToValueAtTime(0.01, time + 0.05); // Very short decay
+  gain.gain.setValueAtTime(0.6 * velocity, time);
+  gain.gain.exponentialRampToValueAtTime(0.01, time + decay); // Very short decay
   
   noise.connect(filter);
   filter.connect(gain);
   gain.connect(destination);
   
   noise.start(time);
-  noise.stop(time + 0.05);
+  noise.stop(time + decay);
   
   noise.onended = () => {
     noise.disconnect();
@@ -150,77 +255,143 @@ export function createHiHat(context, time, destination) {
 }
 
 /**
- * Creates a lo-fi jazz chord (Dm7 voicing)
- * Uses 3 oscillators with slight random detuning for analog warmth
+ * Creates a lo-fi jazz chord (Dm7 voicing by default)
+ * Uses one oscillator per note with slight random detuning for analog warmth,
+ * summed through a lowpass filter
  * 
  * @param {AudioContext} context - The AudioContext
  * @param {number} time - The exact AudioContext time to start the sound
  * @param {GainNode} destination - The gain node to connect to
+ * @param {number} velocity - Gain multiplier for the hit (1 = normal)
+ * @param {number[]} frequencies - Voicing in Hz (see getChordFrequencies)
+ * @param {Object} params - Voice parameters { cutoff, decay, detune }
  */
-export function createChord(context, time, destination) {
+export function createChord(
+  context,
+  time,
+  destination,
+  velocity = 1,
   // Dm7 chord voicing: D4 (293.66), F4 (349.23), C5 (523.25)
-  const frequencies = [293.66, 349.23, 523.25];
+  frequencies = [293.66, 349.23, 523.25],
+  params = {}
+) {
+  const { cutoff, decay, detune } = { ...getDefaultVoiceParams('chord'), ...params };
+  
+  // Keep bigger voicings at the same overall level as the 3-note default
+  const level = velocity * Math.min(1, 3 / frequencies.length);
+  
+  // Envelope stages scale with decay; 0.6s gives the original shape
+  const sustainEnd = Math.max(0.1, decay - 0.2);
+  
+  const filter = context.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = cutoff;
+  filter.connect(destination);
+  
+  let voicesPlaying = frequencies.length;
   
   frequencies.forEach(freq => {
     const osc = context.createOscillator();
     const gain = context.createGain();
     
     osc.frequency.value = freq;
-    // Random detune between -5 and +5 cents for analog imperfection
-    osc.detune.value = Math.random() * 10 - 5;
+    // Random detune within +/- the detune amount for analog imperfection
+    osc.detune.value = (Math.random() * 2 - 1) * detune;
     osc.type = 'sine'; // Soft sine wave for lo-fi character
     
     // Multi-stage envelope for natural sound
     gain.gain.setValueAtTime(0, time);
-    gain.gain.linearRampToValueAtTime(0.15, time + 0.05); // Quick attack
-    gain.gain.linearRampToValueAtTime(0.1, time + 0.1);   // Slight decay
-    gain.gain.setValueAtTime(0.1, time + 0.4);            // Sustain
-    gain.gain.linearRampToValueAtTime(0, time + 0.6);     // Release
+    gain.gain.linearRampToValueAtTime(0.15 * level, time + 0.05); // Quick attack
+    gain.gain.linearRampToValueAtTime(0.1 * level, time + 0.1);   // Slight decay
+    gain.gain.setValueAtTime(0.1 * level, time + sustainEnd);     // Sustain
+    gain.gain.linearRampToValueAtTime(0, time + decay);           // Release
     
     osc.connect(gain);
-    gain.connect(destination);
+    gain.connect(filter);
     
     osc.start(time);
-    osc.stop(time + 0.6);
+    osc.stop(time + decay);
     
     osc.onended = () => {
       osc.disconnect();
       gain.disconnect();
+      voicesPlaying--;
+      if (voicesPlaying === 0) {
+        filter.disconnect();
+      }
     };
   });
 }
 
+/**
+ * Plays a decoded audio sample as a one-shot
+ * Pitch is applied by changing the playback rate, so it also changes length
+ * 
+ * @param {AudioContext} context - The AudioContext
+ * @param {number} time - The exact AudioContext time to start the sound
+ * @param {GainNode} destination - The gain node to connect to
+ * @param {number} velocity - Gain multiplier for the hit (1 = normal)
+ * @param {AudioBuffer} buffer - Decoded sample
+ * @param {Object} params - Sample parameters { start, pitch, decay }
+ */
+export function createSample(context, time, destination, velocity = 1, buffer, params = {}) {
+  const { start, pitch, decay } = { ...getDefaultSampleParams(), ...params };
+  
+  const source = context.createBufferSource();
+  const gain = context.createGain();
+  
+  source.buffer = buffer;
+  source.playbackRate.value = Math.pow(2, pitch / 12); // Semitones to rate
+  
+  // Hold, then fade out over the last fifth of the decay time
+  gain.gain.setValueAtTime(velocity, time);
+  gain.gain.setValueAtTime(velocity, time + decay * 0.8);
+  gain.gain.linearRampToValueAtTime(0, time + decay);
+  
+  source.connect(gain);
+  gain.connect(destination);
+  
+  // start is a fraction of the sample length
+  source.start(time, start * buffer.duration);
+  source.stop(time + decay);
+  
+  source.onended = () => {
+    source.disconnect();
+    gain.disconnect();
+  };
+}
+
 /**
  * Creates a bitcrusher effect for lo-fi degradation
- * Uses ScriptProcessorNode to quantize samples
+ * Fallback for browsers without AudioWorklet: runs the same crushBlock()
+ * DSP as the worklet inside a ScriptProcessorNode
  * Note: ScriptProcessor is deprecated but still widely supported
  * 
  * @param {AudioContext} context - The AudioContext
+ * @param {Object} settings - Live settings { bits, rate }, read on every block
+ *   so the caller can mutate them while audio is running
  * @returns {ScriptProcessorNode} The bitcrusher effect node
  */
-export function createLoFiEffect(context) {
+export function createLoFiEffect(context, settings = { bits: 8, rate: 0.5 }) {
   const bufferSize = 4096;
-  const bitcrusher = context.createScriptProcessor(bufferSize, 1, 1);
-  
-  const bits = 8; // Lower bits = more distortion
-  const normFreq = 0.5; // Downsampling factor
-  let lastSample = 0;
-  let step = 0;
+  const bitcrusher = context.createScriptProcessor(bufferSize, 2, 2);
+  const channelState = [];
   
   bitcrusher.onaudioprocess = (e) => {
-    const input = e.inputBuffer.getChannelData(0);
-    const output = e.outputBuffer.getChannelData(0);
-    
-    for (let i = 0; i < input.length; i++) {
-      step++;
-      // Hold sample for downsampling effect
-      if (step % Math.max(1, Math.floor(1 / normFreq)) === 0) {
-        // Quantize to N bits
-        lastSample = Math.floor(input[i] * Math.pow(2, bits)) / Math.pow(2, bits);
+    for (let channel = 0; channel < e.outputBuffer.numberOfChannels; channel++) {
+      if (!channelState[channel]) {
+        channelState[channel] = { phase: 1, held: 0 };
       }
-      output[i] = lastSample;
+      crushBlock(
+        e.inputBuffer.getChannelData(channel),
+        e.outputBuffer.getChannelData(channel),
+        channelState[channel],
+        settings.bits,
+        settings.rate
+      );
     }
   };
   
+  bitcrusher.settings = settings;
   return bitcrusher;
 }
@@ -0,0 +1,105 @@
+/**
+ * WavEncoder.js
+ * 
+ * Encodes raw PCM channel data into a RIFF/WAVE file.
+ * Pure functions with no Web Audio dependency so they can be unit tested.
+ */
+
+/**
+ * Writes an ASCII string into a DataView
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset to start writing at
+ * @param {string} text - Four-character chunk ID
+ */
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Converts a float sample (-1 to 1) to a signed integer at the given depth
+ * Asymmetric scaling so -1 maps to the minimum and 1 to the maximum value
+ * @param {number} sample - Float sample, clipped to -1..1
+ * @param {number} bitDepth - 16 or 24
+ * @returns {number} Signed integer sample
+ */
+export function floatToPcm(sample, bitDepth) {
+  const clipped = Math.max(-1, Math.min(1, sample));
+  const max = Math.pow(2, bitDepth - 1);
+  return Math.round(clipped < 0 ? clipped * max : clipped * (max - 1));
+}
+
+/**
+ * Encodes channel data as a PCM WAV file
+ * 
+ * @param {Float32Array[]} channels - One Float32Array per channel, equal lengths
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitDepth - 16 or 24 bits per sample
+ * @returns {ArrayBuffer} Complete WAV file (44 byte header + interleaved data)
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 16) {
+  if (bitDepth !== 16 && bitDepth !== 24) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const numChannels = channels.length;
+  const numFrames = numChannels ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF chunk descriptor
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true); // File size minus the first 8 bytes
+  writeString(view, 8, 'WAVE');
+
+  // fmt sub-chunk (PCM)
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // Sub-chunk size for PCM
+  view.setUint16(20, 1, true); // Audio format 1 = linear PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data sub-chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleave channels frame by frame, little-endian
+  let offset = 44;
+  for (let frame = 0; frame < numFrames; frame++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      const value = floatToPcm(channels[channel][frame], bitDepth);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Encodes a rendered AudioBuffer as a WAV file
+ * @param {AudioBuffer} audioBuffer - Buffer returned by OfflineAudioContext
+ * @param {number} bitDepth - 16 or 24 bits per sample
+ * @returns {ArrayBuffer} Complete WAV file
+ */
+export function audioBufferToWav(audioBuffer, bitDepth = 16) {
+  const channels = [];
+  for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+    channels.push(audioBuffer.getChannelData(i));
+  }
+  return encodeWav(channels, audioBuffer.sampleRate, bitDepth);
+}
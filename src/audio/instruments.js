@@ -0,0 +1,103 @@
+/**
+ * instruments.js
+ * 
+ * Instrument registry: maps an instrument type to the generator that plays
+ * it. Tracks name an instrument type, so the engine, the UI and offline
+ * rendering never branch on specific track IDs.
+ * 
+ * Adding a voice means writing its generator and voiceParameters entry in
+ * SoundGenerator.js and registering it here.
+ */
+
+import {
+  createKick,
+  createSnare,
+  createHiHat,
+  createChord,
+  voiceParameters
+} from './SoundGenerator.js';
+import { getChordFrequencies, getStepChord } from '../utils/chords.js';
+
+/**
+ * Registered instruments
+ * Each entry has a display name, its editable parameters and a play()
+ * function called with (context, time, destination, velocity, params, value),
+ * where value is the raw step value (for per-step data such as chords).
+ * `chords: true` marks instruments whose steps carry a chord.
+ * `drumNote` is the General MIDI drum note used for MIDI export.
+ */
+export const instruments = {
+  kick: {
+    name: 'Kick',
+    drumNote: 36,
+    parameters: voiceParameters.kick,
+    play: (context, time, destination, velocity, params) => (
+      createKick(context, time, destination, velocity, params)
+    )
+  },
+  snare: {
+    name: 'Snare',
+    drumNote: 38,
+    parameters: voiceParameters.snare,
+    play: (context, time, destination, velocity, params) => (
+      createSnare(context, time, destination, velocity, params)
+    )
+  },
+  hihat: {
+    name: 'Hi-Hat',
+    drumNote: 42,
+    parameters: voiceParameters.hihat,
+    play: (context, time, destination, velocity, params) => (
+      createHiHat(context, time, destination, velocity, params)
+    )
+  },
+  chord: {
+    name: 'Chord',
+    chords: true,
+    parameters: voiceParameters.chord,
+    play: (context, time, destination, velocity, params, value) => (
+      createChord(context, time, destination, velocity, getChordFrequencies(getStepChord(value)), params)
+    )
+  }
+};
+
+/**
+ * Registers (or replaces) an instrument type
+ * @param {string} type - Instrument type key
+ * @param {Object} definition - { name, parameters, play, chords?, drumNote? }
+ */
+export function registerInstrument(type, definition) {
+  instruments[type] = { parameters: [], ...definition };
+  // Keep getDefaultVoiceParams() in step with the registry
+  voiceParameters[type] = instruments[type].parameters;
+}
+
+/**
+ * Looks up an instrument type
+ * @param {string} type - Instrument type key
+ * @returns {Object|null} Instrument definition, or null if unknown
+ */
+export function getInstrument(type) {
+  // Own keys only, so names like "toString" are unknown rather than inherited
+  return Object.hasOwn(instruments, type) ? instruments[type] : null;
+}
+
+/**
+ * Plays one hit of an instrument
+ * Unknown instrument types are ignored
+ * @param {string} type - Instrument type key
+ * @param {BaseAudioContext} context - The AudioContext
+ * @param {number} time - The exact AudioContext time to play
+ * @param {AudioNode} destination - Node to connect the voice to
+ * @param {number} velocity - Gain multiplier for the hit
+ * @param {Object} params - Voice parameters for the track
+ * @param {number|Object} value - Step value
+ * @returns {boolean} True if a sound was scheduled
+ */
+export function playInstrument(type, context, time, destination, velocity, params, value) {
+  const instrument = getInstrument(type);
+  if (!instrument) return false;
+  
+  instrument.play(context, time, destination, velocity, params, value);
+  return true;
+}
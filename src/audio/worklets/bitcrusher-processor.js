@@ -0,0 +1,72 @@
+/**
+ * bitcrusher-processor.js
+ * 
+ * AudioWorklet processor for the lo-fi master degradation stage.
+ * Quantizes samples to a reduced bit depth and holds them to fake a
+ * lower sample rate. Loaded with audioWorklet.addModule(), so this file
+ * must stay self-contained (no imports).
+ */
+
+/**
+ * Crushes one block of samples
+ * Pure function shared by the worklet and the ScriptProcessor fallback
+ * 
+ * @param {Float32Array} input - Input samples
+ * @param {Float32Array} output - Output samples (same length as input)
+ * @param {Object} state - Per-channel state { phase, held }, mutated in place
+ * @param {number} bits - Bit depth (1-16), fractional values allowed
+ * @param {number} rate - Normalized sample rate (0-1], 1 = no downsampling
+ */
+export function crushBlock(input, output, state, bits, rate) {
+  // Quantization step for a signal in -1..1 at the given bit depth
+  const step = Math.pow(0.5, bits - 1);
+  
+  for (let i = 0; i < input.length; i++) {
+    // Take a new sample each time the phase accumulator wraps
+    if (state.phase >= 1) {
+      state.phase -= 1;
+      state.held = Math.round(input[i] / step) * step;
+    }
+    output[i] = state.held;
+    state.phase += rate;
+  }
+}
+
+// Only register when running inside the AudioWorkletGlobalScope
+if (typeof AudioWorkletProcessor !== 'undefined') {
+  class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+      return [
+        { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+        { name: 'rate', defaultValue: 0.5, minValue: 0.01, maxValue: 1, automationRate: 'k-rate' }
+      ];
+    }
+
+    constructor() {
+      super();
+      this.channelState = [];
+    }
+
+    process(inputs, outputs, parameters) {
+      const input = inputs[0];
+      const output = outputs[0];
+      const bits = parameters.bits[0];
+      const rate = parameters.rate[0];
+      
+      for (let channel = 0; channel < output.length; channel++) {
+        if (!this.channelState[channel]) {
+          this.channelState[channel] = { phase: 1, held: 0 };
+        }
+        // Missing input (nothing connected yet) is treated as silence
+        const samples = input[channel] || input[0];
+        if (samples) {
+          crushBlock(samples, output[channel], this.channelState[channel], bits, rate);
+        }
+      }
+      
+      return true;
+    }
+  }
+
+  registerProcessor('bitcrusher', BitcrusherProcessor);
+}
@@ -0,0 +1,69 @@
+/**
+ * ChannelStrip.jsx
+ * 
+ * Compact per-track mixer: mute, solo, volume and pan.
+ */
+
+import React from 'react';
+import { defaults } from '../utils/constants.js';
+
+/**
+ * Mixer channel strip shown next to a track label
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.trackId - Track identifier
+ * @param {string} props.trackName - Display name (for accessibility)
+ * @param {Object} props.channel - { volume, pan, mute, solo }
+ * @param {Function} props.onChange - Called with (trackId, param, value)
+ */
+function ChannelStrip({ trackId, trackName, channel, onChange }) {
+  return (
+    <div className="channel-strip" data-track={trackId}>
+      <button
+        className={`channel-button mute-button ${channel.mute ? 'engaged' : ''}`}
+        onClick={() => onChange(trackId, 'mute', !channel.mute)}
+        aria-pressed={channel.mute}
+        aria-label={`Mute ${trackName}`}
+        title="Mute"
+        type="button"
+      >
+        M
+      </button>
+      <button
+        className={`channel-button solo-button ${channel.solo ? 'engaged' : ''}`}
+        onClick={() => onChange(trackId, 'solo', !channel.solo)}
+        aria-pressed={channel.solo}
+        aria-label={`Solo ${trackName}`}
+        title="Solo"
+        type="button"
+      >
+        S
+      </button>
+      <input
+        className="win95-slider channel-volume"
+        type="range"
+        min={0}
+        max={defaults.maxVolume}
+        step={0.05}
+        value={channel.volume}
+        onChange={(e) => onChange(trackId, 'volume', Number(e.target.value))}
+        aria-label={`${trackName} volume`}
+        title={`Volume ${Math.round(channel.volume * 100)}%`}
+      />
+      <input
+        className="win95-slider channel-pan"
+        type="range"
+        min={-1}
+        max={1}
+        step={0.1}
+        value={channel.pan}
+        onChange={(e) => onChange(trackId, 'pan', Number(e.target.value))}
+        onDoubleClick={() => onChange(trackId, 'pan', 0)}
+        aria-label={`${trackName} pan`}
+        title={`Pan ${channel.pan === 0 ? 'C' : channel.pan < 0 ? `L${Math.round(-channel.pan * 100)}` : `R${Math.round(channel.pan * 100)}`}`}
+      />
+    </div>
+  );
+}
+
+export default ChannelStrip;
@@ -0,0 +1,116 @@
+/**
+ * ChordPanel.jsx
+ * 
+ * Chord editor for a chord track: root, voicing and inversion of the
+ * selected step, plus progression presets that fill the whole track.
+ */
+
+import React, { useState } from 'react';
+import {
+  noteNames,
+  chordQualities,
+  progressions,
+  getChordName
+} from '../utils/chords.js';
+
+/**
+ * Chord editor panel
+ * The chord shown is applied to the selected chord step (if any) and to
+ * every chord step switched on afterwards.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.trackName - Name of the chord track being edited
+ * @param {Object} props.chord - Current chord { root, quality, inversion }
+ * @param {number|null} props.editStep - Chord step being edited, or null
+ * @param {Function} props.onChordChange - Called with (param, value)
+ * @param {Function} props.onApplyProgression - Called with (progressionId, key)
+ */
+function ChordPanel({ trackName = 'CHORD', chord, editStep, onChordChange, onApplyProgression }) {
+  const [progression, setProgression] = useState('ii-V-I');
+  const [key, setKey] = useState(0);
+  const maxInversion = chordQualities[chord.quality].intervals.length - 1;
+
+  return (
+    <div className="chord-panel group-box">
+      <span className="group-box-title">Chord</span>
+
+      <span className="chord-panel-target">
+        {trackName} {editStep === null ? 'new steps' : `step ${editStep + 1}`}: <strong>{getChordName(chord)}</strong>
+      </span>
+
+      <label htmlFor="chord-root">ROOT:</label>
+      <select
+        id="chord-root"
+        className="win95-select"
+        value={chord.root}
+        onChange={(e) => onChordChange('root', Number(e.target.value))}
+      >
+        {noteNames.map((name, pitch) => (
+          <option key={name} value={pitch}>{name}</option>
+        ))}
+      </select>
+
+      <label htmlFor="chord-quality">TYPE:</label>
+      <select
+        id="chord-quality"
+        className="win95-select"
+        value={chord.quality}
+        onChange={(e) => onChordChange('quality', e.target.value)}
+      >
+        {Object.keys(chordQualities).map(quality => (
+          <option key={quality} value={quality}>{chordQualities[quality].name}</option>
+        ))}
+      </select>
+
+      <label htmlFor="chord-inversion">INV:</label>
+      <select
+        id="chord-inversion"
+        className="win95-select"
+        value={Math.min(chord.inversion, maxInversion)}
+        onChange={(e) => onChordChange('inversion', Number(e.target.value))}
+      >
+        {Array.from({ length: maxInversion + 1 }).map((_, inversion) => (
+          <option key={inversion} value={inversion}>
+            {inversion === 0 ? 'Root' : `${inversion}`}
+          </option>
+        ))}
+      </select>
+
+      <span className="chord-panel-divider" />
+
+      <label htmlFor="chord-progression">PROGRESSION:</label>
+      <select
+        id="chord-progression"
+        className="win95-select"
+        value={progression}
+        onChange={(e) => setProgression(e.target.value)}
+      >
+        {Object.keys(progressions).map(id => (
+          <option key={id} value={id}>{progressions[id].name}</option>
+        ))}
+      </select>
+
+      <label htmlFor="chord-key">KEY:</label>
+      <select
+        id="chord-key"
+        className="win95-select"
+        value={key}
+        onChange={(e) => setKey(Number(e.target.value))}
+      >
+        {noteNames.map((name, pitch) => (
+          <option key={name} value={pitch}>{name}</option>
+        ))}
+      </select>
+
+      <button
+        className="win95-button"
+        onClick={() => onApplyProgression(progression, key)}
+        type="button"
+      >
+        Fill
+      </button>
+    </div>
+  );
+}
+
+export default ChordPanel;
@@ -1,11 +1,12 @@
 /**
  * Controls.jsx
  * 
- * Playback controls, tempo slider, preset selector, and clear button.
+ * Playback controls, tempo and swing sliders, preset selector, pattern
+ * library buttons, and clear button.
  */
 
 import React from 'react';
-import { defaults } from '../utils/constants.js';
+import { defaults, recordQuantizeOptions } from '../utils/constants.js';
 
 /**
  * Control panel component with all sequencer controls
@@ -15,8 +16,26 @@ import { defaults } from '../utils/constants.js';
  * @param {boolean} props.audioInitialized - Whether audio context is ready
  * @param {number} props.tempo - Current BPM
  * @param {Function} props.onPlayStop - Toggle play/stop
+ * @param {boolean} props.recordArmed - Whether live hits are recorded
+ * @param {Function} props.onRecordToggle - Arms or disarms recording
+ * @param {number} props.recordQuantize - Quantize strength (1, 0.5 or 0)
+ * @param {Function} props.onRecordQuantizeChange - Called with the strength
+ * @param {string} props.recordMode - 'overdub' or 'replace'
+ * @param {Function} props.onRecordModeChange - Called with the mode
  * @param {Function} props.onTempoChange - Tempo slider change handler
+ * @param {number} props.swing - Current swing amount in percent
+ * @param {Function} props.onSwingChange - Swing slider change handler
+ * @param {number} props.patternLength - Length of the longest track in steps
+ * @param {Function} props.onPatternLengthChange - Sets every track to a length
  * @param {Function} props.onPresetChange - Preset dropdown change handler
+ *   (built-in preset name, or "user:<id>" for a saved pattern)
+ * @param {Array<Object>} props.savedPatterns - Saved patterns { id, name }
+ * @param {Function} props.onOpen - Shows the Open dialog
+ * @param {Function} props.onSaveAs - Shows the Save As dialog
+ * @param {Function} props.onUndo - Undoes the last pattern edit
+ * @param {Function} props.onRedo - Redoes the last undone edit
+ * @param {boolean} props.canUndo - Whether there is an edit to undo
+ * @param {boolean} props.canRedo - Whether there is an edit to redo
  * @param {Function} props.onClear - Clear pattern handler
  * @param {Function} props.onInitAudio - Initialize audio button handler
  */
@@ -25,8 +44,25 @@ function Controls({
   audioInitialized,
   tempo,
   onPlayStop,
+  recordArmed = false,
+  onRecordToggle,
+  recordQuantize = 1,
+  onRecordQuantizeChange,
+  recordMode = 'overdub',
+  onRecordModeChange,
   onTempoChange,
+  swing,
+  onSwingChange,
+  patternLength,
+  onPatternLengthChange,
   onPresetChange,
+  savedPatterns = [],
+  onOpen,
+  onSaveAs,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
   onClear,
   onInitAudio
 }) {
@@ -50,7 +86,39 @@ function Controls({
           >
             {isPlaying ? '⏹ STOP' : '▶ PLAY'}
           </button>
-
+          
+          <div className="record-control">
+            <button
+              className={`win95-button record-button ${recordArmed ? 'armed' : ''}`}
+              onClick={onRecordToggle}
+              type="button"
+              aria-pressed={recordArmed}
+              title="Record pad and key hits into the pattern while playing"
+            >
+              ● REC
+            </button>
+            <select
+              className="win95-select"
+              value={recordQuantize}
+              onChange={(e) => onRecordQuantizeChange(Number(e.target.value))}
+              aria-label="Record quantize"
+              title="Quantize"
+            >
+              {recordQuantizeOptions.map(option => (
+                <option key={option.value} value={option.value}>Q {option.label}</option>
+              ))}
+            </select>
+            <select
+              className="win95-select"
+              value={recordMode}
+              onChange={(e) => onRecordModeChange(e.target.value)}
+              aria-label="Record mode"
+            >
+              <option value="overdub">Overdub</option>
+              <option value="replace">Replace</option>
+            </select>
+          </div>
+          
           <div className="tempo-control">
             <label htmlFor="tempo-slider">
               TEMPO: <span className="tempo-value">{tempo}</span> BPM
@@ -68,7 +136,39 @@ function Controls({
               aria-valuenow={tempo}
             />
           </div>
-
+          
+          <div className="swing-control">
+            <label htmlFor="swing-slider">
+              SWING: <span className="swing-value">{swing}</span>%
+            </label>
+            <input
+              id="swing-slider"
+              type="range"
+              min={defaults.minSwing}
+              max={defaults.maxSwing}
+              value={swing}
+              onChange={(e) => onSwingChange(Number(e.target.value))}
+              className="win95-slider"
+              aria-valuemin={defaults.minSwing}
+              aria-valuemax={defaults.maxSwing}
+              aria-valuenow={swing}
+            />
+          </div>
+          
+          <div className="length-control">
+            <label htmlFor="length-input">STEPS:</label>
+            <input
+              id="length-input"
+              type="number"
+              min={defaults.minSteps}
+              max={defaults.maxSteps}
+              value={patternLength}
+              onChange={(e) => onPatternLengthChange(Number(e.target.value))}
+              className="win95-input"
+              title="Set every track to this length"
+            />
+          </div>
+          
           <div className="preset-control">
             <label htmlFor="preset-select">PRESET:</label>
             <select
@@ -82,9 +182,56 @@ function Controls({
               <option value="trap">🔥 Trap</option>
               <option value="jazz">🎷 Jazz</option>
               <option value="empty">📝 Empty</option>
+              {savedPatterns.length > 0 && (
+                <optgroup label="My Patterns">
+                  {savedPatterns.map(entry => (
+                    <option key={entry.id} value={`user:${entry.id}`}>
+                      💾 {entry.name}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
             </select>
           </div>
-
+          
+          <div className="library-control">
+            <button
+              className="win95-button"
+              onClick={onOpen}
+              type="button"
+            >
+              📂 Open...
+            </button>
+            <button
+              className="win95-button"
+              onClick={onSaveAs}
+              type="button"
+            >
+              💾 Save As...
+            </button>
+          </div>
+          
+          <div className="history-control">
+            <button
+              className="win95-button"
+              onClick={onUndo}
+              disabled={!canUndo}
+              type="button"
+              title="Undo (Ctrl+Z)"
+            >
+              ↶ Undo
+            </button>
+            <button
+              className="win95-button"
+              onClick={onRedo}
+              disabled={!canRedo}
+              type="button"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              ↷ Redo
+            </button>
+          </div>
+          
           <button
             className="win95-button clear-button"
             onClick={onClear}
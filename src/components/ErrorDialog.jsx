@@ -0,0 +1,53 @@
+/**
+ * ErrorDialog.jsx
+ * 
+ * Windows 95 style error message box with an OK button.
+ */
+
+import React from 'react';
+import Win95Dialog from './Win95Dialog.jsx';
+
+// Longest list of details shown before the rest are summarised
+const MAX_DETAILS = 8;
+
+/**
+ * Error dialog component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.title - Title bar text
+ * @param {string} props.message - What went wrong
+ * @param {Array<string>} [props.details] - Individual problems to list
+ * @param {Function} props.onClose - Dismisses the dialog
+ */
+function ErrorDialog({ title, message, details = [], onClose }) {
+  const hidden = details.length - MAX_DETAILS;
+  
+  return (
+    <Win95Dialog
+      title={title}
+      onClose={onClose}
+      buttons={
+        <button className="win95-button" type="button" onClick={onClose} autoFocus>
+          OK
+        </button>
+      }
+    >
+      <div className="error-dialog" role="alert">
+        <span className="error-dialog-icon" aria-hidden="true">⛔</span>
+        <div>
+          <p className="error-dialog-message">{message}</p>
+          {details.length > 0 && (
+            <ul className="error-dialog-details">
+              {details.slice(0, MAX_DETAILS).map((detail, index) => (
+                <li key={index}>{detail}</li>
+              ))}
+              {hidden > 0 && <li>...and {hidden} more</li>}
+            </ul>
+          )}
+        </div>
+      </div>
+    </Win95Dialog>
+  );
+}
+
+export default ErrorDialog;
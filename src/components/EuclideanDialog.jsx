@@ -0,0 +1,87 @@
+/**
+ * EuclideanDialog.jsx
+ * 
+ * Euclidean rhythm generator for one track: hits, steps and rotation.
+ * The settings are lifted to the App, which previews the result in the
+ * grid until it is applied or cancelled.
+ */
+
+import React from 'react';
+import Win95Dialog from './Win95Dialog.jsx';
+import { defaults, euclideanRhythm } from '../utils/constants.js';
+
+/**
+ * Euclidean generator dialog component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.trackName - Name of the track being filled
+ * @param {Object} props.settings - { hits, steps, rotation }
+ * @param {Function} props.onChange - Called with the new settings
+ * @param {Function} props.onApply - Writes the previewed rhythm into the track
+ * @param {Function} props.onCancel - Closes and drops the preview
+ */
+function EuclideanDialog({ trackName, settings, onChange, onApply, onCancel }) {
+  const { hits, steps, rotation } = settings;
+  const rhythm = euclideanRhythm(hits, steps, rotation);
+
+  /**
+   * Changes one setting, keeping hits and rotation within the steps
+   * @param {string} key - 'hits', 'steps' or 'rotation'
+   * @param {number} value - New value
+   */
+  const update = (key, value) => {
+    const next = { ...settings, [key]: value };
+    next.hits = Math.min(next.hits, next.steps);
+    next.rotation = Math.min(next.rotation, next.steps - 1);
+    onChange(next);
+  };
+
+  const fields = [
+    { key: 'hits', label: 'HITS', min: 0, max: steps },
+    { key: 'steps', label: 'STEPS', min: defaults.minSteps, max: defaults.maxSteps },
+    { key: 'rotation', label: 'ROTATE', min: 0, max: steps - 1 }
+  ];
+
+  return (
+    <Win95Dialog
+      title={`Euclidean Rhythm - ${trackName}`}
+      onClose={onCancel}
+      docked
+      buttons={
+        <>
+          <button className="win95-button" type="button" onClick={onApply}>
+            Apply
+          </button>
+          <button className="win95-button" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+        </>
+      }
+    >
+      <div className="euclidean-form">
+        {fields.map(field => (
+          <div className="euclidean-field" key={field.key}>
+            <label htmlFor={`euclidean-${field.key}`}>{field.label}:</label>
+            <input
+              id={`euclidean-${field.key}`}
+              type="range"
+              className="win95-slider"
+              min={field.min}
+              max={field.max}
+              step={1}
+              value={settings[field.key]}
+              onChange={(e) => update(field.key, Number(e.target.value))}
+            />
+            <span className="euclidean-value">{settings[field.key]}</span>
+          </div>
+        ))}
+      </div>
+      <p className="dialog-note">
+        E({hits},{steps}) <code className="euclidean-rhythm">{rhythm.map(hit => (hit ? 'x' : '.')).join('')}</code>
+      </p>
+      <p className="dialog-note">The grid shows the result; hits on active steps keep them.</p>
+    </Win95Dialog>
+  );
+}
+
+export default EuclideanDialog;
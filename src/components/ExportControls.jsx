@@ -0,0 +1,133 @@
+/**
+ * ExportControls.jsx
+ * 
+ * File export toolbar: render the loop to a WAV or MIDI file, import a
+ * MIDI drum loop, and export or import the whole project as a .lofi.json
+ * file.
+ */
+
+import React, { useState, useRef } from 'react';
+import { PROJECT_EXTENSION } from '../utils/project.js';
+
+/**
+ * Export toolbar component
+ * Keeps the render options locally and hands them to the export handler
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} props.isExporting - Whether a render is in progress
+ * @param {Function} props.onExportWav - Called with { bars, bitDepth }
+ * @param {Function} props.onExportMidi - Called with { bars }
+ * @param {Function} props.onImportMidi - Called with the picked MIDI File
+ * @param {Function} props.onExportProject - Downloads the project file
+ * @param {Function} props.onImportProject - Called with the picked project File
+ */
+function ExportControls({
+  isExporting,
+  onExportWav,
+  onExportMidi,
+  onImportMidi,
+  onExportProject,
+  onImportProject
+}) {
+  const [bars, setBars] = useState(4);
+  const [bitDepth, setBitDepth] = useState(16);
+  const projectInputRef = useRef(null);
+  const midiInputRef = useRef(null);
+  
+  /**
+   * Builds a file input change handler that hands the picked file over,
+   * then clears the input so the same file can be picked again
+   * @param {Function} onFile - Receives the picked File
+   * @returns {Function} Change event handler
+   */
+  const handleFileChange = (onFile) => (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onFile(file);
+  };
+  
+  return (
+    <div className="export-controls group-box">
+      <span className="group-box-title">Export</span>
+      
+      <label htmlFor="export-bars">BARS:</label>
+      <select
+        id="export-bars"
+        className="win95-select export-select"
+        value={bars}
+        onChange={(e) => setBars(Number(e.target.value))}
+      >
+        {[1, 2, 4, 8, 16].map(count => (
+          <option key={count} value={count}>{count}</option>
+        ))}
+      </select>
+      
+      <label htmlFor="export-bit-depth">FORMAT:</label>
+      <select
+        id="export-bit-depth"
+        className="win95-select export-select"
+        value={bitDepth}
+        onChange={(e) => setBitDepth(Number(e.target.value))}
+      >
+        <option value={16}>16-bit PCM</option>
+        <option value={24}>24-bit PCM</option>
+      </select>
+      
+      <button
+        className="win95-button"
+        onClick={() => onExportWav({ bars, bitDepth })}
+        disabled={isExporting}
+        type="button"
+      >
+        {isExporting ? '⏳ Rendering...' : '💾 Export WAV'}
+      </button>
+      <button
+        className="win95-button"
+        onClick={() => onExportMidi({ bars })}
+        type="button"
+      >
+        🎹 Export MIDI
+      </button>
+      <button
+        className="win95-button"
+        onClick={() => midiInputRef.current?.click()}
+        type="button"
+      >
+        🥁 Import MIDI...
+      </button>
+      <input
+        ref={midiInputRef}
+        type="file"
+        accept=".mid,.midi,audio/midi"
+        onChange={handleFileChange(onImportMidi)}
+        hidden
+        aria-label="Import MIDI file"
+      />
+      
+      <button
+        className="win95-button"
+        onClick={onExportProject}
+        type="button"
+      >
+        📄 Export Project
+      </button>
+      <button
+        className="win95-button"
+        onClick={() => projectInputRef.current?.click()}
+        type="button"
+      >
+        📂 Import Project...
+      </button>
+      <input
+        ref={projectInputRef}
+        type="file"
+        accept={`${PROJECT_EXTENSION},.json,application/json`}
+        onChange={handleFileChange(onImportProject)}
+        hidden
+        aria-label="Import project file"
+      />
+    </div>
+  );
+}
+
+export default ExportControls;
@@ -0,0 +1,236 @@
+/**
+ * InstrumentPanel.jsx
+ * 
+ * Win95-style tabbed panel for editing each voice's synthesis parameters
+ * and assigning user samples to tracks. While a step is held it edits that
+ * step's parameter locks instead.
+ */
+
+import React, { useState, useRef } from 'react';
+import { sampleParameters } from '../audio/SoundGenerator.js';
+import { getInstrument } from '../audio/instruments.js';
+import { tracks } from '../utils/constants.js';
+
+/**
+ * Formats a parameter value with its unit for display
+ * @param {number} value - Parameter value
+ * @param {Object} param - Parameter definition
+ * @returns {string} Display text
+ */
+function formatValue(value, param) {
+  if (param.unit === 's') return `${Math.round(value * 1000)}ms`;
+  if (param.unit === '') return `${Math.round(value * 100)}%`;
+  return `${Number.isInteger(param.step) ? Math.round(value) : value.toFixed(1)}${param.unit}`;
+}
+
+/**
+ * Instrument parameter panel
+ * With a lock target the panel shows that step's track; moving a slider
+ * locks the parameter for the step, and locked parameters can be released
+ * one by one.
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.trackList - Tracks { id, name, instrument }, one tab each
+ * @param {Object} props.voiceParams - Map of track ID to synthesis parameter values
+ * @param {Function} props.onChange - Called with (trackId, key, value)
+ * @param {Function} props.onReset - Called with trackId to restore synth defaults
+ * @param {Object} props.samples - Map of track ID to loaded sample { name, active }
+ * @param {Object} props.sampleParams - Map of track ID to sample parameter values
+ * @param {Function} props.onLoadSample - Called with (trackId, File)
+ * @param {Function} props.onSampleActiveChange - Called with (trackId, active)
+ * @param {Function} props.onSampleParamChange - Called with (trackId, key, value)
+ * @param {Function} props.onSampleReset - Called with trackId to restore sample defaults
+ * @param {Object} props.lock - Step whose locks are edited { trackId, stepIndex,
+ *   values }, or null
+ * @param {Function} props.onLockChange - Called with (key, value), value
+ *   undefined to release the lock
+ * @param {Function} props.onLockClear - Called to release every lock of the step
+ * @param {Function} props.onLockEnd - Called to stop editing locks
+ */
+function InstrumentPanel({
+  trackList = tracks,
+  voiceParams,
+  onChange,
+  onReset,
+  samples = {},
+  sampleParams = {},
+  onLoadSample,
+  onSampleActiveChange,
+  onSampleParamChange,
+  onSampleReset,
+  lock = null,
+  onLockChange,
+  onLockClear,
+  onLockEnd
+}) {
+  const [selectedTrack, setSelectedTrack] = useState(trackList[0].id);
+  const fileInputRef = useRef(null);
+  
+  // The held step's track while locking; otherwise fall back to the first
+  // tab when the selected track is removed
+  const lockTrack = lock && trackList.find(t => t.id === lock.trackId);
+  const track = lockTrack || trackList.find(t => t.id === selectedTrack) || trackList[0];
+  const activeTrack = track.id;
+  
+  const sample = samples[activeTrack];
+  const usingSample = !lockTrack && Boolean(sample?.active);
+  const params = usingSample ? sampleParameters : (getInstrument(track.instrument)?.parameters || []);
+  const locks = lockTrack ? lock.values : {};
+  const values = { ...(usingSample ? sampleParams[activeTrack] : voiceParams[activeTrack]), ...locks };
+  let handleParamChange = usingSample ? onSampleParamChange : onChange;
+  if (lockTrack) {
+    handleParamChange = (trackId, key, value) => onLockChange(key, value);
+  }
+  const handleReset = usingSample ? onSampleReset : onReset;
+
+  /**
+   * Load the first dropped or picked audio file into the active track
+   * @param {FileList} files - Selected files
+   */
+  const loadFiles = (files) => {
+    const file = files?.[0];
+    if (file && onLoadSample) {
+      onLoadSample(activeTrack, file);
+    }
+  };
+
+  return (
+    <div className="instrument-panel group-box">
+      <span className="group-box-title">Instrument</span>
+
+      <div className="win95-tabs" role="tablist">
+        {trackList.map(tab => (
+          <button
+            key={tab.id}
+            className={`win95-tab ${tab.id === activeTrack ? 'active' : ''}`}
+            onClick={() => {
+              if (lockTrack) onLockEnd();
+              setSelectedTrack(tab.id);
+            }}
+            role="tab"
+            aria-selected={tab.id === activeTrack}
+            type="button"
+          >
+            {tab.name}{samples[tab.id]?.active ? ' ♪' : ''}
+          </button>
+        ))}
+      </div>
+
+      <div
+        className="win95-tab-panel"
+        role="tabpanel"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          loadFiles(e.dataTransfer.files);
+        }}
+      >
+        {lockTrack && (
+          <div className="instrument-lock">
+            <span>
+              P-LOCK: {track.name} step {lock.stepIndex + 1}
+              {sample?.active ? ' (synth only; the sample plays unlocked)' : ''}
+            </span>
+            <button className="win95-button" onClick={onLockEnd} type="button">
+              Done
+            </button>
+          </div>
+        )}
+
+        {onLoadSample && !lockTrack && (
+          <div className="instrument-source">
+            <label>
+              <input
+                type="radio"
+                name={`source-${activeTrack}`}
+                checked={!usingSample}
+                onChange={() => onSampleActiveChange(activeTrack, false)}
+              />
+              Synth
+            </label>
+            <label>
+              <input
+                type="radio"
+                name={`source-${activeTrack}`}
+                checked={usingSample}
+                disabled={!sample}
+                onChange={() => onSampleActiveChange(activeTrack, true)}
+              />
+              Sample
+            </label>
+            <span className="sample-name win95-input" title="Drop an audio file here">
+              {sample ? sample.name : '(drop a file)'}
+            </span>
+            <button
+              className="win95-button"
+              onClick={() => fileInputRef.current?.click()}
+              type="button"
+            >
+              Load...
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="audio/*"
+              hidden
+              onChange={(e) => {
+                loadFiles(e.target.files);
+                e.target.value = '';
+              }}
+              aria-label={`Load sample for ${track.name}`}
+            />
+          </div>
+        )}
+
+        {params.map(param => (
+          <div className={`instrument-param${locks[param.key] !== undefined ? ' locked' : ''}`} key={param.key}>
+            <label htmlFor={`param-${activeTrack}-${param.key}`}>
+              {param.label}: <span className="param-value">{formatValue(values[param.key], param)}</span>
+              {locks[param.key] !== undefined && (
+                <button
+                  className="lock-release"
+                  onClick={() => onLockChange(param.key, undefined)}
+                  type="button"
+                  aria-label={`Release ${param.label} lock`}
+                  title="Release lock"
+                >
+                  ×
+                </button>
+              )}
+            </label>
+            <input
+              id={`param-${activeTrack}-${param.key}`}
+              type="range"
+              min={param.min}
+              max={param.max}
+              step={param.step}
+              value={values[param.key]}
+              onChange={(e) => handleParamChange(activeTrack, param.key, Number(e.target.value))}
+              className="win95-slider"
+            />
+          </div>
+        ))}
+        {lockTrack ? (
+          <button
+            className="win95-button"
+            onClick={onLockClear}
+            disabled={Object.keys(locks).length === 0}
+            type="button"
+          >
+            Clear Locks
+          </button>
+        ) : (
+          <button
+            className="win95-button"
+            onClick={() => handleReset(activeTrack)}
+            type="button"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default InstrumentPanel;
@@ -0,0 +1,72 @@
+/**
+ * LoFiControls.jsx
+ * 
+ * Master bitcrusher controls: bit depth, sample rate reduction and wet/dry mix.
+ */
+
+import React from 'react';
+
+/**
+ * Lo-fi effect panel
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.lofi - Current settings { bits, rate, mix }
+ * @param {Function} props.onChange - Called with (param, value)
+ */
+function LoFiControls({ lofi, onChange }) {
+  return (
+    <div className="lofi-controls group-box">
+      <span className="group-box-title">Lo-Fi FX</span>
+
+      <div className="lofi-control">
+        <label htmlFor="lofi-bits">
+          BITS: <span className="lofi-value">{lofi.bits}</span>
+        </label>
+        <input
+          id="lofi-bits"
+          type="range"
+          min={1}
+          max={16}
+          step={1}
+          value={lofi.bits}
+          onChange={(e) => onChange('bits', Number(e.target.value))}
+          className="win95-slider"
+        />
+      </div>
+
+      <div className="lofi-control">
+        <label htmlFor="lofi-rate">
+          RATE: <span className="lofi-value">{Math.round(lofi.rate * 100)}</span>%
+        </label>
+        <input
+          id="lofi-rate"
+          type="range"
+          min={0.05}
+          max={1}
+          step={0.05}
+          value={lofi.rate}
+          onChange={(e) => onChange('rate', Number(e.target.value))}
+          className="win95-slider"
+        />
+      </div>
+
+      <div className="lofi-control">
+        <label htmlFor="lofi-mix">
+          MIX: <span className="lofi-value">{Math.round(lofi.mix * 100)}</span>%
+        </label>
+        <input
+          id="lofi-mix"
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={lofi.mix}
+          onChange={(e) => onChange('mix', Number(e.target.value))}
+          className="win95-slider"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default LoFiControls;
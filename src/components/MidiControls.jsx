@@ -0,0 +1,130 @@
+/**
+ * MidiControls.jsx
+ * 
+ * MIDI panel: enable Web MIDI, pick the output port that receives the
+ * track notes and whether to send MIDI clock, and pick the input port
+ * whose pads play the tracks, with a learn mode and clock sync.
+ */
+
+import React from 'react';
+import { getNoteName, getTrackNote } from '../audio/MidiInput.js';
+
+/**
+ * MIDI panel
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.midi - Current state { enabled, outputs, outputId,
+ *   clock, inputs, inputId, clockSync }
+ * @param {Array<Object>} props.trackList - Tracks { id, name }
+ * @param {Object} props.noteMap - Map of note number to track ID
+ * @param {string|null} props.learnTrack - Track waiting for a pad hit
+ * @param {Function} props.onEnable - Requests MIDI access
+ * @param {Function} props.onOutputChange - Called with the port ID ('' for none)
+ * @param {Function} props.onClockChange - Called with true or false
+ * @param {Function} props.onInputChange - Called with the port ID ('' for none)
+ * @param {Function} props.onClockSyncChange - Called with true or false
+ * @param {Function} props.onLearnChange - Called with a track ID (or null to cancel)
+ */
+function MidiControls({
+  midi,
+  trackList,
+  noteMap,
+  learnTrack,
+  onEnable,
+  onOutputChange,
+  onClockChange,
+  onInputChange,
+  onClockSyncChange,
+  onLearnChange
+}) {
+  if (!midi.enabled) {
+    return (
+      <div className="midi-controls group-box">
+        <span className="group-box-title">MIDI</span>
+        <button className="win95-button" type="button" onClick={onEnable}>
+          🎛️ Enable MIDI
+        </button>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="midi-controls group-box">
+      <span className="group-box-title">MIDI</span>
+      
+      <div className="midi-control">
+        <label htmlFor="midi-output">OUT:</label>
+        <select
+          id="midi-output"
+          className="win95-select"
+          value={midi.outputId}
+          onChange={(e) => onOutputChange(e.target.value)}
+        >
+          <option value="">(None)</option>
+          {midi.outputs.map(output => (
+            <option key={output.id} value={output.id}>{output.name}</option>
+          ))}
+        </select>
+      </div>
+      
+      <label className="midi-control">
+        <input
+          type="checkbox"
+          checked={midi.clock}
+          disabled={!midi.outputId}
+          onChange={(e) => onClockChange(e.target.checked)}
+        />
+        Send clock
+      </label>
+      
+      <div className="midi-control">
+        <label htmlFor="midi-input">IN:</label>
+        <select
+          id="midi-input"
+          className="win95-select"
+          value={midi.inputId}
+          onChange={(e) => onInputChange(e.target.value)}
+        >
+          <option value="">(None)</option>
+          {midi.inputs.map(input => (
+            <option key={input.id} value={input.id}>{input.name}</option>
+          ))}
+        </select>
+      </div>
+      
+      <label className="midi-control">
+        <input
+          type="checkbox"
+          checked={midi.clockSync}
+          disabled={!midi.inputId}
+          onChange={(e) => onClockSyncChange(e.target.checked)}
+        />
+        Sync to clock
+      </label>
+      
+      <div className="midi-control">
+        <label htmlFor="midi-learn">LEARN:</label>
+        <select
+          id="midi-learn"
+          className="win95-select"
+          value={learnTrack || ''}
+          disabled={!midi.inputId}
+          onChange={(e) => onLearnChange(e.target.value || null)}
+        >
+          <option value="">(Off)</option>
+          {trackList.map(track => {
+            const note = getTrackNote(noteMap, track.id);
+            return (
+              <option key={track.id} value={track.id}>
+                {track.name}: {note === null ? 'no pad' : getNoteName(note)}
+              </option>
+            );
+          })}
+        </select>
+        {learnTrack && <span className="midi-learn-hint">Hit a pad...</span>}
+      </div>
+    </div>
+  );
+}
+
+export default MidiControls;
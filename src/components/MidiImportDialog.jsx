@@ -0,0 +1,91 @@
+/**
+ * MidiImportDialog.jsx
+ * 
+ * Preview of a MIDI drum file: pick one bar, see its quantized kick, snare
+ * and hi-hat steps, then import it into the edited pattern.
+ */
+
+import React, { useState, useMemo } from 'react';
+import Win95Dialog from './Win95Dialog.jsx';
+import { getInstrument } from '../audio/instruments.js';
+import { getMidiBar, getMidiBarCount } from '../audio/MidiImport.js';
+import { velocityLevels } from '../utils/constants.js';
+
+/**
+ * MIDI import dialog component
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.fileName - Name of the imported file
+ * @param {Array<Object>} props.hits - Drum hits from getMidiDrumHits()
+ * @param {number} props.ignored - Notes with no drum mapping
+ * @param {Array<Object>} props.trackList - Tracks { id, name, instrument }
+ * @param {Function} props.onImport - Called with the chosen bar's rows
+ * @param {Function} props.onCancel - Closes without importing
+ */
+function MidiImportDialog({ fileName, hits, ignored, trackList, onImport, onCancel }) {
+  const [bar, setBar] = useState(0);
+  const barCount = getMidiBarCount(hits);
+  const rows = useMemo(() => getMidiBar(hits, bar), [hits, bar]);
+  
+  return (
+    <Win95Dialog
+      title="Import MIDI"
+      onClose={onCancel}
+      buttons={
+        <>
+          <button className="win95-button" type="button" onClick={() => onImport(rows)}>
+            Import
+          </button>
+          <button className="win95-button" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+        </>
+      }
+    >
+      <div className="midi-import">
+        <p className="dialog-note">🎹 {fileName}</p>
+        
+        <div className="midi-import-bar">
+          <label htmlFor="midi-import-bar">BAR:</label>
+          <select
+            id="midi-import-bar"
+            className="win95-select"
+            value={bar}
+            onChange={(e) => setBar(Number(e.target.value))}
+          >
+            {Array.from({ length: barCount }, (_, index) => (
+              <option key={index} value={index}>{index + 1}</option>
+            ))}
+          </select>
+          <span>of {barCount}</span>
+        </div>
+        
+        <div className="midi-preview">
+          {Object.keys(rows).map(type => {
+            const track = trackList.find(t => t.instrument === type);
+            return (
+              <div key={type} className={`midi-preview-row ${track ? '' : 'skipped'}`}>
+                <span className="midi-preview-label">
+                  {track ? track.name : `${getInstrument(type).name} (no track)`}
+                </span>
+                {rows[type].map((value, step) => (
+                  <span
+                    key={step}
+                    className={`midi-preview-cell ${value ? `active velocity-${velocityLevels[value].name}` : ''}`}
+                    title={`Step ${step + 1}`}
+                  />
+                ))}
+              </div>
+            );
+          })}
+        </div>
+        
+        {ignored > 0 && (
+          <p className="dialog-note">{ignored} note(s) with no kick, snare or hi-hat mapping will be skipped.</p>
+        )}
+      </div>
+    </Win95Dialog>
+  );
+}
+
+export default MidiImportDialog;
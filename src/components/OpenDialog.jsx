@@ -0,0 +1,165 @@
+/**
+ * OpenDialog.jsx
+ * 
+ * "Open..." dialog: lists the patterns saved in the browser and opens,
+ * renames or deletes them.
+ */
+
+import React, { useState } from 'react';
+import Win95Dialog from './Win95Dialog.jsx';
+
+/**
+ * Formats a save time for the list
+ * @param {string} savedAt - ISO timestamp
+ * @returns {string} Local date and time
+ */
+function formatSavedAt(savedAt) {
+  const date = new Date(savedAt);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+/**
+ * Open dialog component
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.savedPatterns - Entries { id, name, savedAt }
+ * @param {Function} props.onOpen - Called with the entry ID to load
+ * @param {Function} props.onRename - Called with (id, name); returns false if rejected
+ * @param {Function} props.onDelete - Called with the entry ID
+ * @param {Function} props.onCancel - Closes the dialog
+ */
+function OpenDialog({ savedPatterns, onOpen, onRename, onDelete, onCancel }) {
+  const [selectedId, setSelectedId] = useState(savedPatterns[0]?.id ?? null);
+  const [renaming, setRenaming] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const selected = savedPatterns.find(entry => entry.id === selectedId) || null;
+  
+  /**
+   * Selects an entry, leaving any rename or delete prompt
+   * @param {string} id - Entry ID
+   */
+  const select = (id) => {
+    setSelectedId(id);
+    setRenaming(null);
+    setConfirmingDelete(false);
+  };
+  
+  /**
+   * Applies the typed name; keeps the field open if it was rejected
+   */
+  const commitRename = () => {
+    if (renaming !== null && onRename(selected.id, renaming) !== false) {
+      setRenaming(null);
+    }
+  };
+  
+  /**
+   * Deletes the selected entry and selects its neighbour
+   */
+  const confirmDelete = () => {
+    const index = savedPatterns.indexOf(selected);
+    const next = savedPatterns[index + 1] || savedPatterns[index - 1];
+    onDelete(selected.id);
+    select(next ? next.id : null);
+  };
+  
+  /**
+   * Handles keys in the rename field
+   * @param {KeyboardEvent} e - Key event
+   */
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setRenaming(null);
+    }
+  };
+  
+  let buttons;
+  if (confirmingDelete) {
+    buttons = (
+      <>
+        <span className="dialog-note">Delete "{selected.name}"?</span>
+        <button className="win95-button" type="button" onClick={confirmDelete}>
+          Yes
+        </button>
+        <button className="win95-button" type="button" onClick={() => setConfirmingDelete(false)}>
+          No
+        </button>
+      </>
+    );
+  } else {
+    buttons = (
+      <>
+        <button
+          className="win95-button"
+          type="button"
+          onClick={() => onOpen(selected.id)}
+          disabled={!selected}
+        >
+          Open
+        </button>
+        <button
+          className="win95-button"
+          type="button"
+          onClick={() => setRenaming(selected.name)}
+          disabled={!selected || renaming !== null}
+        >
+          Rename
+        </button>
+        <button
+          className="win95-button"
+          type="button"
+          onClick={() => setConfirmingDelete(true)}
+          disabled={!selected}
+        >
+          Delete
+        </button>
+        <button className="win95-button" type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </>
+    );
+  }
+  
+  return (
+    <Win95Dialog title="Open" onClose={onCancel} buttons={buttons}>
+      {savedPatterns.length === 0 ? (
+        <p className="dialog-note">No saved patterns yet. Use Save As... to add one.</p>
+      ) : (
+        <ul className="dialog-list" role="listbox" aria-label="Saved patterns">
+          {savedPatterns.map(entry => (
+            <li
+              key={entry.id}
+              role="option"
+              aria-selected={entry.id === selectedId}
+              className={entry.id === selectedId ? 'selected' : ''}
+              onClick={() => select(entry.id)}
+              onDoubleClick={() => onOpen(entry.id)}
+            >
+              {entry.id === selectedId && renaming !== null ? (
+                <input
+                  type="text"
+                  className="win95-input"
+                  value={renaming}
+                  maxLength={40}
+                  onChange={(e) => setRenaming(e.target.value)}
+                  onKeyDown={handleRenameKeyDown}
+                  onBlur={commitRename}
+                  aria-label="New name"
+                  autoFocus
+                />
+              ) : (
+                <span className="dialog-list-name">📄 {entry.name}</span>
+              )}
+              <span className="dialog-list-date">{formatSavedAt(entry.savedAt)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Win95Dialog>
+  );
+}
+
+export default OpenDialog;
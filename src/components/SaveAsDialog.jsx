@@ -0,0 +1,73 @@
+/**
+ * SaveAsDialog.jsx
+ * 
+ * "Save As..." dialog: names the current pattern and saves it to the
+ * browser's pattern library.
+ */
+
+import React, { useState } from 'react';
+import Win95Dialog from './Win95Dialog.jsx';
+
+/**
+ * Save As dialog component
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.savedPatterns - Existing entries { id, name }
+ * @param {string} props.defaultName - Name to start with
+ * @param {Function} props.onSave - Called with the chosen name
+ * @param {Function} props.onCancel - Closes without saving
+ */
+function SaveAsDialog({ savedPatterns, defaultName, onSave, onCancel }) {
+  const [name, setName] = useState(defaultName);
+  const trimmed = name.trim();
+  const replaces = savedPatterns.some(entry => entry.name === trimmed);
+  
+  /**
+   * Saves under the typed name
+   * @param {Event} e - Save click or form submit (Enter) event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (trimmed) onSave(trimmed);
+  };
+  
+  return (
+    <Win95Dialog
+      title="Save As"
+      onClose={onCancel}
+      buttons={
+        <>
+          <button
+            className="win95-button"
+            type="button"
+            onClick={handleSubmit}
+            disabled={!trimmed}
+          >
+            Save
+          </button>
+          <button className="win95-button" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+        </>
+      }
+    >
+      <form className="save-as-form" onSubmit={handleSubmit}>
+        <label htmlFor="save-as-name">Pattern name:</label>
+        <input
+          id="save-as-name"
+          type="text"
+          className="win95-input"
+          value={name}
+          maxLength={40}
+          onChange={(e) => setName(e.target.value)}
+          autoFocus
+        />
+        {replaces && (
+          <p className="dialog-note">⚠ "{trimmed}" already exists and will be replaced.</p>
+        )}
+      </form>
+    </Win95Dialog>
+  );
+}
+
+export default SaveAsDialog;
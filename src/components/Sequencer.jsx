@@ -4,34 +4,170 @@
  * Main sequencer grid component containing all track rows.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import TrackRow from './TrackRow.jsx';
-import { tracks } from '../utils/constants.js';
+import { instruments, getInstrument } from '../audio/instruments.js';
+import { tracks, defaults, getPatternLength } from '../utils/constants.js';
 
 /**
  * Main sequencer grid component
- * Renders all 4 tracks with their 16 steps each
+ * Renders every track in the track list, one page of 16 steps at a time
  * 
  * @param {Object} props - Component props
  * @param {Object} props.pattern - Current pattern state
- * @param {number} props.currentStep - Currently playing step index
+ * @param {Array<Object>} props.trackList - Tracks in display order { id, name, instrument }
+ * @param {number} props.currentTick - Running 16th count of the playhead
  * @param {Object} props.selectedStep - { row: number, col: number } or null
+ * @param {number} props.page - Index of the visible page of steps
+ * @param {Function} props.onPageChange - Callback with the new page index
  * @param {Function} props.onToggleStep - Callback when a step is toggled
+ * @param {Function} props.onCycleVelocity - Callback to cycle a step's velocity
+ * @param {Function} props.onShiftVelocity - Callback to drag a step's velocity
+ * @param {Function} props.onShiftNudge - Callback to drag a step's timing
+ * @param {string} props.dragMode - What dragging a step edits: 'velocity' or 'nudge'
+ * @param {Function} props.onDragModeChange - Callback with the new drag mode
+ * @param {Function} props.onHoldStep - Callback with (trackId, stepIndex) when
+ *   an active step is held
+ * @param {Function} props.onTrackLengthChange - Callback with (trackId, length)
+ * @param {Object} props.mixer - Mixer settings keyed by track ID
+ * @param {Function} props.onMixerChange - Callback with (trackId, param, value)
+ * @param {Function} props.onSampleDrop - Callback with (trackId, File) for dropped audio
+ * @param {Function} props.onAddTrack - Callback with the instrument type to add
+ * @param {Function} props.onRemoveTrack - Callback with trackId
+ * @param {Function} props.onMoveTrack - Callback with (trackId, delta)
+ * @param {Function} props.onRenameTrack - Callback with (trackId, name)
+ * @param {Function} props.onEuclidean - Callback with trackId to open the
+ *   Euclidean rhythm generator
  */
-function Sequencer({ pattern, currentStep, selectedStep, onToggleStep }) {
+function Sequencer({
+  pattern,
+  trackList = tracks,
+  currentTick,
+  selectedStep,
+  page = 0,
+  onPageChange,
+  onToggleStep,
+  onCycleVelocity,
+  onShiftVelocity,
+  onShiftNudge,
+  dragMode = 'velocity',
+  onDragModeChange,
+  onHoldStep,
+  onTrackLengthChange,
+  mixer,
+  onMixerChange,
+  onSampleDrop,
+  onAddTrack,
+  onRemoveTrack,
+  onMoveTrack,
+  onRenameTrack,
+  onEuclidean
+}) {
+  const [newInstrument, setNewInstrument] = useState(Object.keys(instruments)[0]);
+  const pageSize = defaults.stepsPerPage;
+  const pageCount = Math.ceil(getPatternLength(pattern) / pageSize);
+  const visiblePage = Math.min(page, pageCount - 1);
+
   return (
-    <div className="sequencer" role="grid" aria-label="Step sequencer grid">
-      {tracks.map((track, index) => (
-        <TrackRow
-          key={track.id}
-          trackId={track.id}
-          trackName={track.name}
-          steps={pattern[track.id]}
-          currentStep={currentStep}
-          selectedStep={selectedStep?.row === index ? selectedStep.col : -1}
-          onToggleStep={onToggleStep}
-        />
-      ))}
+    <div
+      className={`sequencer${dragMode === 'nudge' ? ' nudge-mode' : ''}`}
+      role="grid"
+      aria-label="Step sequencer grid"
+    >
+      {onDragModeChange && (
+        <div className="sequencer-tools">
+          <label htmlFor="drag-mode">DRAG:</label>
+          <select
+            id="drag-mode"
+            className="win95-select"
+            value={dragMode}
+            onChange={(e) => onDragModeChange(e.target.value)}
+            title="What dragging an active step edits"
+          >
+            <option value="velocity">↕ Velocity</option>
+            <option value="nudge">↔ Nudge</option>
+          </select>
+        </div>
+      )}
+      {pageCount > 1 && (
+        <div className="sequencer-pages">
+          <button
+            className="win95-button page-button"
+            onClick={() => onPageChange(visiblePage - 1)}
+            disabled={visiblePage === 0}
+            type="button"
+            aria-label="Previous page"
+          >
+            ◀
+          </button>
+          <span className="page-indicator">
+            STEPS {visiblePage * pageSize + 1}-{(visiblePage + 1) * pageSize} ({visiblePage + 1}/{pageCount})
+          </span>
+          <button
+            className="win95-button page-button"
+            onClick={() => onPageChange(visiblePage + 1)}
+            disabled={visiblePage === pageCount - 1}
+            type="button"
+            aria-label="Next page"
+          >
+            ▶
+          </button>
+        </div>
+      )}
+      {trackList.map((track, index) => {
+        const steps = pattern[track.id];
+        return (
+          <TrackRow
+            key={track.id}
+            trackId={track.id}
+            trackName={track.name}
+            showChords={Boolean(getInstrument(track.instrument)?.chords)}
+            steps={steps}
+            pageStart={visiblePage * pageSize}
+            pageSize={pageSize}
+            currentStep={currentTick % steps.length}
+            selectedStep={selectedStep?.row === index ? selectedStep.col : -1}
+            onToggleStep={onToggleStep}
+            onCycleVelocity={onCycleVelocity}
+            onShiftVelocity={onShiftVelocity}
+            onShiftNudge={onShiftNudge}
+            dragMode={dragMode}
+            onHoldStep={onHoldStep}
+            onLengthChange={onTrackLengthChange}
+            channel={mixer?.[track.id]}
+            onMixerChange={onMixerChange}
+            onSampleDrop={onSampleDrop}
+            onRename={onRenameTrack}
+            onMove={onMoveTrack}
+            onRemove={trackList.length > 1 ? onRemoveTrack : undefined}
+            onEuclidean={onEuclidean}
+            isFirst={index === 0}
+            isLast={index === trackList.length - 1}
+          />
+        );
+      })}
+      {onAddTrack && (
+        <div className="sequencer-add-track">
+          <label htmlFor="add-track-instrument">ADD TRACK:</label>
+          <select
+            id="add-track-instrument"
+            className="win95-select"
+            value={newInstrument}
+            onChange={(e) => setNewInstrument(e.target.value)}
+          >
+            {Object.keys(instruments).map(type => (
+              <option key={type} value={type}>{instruments[type].name}</option>
+            ))}
+          </select>
+          <button
+            className="win95-button page-button"
+            onClick={() => onAddTrack(newInstrument)}
+            type="button"
+          >
+            + Add
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,186 @@
+/**
+ * SongPanel.jsx
+ * 
+ * Pattern bank selector and song arrangement editor.
+ */
+
+import React, { useState } from 'react';
+import { bankNames, maxRepeats } from '../utils/song.js';
+import { isPatternEmpty } from '../utils/constants.js';
+
+/**
+ * Song panel
+ * The bank buttons choose which pattern the grid edits; in song mode the
+ * arrangement list below plays banks in order, each for its repeat count.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.banks - Map of bank name to pattern
+ * @param {string} props.editBank - Bank shown in the grid
+ * @param {string|null} props.playingBank - Bank under the playhead, or null when stopped
+ * @param {Function} props.onEditBankChange - Called with the bank name to edit
+ * @param {Function} props.onCopyBank - Called with the bank to copy the edited bank into
+ * @param {Array<Object>} props.song - Song entries { bank, repeats }
+ * @param {boolean} props.songMode - Whether the song (rather than the edited bank) plays
+ * @param {number|null} props.songIndex - Entry playing, or null
+ * @param {Function} props.onSongModeChange - Called with true/false
+ * @param {Function} props.onAddEntry - Called with the bank to append
+ * @param {Function} props.onRemoveEntry - Called with the entry index
+ * @param {Function} props.onUpdateEntry - Called with (index, { bank?, repeats? })
+ * @param {Function} props.onMoveEntry - Called with (index, delta)
+ */
+function SongPanel({
+  banks,
+  editBank,
+  playingBank,
+  onEditBankChange,
+  onCopyBank,
+  song,
+  songMode,
+  songIndex,
+  onSongModeChange,
+  onAddEntry,
+  onRemoveEntry,
+  onUpdateEntry,
+  onMoveEntry
+}) {
+  const [copyTarget, setCopyTarget] = useState('B');
+
+  return (
+    <div className="song-panel group-box">
+      <span className="group-box-title">Song</span>
+
+      <div className="song-panel-row">
+        <span className="song-panel-label">PATTERN:</span>
+        <div className="bank-buttons" role="radiogroup" aria-label="Pattern bank">
+          {bankNames.map(name => (
+            <button
+              key={name}
+              className={[
+                'channel-button',
+                'bank-button',
+                name === editBank ? 'engaged' : '',
+                name === playingBank ? 'playing' : '',
+                isPatternEmpty(banks[name]) ? 'empty' : ''
+              ].join(' ')}
+              onClick={() => onEditBankChange(name)}
+              role="radio"
+              aria-checked={name === editBank}
+              title={name === playingBank ? `Bank ${name} (playing)` : `Bank ${name}`}
+              type="button"
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+
+        <label htmlFor="copy-bank">COPY TO:</label>
+        <select
+          id="copy-bank"
+          className="win95-select"
+          value={copyTarget}
+          onChange={(e) => setCopyTarget(e.target.value)}
+        >
+          {bankNames.map(name => (
+            <option key={name} value={name} disabled={name === editBank}>{name}</option>
+          ))}
+        </select>
+        <button
+          className="win95-button page-button"
+          onClick={() => onCopyBank(copyTarget)}
+          disabled={copyTarget === editBank}
+          type="button"
+        >
+          Copy
+        </button>
+
+        <span className="song-panel-label">MODE:</span>
+        <label>
+          <input
+            type="radio"
+            name="song-mode"
+            checked={!songMode}
+            onChange={() => onSongModeChange(false)}
+          />
+          Pattern
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="song-mode"
+            checked={songMode}
+            onChange={() => onSongModeChange(true)}
+          />
+          Song
+        </label>
+      </div>
+
+      <ol className="song-list">
+        {song.map((entry, index) => (
+          <li
+            key={index}
+            className={`song-entry ${songMode && index === songIndex ? 'playing' : ''}`}
+          >
+            <select
+              className="win95-select"
+              value={entry.bank}
+              onChange={(e) => onUpdateEntry(index, { bank: e.target.value })}
+              aria-label={`Entry ${index + 1} bank`}
+            >
+              {bankNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <span>×</span>
+            <input
+              className="win95-input song-repeats"
+              type="number"
+              min={1}
+              max={maxRepeats}
+              value={entry.repeats}
+              onChange={(e) => onUpdateEntry(index, { repeats: Number(e.target.value) })}
+              aria-label={`Entry ${index + 1} repeats`}
+            />
+            <button
+              className="channel-button"
+              onClick={() => onMoveEntry(index, -1)}
+              disabled={index === 0}
+              aria-label={`Move entry ${index + 1} up`}
+              type="button"
+            >
+              ▲
+            </button>
+            <button
+              className="channel-button"
+              onClick={() => onMoveEntry(index, 1)}
+              disabled={index === song.length - 1}
+              aria-label={`Move entry ${index + 1} down`}
+              type="button"
+            >
+              ▼
+            </button>
+            <button
+              className="channel-button"
+              onClick={() => onRemoveEntry(index)}
+              disabled={song.length <= 1}
+              aria-label={`Remove entry ${index + 1}`}
+              type="button"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+        <li className="song-entry">
+          <button
+            className="win95-button page-button"
+            onClick={() => onAddEntry(editBank)}
+            type="button"
+          >
+            + Add {editBank}
+          </button>
+        </li>
+      </ol>
+    </div>
+  );
+}
+
+export default SongPanel;
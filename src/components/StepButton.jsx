@@ -2,47 +2,194 @@
  * StepButton.jsx
  * 
  * Individual step button component with memoization for performance.
- * Displays the active state, current step indicator, and handles clicks.
+ * Displays the active state, velocity, current step indicator, and handles clicks.
  */
 
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
+import { velocityLevels, formatNudge } from '../utils/constants.js';
+
+// Vertical drag distance (px) that moves the velocity by one level
+const DRAG_STEP_PX = 12;
+
+// Horizontal drag distance (px) that moves the nudge by NUDGE_DRAG_STEP
+const NUDGE_DRAG_PX = 4;
+const NUDGE_DRAG_STEP = 0.05;
+
+// Share of the button width the indicator moves for a nudge of a whole 16th
+const NUDGE_DISPLAY_SCALE = 60;
+
+// How long (ms) an active step is held before it opens its parameter locks
+const HOLD_MS = 400;
 
 /**
  * Individual step button in the sequencer grid
  * Uses React.memo to prevent unnecessary re-renders
  * 
+ * Click toggles the step. Shift+click or right-click cycles the velocity.
+ * Dragging an active step up or down makes it louder or softer; in nudge
+ * mode, dragging it left or right moves it earlier or later instead, and
+ * the indicator sits off centre by its nudge. Holding an active step
+ * without dragging opens its parameter locks.
+ * 
  * @param {Object} props - Component props
  * @param {boolean} props.isActive - Whether the step is active (should play sound)
+ * @param {number} props.velocity - Velocity level of the step (0 when inactive)
+ * @param {string} props.label - Optional text shown on the step (e.g. chord name)
+ * @param {string} props.trigger - Optional condition/probability text, for
+ *   steps that don't play on every loop
+ * @param {number} props.ratchet - Hits the step repeats (1 or absent for one)
+ * @param {number} props.nudge - Timing offset in 16ths (-0.5 to 0.5)
+ * @param {string} props.dragMode - 'velocity' or 'nudge'
+ * @param {Array<string>} props.locks - Keys of the step's locked parameters
  * @param {boolean} props.isCurrent - Whether this is the currently playing step
  * @param {Function} props.onClick - Click handler
+ * @param {Function} props.onCycleVelocity - Shift+click / right-click handler
+ * @param {Function} props.onShiftVelocity - Drag handler, receives the level delta
+ * @param {Function} props.onShiftNudge - Nudge drag handler, receives the delta in 16ths
+ * @param {Function} props.onHold - Called when an active step is held
  * @param {string} props.trackId - Track identifier (for accessibility)
  * @param {number} props.stepIndex - Step index (for accessibility)
  * @param {boolean} props.isSelected - Whether this step is keyboard-selected
  */
 const StepButton = React.memo(function StepButton({
   isActive,
+  velocity = 0,
+  label,
+  trigger,
+  ratchet = 1,
+  nudge = 0,
+  dragMode = 'velocity',
+  locks,
   isCurrent,
   onClick,
+  onCycleVelocity,
+  onShiftVelocity,
+  onShiftNudge,
+  onHold,
   trackId,
   stepIndex,
   isSelected
 }) {
+  // Drag state lives in a ref so pointer moves don't re-render
+  const dragRef = useRef(null);
+  const isLocked = Boolean(locks?.length);
+  const level = velocityLevels[velocity] || velocityLevels[0];
+
   // Build class list based on state
   const classNames = ['step-button'];
-  if (isActive) classNames.push('active');
+  if (isActive) classNames.push('active', `velocity-${level.name}`);
   if (isCurrent) classNames.push('current-step');
   if (isSelected) classNames.push('selected');
-  
+  if (isLocked) classNames.push('locked');
+
+  // Don't fire a pending hold after the button is gone
+  useEffect(() => () => clearTimeout(dragRef.current?.holdTimer), []);
+
+  const isNudgeMode = dragMode === 'nudge';
+
+  const onDrag = isNudgeMode ? onShiftNudge : onShiftVelocity;
+
+  const handlePointerDown = (e) => {
+    clearTimeout(dragRef.current?.holdTimer);
+    dragRef.current = null;
+    if (!isActive || !(onDrag || onHold)) return;
+    // Keep the drag's moves and release on this button when it leaves it
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const drag = { x: e.clientX, y: e.clientY, dragged: false, held: false };
+    if (onHold) {
+      drag.holdTimer = setTimeout(() => {
+        drag.held = true;
+        onHold();
+      }, HOLD_MS);
+    }
+    dragRef.current = drag;
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !onDrag) return;
+
+    const delta = isNudgeMode
+      ? Math.trunc((e.clientX - drag.x) / NUDGE_DRAG_PX)
+      : Math.trunc((drag.y - e.clientY) / DRAG_STEP_PX);
+    if (delta === 0) return;
+
+    // Dragging is not holding
+    clearTimeout(drag.holdTimer);
+    drag.dragged = true;
+    if (isNudgeMode) {
+      drag.x += delta * NUDGE_DRAG_PX;
+      onShiftNudge(delta * NUDGE_DRAG_STEP);
+    } else {
+      drag.y = e.clientY;
+      onShiftVelocity(delta);
+    }
+  };
+
+  const handlePointerLeave = () => {
+    if (dragRef.current && !dragRef.current.dragged) {
+      clearTimeout(dragRef.current.holdTimer);
+      dragRef.current = null;
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    clearTimeout(drag?.holdTimer);
+    // Only a drag or hold needs to swallow the click that follows
+    if (drag && !drag.dragged && !drag.held) dragRef.current = null;
+  };
+
+  const handlePointerCancel = () => {
+    // No click follows a cancelled pointer
+    clearTimeout(dragRef.current?.holdTimer);
+    dragRef.current = null;
+  };
+
+  const handleClick = (e) => {
+    // A drag or hold ends with a click event; swallow it so the step stays on
+    const drag = dragRef.current;
+    clearTimeout(drag?.holdTimer);
+    dragRef.current = null;
+    if (drag?.dragged || drag?.held) return;
+
+    if (e.shiftKey && onCycleVelocity) {
+      onCycleVelocity();
+    } else {
+      onClick();
+    }
+  };
+
+  const handleContextMenu = (e) => {
+    if (!onCycleVelocity) return;
+    e.preventDefault();
+    onCycleVelocity();
+  };
+
   return (
     <button
       className={classNames.join(' ')}
-      onClick={onClick}
-      aria-label={`${trackId} step ${stepIndex + 1} ${isActive ? 'active' : 'inactive'}`}
+      onClick={handleClick}
+      onContextMenu={handleContextMenu}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerLeave={handlePointerLeave}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+      aria-label={`${trackId} step ${stepIndex + 1} ${isActive ? `active ${level.name}` : 'inactive'}${label ? ` ${label}` : ''}${trigger ? ` plays ${trigger}` : ''}${ratchet > 1 ? ` ratchet ${ratchet}` : ''}${nudge ? ` nudged ${formatNudge(nudge)}` : ''}${isLocked ? ` locked ${locks.join(', ')}` : ''}`}
       data-track={trackId}
       data-step={stepIndex}
+      data-velocity={velocity}
       type="button"
     >
-      <span className="step-indicator" />
+      <span
+        className="step-indicator"
+        style={nudge ? { left: `${nudge * NUDGE_DISPLAY_SCALE}%` } : undefined}
+      />
+      {trigger && <span className="step-trigger">{trigger}</span>}
+      {ratchet > 1 && <span className="step-ratchet">×{ratchet}</span>}
+      {isLocked && <span className="step-lock" />}
+      {label && <span className="step-label">{label}</span>}
     </button>
   );
 });
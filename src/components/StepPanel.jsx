@@ -0,0 +1,124 @@
+/**
+ * StepPanel.jsx
+ * 
+ * Trigger settings of the selected step: how likely it is to play, on
+ * which passes through the pattern, how many times it repeats and how far
+ * off the grid it sounds.
+ */
+
+import React from 'react';
+import {
+  getStepVelocity,
+  getStepData,
+  stepConditions,
+  maxRatchet,
+  ratchetDivisions,
+  defaults,
+  formatNudge
+} from '../utils/constants.js';
+
+/**
+ * Step trigger panel
+ * Edits the step under the keyboard cursor (or the last one clicked).
+ * Steps that are off have nothing to trigger, so the controls are disabled.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.trackName - Name of the selected step's track
+ * @param {number} props.stepIndex - Selected step index
+ * @param {number|Object} props.value - Selected step value
+ * @param {Function} props.onChange - Called with ('probability', 0-100),
+ *   ('condition', value or undefined for every loop), ('ratchet', 1-4) or
+ *   ('ratchetDivision', value or undefined to fit the step) or ('nudge', 16ths)
+ */
+function StepPanel({ trackName, stepIndex, value, onChange }) {
+  const isActive = getStepVelocity(value) > 0;
+  const {
+    probability = 100,
+    condition = '',
+    ratchet = 1,
+    ratchetDivision = '',
+    nudge = 0
+  } = getStepData(value);
+  const maxNudge = Math.round(defaults.maxNudge * 100);
+
+  return (
+    <div className="step-panel group-box">
+      <span className="group-box-title">Step</span>
+
+      <span className="step-panel-target">
+        {trackName} step {stepIndex + 1}{isActive ? '' : ' (off)'}
+      </span>
+
+      <label htmlFor="step-probability">PROB:</label>
+      <input
+        id="step-probability"
+        type="range"
+        className="win95-slider"
+        min={0}
+        max={100}
+        step={5}
+        value={probability}
+        disabled={!isActive}
+        onChange={(e) => onChange('probability', Number(e.target.value))}
+      />
+      <span className="step-panel-value">{probability}%</span>
+
+      <label htmlFor="step-condition">COND:</label>
+      <select
+        id="step-condition"
+        className="win95-select"
+        value={condition}
+        disabled={!isActive}
+        onChange={(e) => onChange('condition', e.target.value || undefined)}
+      >
+        <option value="">Every loop</option>
+        {stepConditions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <label htmlFor="step-ratchet">RATCHET:</label>
+      <select
+        id="step-ratchet"
+        className="win95-select"
+        value={ratchet}
+        disabled={!isActive}
+        onChange={(e) => onChange('ratchet', Number(e.target.value))}
+      >
+        {Array.from({ length: maxRatchet }, (_, index) => (
+          <option key={index} value={index + 1}>×{index + 1}</option>
+        ))}
+      </select>
+      <select
+        id="step-ratchet-division"
+        className="win95-select"
+        value={ratchetDivision}
+        disabled={!isActive || ratchet < 2}
+        onChange={(e) => onChange('ratchetDivision', e.target.value || undefined)}
+        aria-label="Ratchet division"
+      >
+        <option value="">Fit step</option>
+        {ratchetDivisions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <label htmlFor="step-nudge">NUDGE:</label>
+      <input
+        id="step-nudge"
+        type="range"
+        className="win95-slider"
+        min={-maxNudge}
+        max={maxNudge}
+        step={1}
+        value={Math.round(nudge * 100)}
+        disabled={!isActive}
+        onChange={(e) => onChange('nudge', Number(e.target.value) / 100)}
+        title="Timing offset in % of a 16th; negative is early"
+      />
+      <span className="step-panel-value">{formatNudge(nudge)}</span>
+    </div>
+  );
+}
+
+export default StepPanel;
@@ -1,47 +1,217 @@
 /**
  * TrackRow.jsx
  * 
- * Renders a single track row with label and 16 step buttons.
+ * Renders a single track row with label, track tools, mixer strip, loop length
+ * and one page of step buttons.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import StepButton from './StepButton.jsx';
+import ChannelStrip from './ChannelStrip.jsx';
+import { defaults, getStepVelocity, getStepData, getStepTriggerLabel } from '../utils/constants.js';
+import { getChordName, getStepChord } from '../utils/chords.js';
 
 /**
  * A single track row in the sequencer grid
- * Contains the track label and all 16 step buttons
+ * Contains the track label, its loop length and the visible step buttons.
+ * Steps past the end of a shorter track are drawn as empty placeholders
+ * so the columns stay aligned.
  * 
  * @param {Object} props - Component props
- * @param {string} props.trackId - Track identifier (kick, snare, hihat, chord)
- * @param {string} props.trackName - Display name for the track
- * @param {number[]} props.steps - Array of 16 values (0 or 1)
+ * @param {string} props.trackId - Track identifier
+ * @param {string} props.trackName - Display name for the track (double-click to rename)
+ * @param {boolean} props.showChords - Label active steps with their chord
+ * @param {Array<number|Object>} props.steps - Step values (velocity level or { velocity, ...data })
+ * @param {number} props.pageStart - Index of the first visible step
+ * @param {number} props.pageSize - Number of steps shown per page
  * @param {number} props.currentStep - Currently playing step index
  * @param {number} props.selectedStep - Keyboard-selected step index (or -1)
  * @param {Function} props.onToggleStep - Callback when a step is clicked
+ * @param {Function} props.onCycleVelocity - Callback to cycle a step's velocity
+ * @param {Function} props.onShiftVelocity - Callback to drag a step's velocity
+ * @param {Function} props.onShiftNudge - Callback to drag a step's timing
+ * @param {string} props.dragMode - What dragging a step edits: 'velocity' or 'nudge'
+ * @param {Function} props.onHoldStep - Callback with (trackId, stepIndex) when
+ *   an active step is held (opens its parameter locks)
+ * @param {Function} props.onLengthChange - Callback with (trackId, length)
+ * @param {Object} props.channel - Mixer settings { volume, pan, mute, solo }
+ * @param {Function} props.onMixerChange - Callback with (trackId, param, value)
+ * @param {Function} props.onSampleDrop - Callback with (trackId, File) when an
+ *   audio file is dropped on the row
+ * @param {Function} props.onRename - Callback with (trackId, name)
+ * @param {Function} props.onMove - Callback with (trackId, delta), -1 = up
+ * @param {Function} props.onRemove - Callback with trackId; omit to hide the button
+ * @param {Function} props.onEuclidean - Callback with trackId to open the
+ *   Euclidean rhythm generator
+ * @param {boolean} props.isFirst - Disables moving up
+ * @param {boolean} props.isLast - Disables moving down
  */
 function TrackRow({
   trackId,
   trackName,
+  showChords = false,
   steps,
+  pageStart = 0,
+  pageSize = defaults.stepsPerPage,
   currentStep,
   selectedStep,
-  onToggleStep
+  onToggleStep,
+  onCycleVelocity,
+  onShiftVelocity,
+  onShiftNudge,
+  dragMode,
+  onHoldStep,
+  onLengthChange,
+  channel,
+  onMixerChange,
+  onSampleDrop,
+  onRename,
+  onMove,
+  onRemove,
+  onEuclidean,
+  isFirst = false,
+  isLast = false
 }) {
+  const [editingName, setEditingName] = useState(null);
+  const visibleSteps = steps.slice(pageStart, pageStart + pageSize);
+  const placeholders = pageSize - visibleSteps.length;
+
   return (
-    <div className="track-row" data-track={trackId}>
-      <div className="track-label" style={{ backgroundColor: '#000080' }}>
-        {trackName}
-      </div>
+    <div
+      className={`track-row ${channel?.mute ? 'muted' : ''}`}
+      data-track={trackId}
+      onDragOver={onSampleDrop && ((e) => e.preventDefault())}
+      onDrop={onSampleDrop && ((e) => {
+        e.preventDefault();
+        const file = e.dataTransfer.files?.[0];
+        if (file) onSampleDrop(trackId, file);
+      })}
+    >
+      {editingName !== null ? (
+        <input
+          className="track-label track-name-input"
+          value={editingName}
+          onChange={(e) => setEditingName(e.target.value)}
+          onBlur={() => {
+            onRename(trackId, editingName);
+            setEditingName(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') e.target.blur();
+            if (e.key === 'Escape') setEditingName(null);
+          }}
+          maxLength={12}
+          aria-label={`Rename ${trackName}`}
+          autoFocus
+        />
+      ) : (
+        <div
+          className="track-label"
+          style={{ backgroundColor: '#000080' }}
+          onDoubleClick={onRename && (() => setEditingName(trackName))}
+          title={onRename ? 'Double-click to rename' : undefined}
+        >
+          {trackName}
+        </div>
+      )}
+      {onMove && (
+        <div className="track-tools">
+          {onEuclidean && (
+            <button
+              className="channel-button"
+              onClick={() => onEuclidean(trackId)}
+              aria-label={`Generate a Euclidean rhythm for ${trackName}`}
+              title="Euclidean rhythm"
+              type="button"
+            >
+              E
+            </button>
+          )}
+          <button
+            className="channel-button"
+            onClick={() => onMove(trackId, -1)}
+            disabled={isFirst}
+            aria-label={`Move ${trackName} up`}
+            title="Move up"
+            type="button"
+          >
+            ▲
+          </button>
+          <button
+            className="channel-button"
+            onClick={() => onMove(trackId, 1)}
+            disabled={isLast}
+            aria-label={`Move ${trackName} down`}
+            title="Move down"
+            type="button"
+          >
+            ▼
+          </button>
+          <button
+            className="channel-button"
+            onClick={() => onRemove(trackId)}
+            disabled={!onRemove}
+            aria-label={`Remove ${trackName}`}
+            title="Remove track"
+            type="button"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+      {channel && onMixerChange && (
+        <ChannelStrip
+          trackId={trackId}
+          trackName={trackName}
+          channel={channel}
+          onChange={onMixerChange}
+        />
+      )}
+      {onLengthChange && (
+        <input
+          className="track-length win95-input"
+          type="number"
+          min={defaults.minSteps}
+          max={defaults.maxSteps}
+          value={steps.length}
+          onChange={(e) => onLengthChange(trackId, Number(e.target.value))}
+          aria-label={`${trackName} length`}
+          title="Loop length in steps"
+        />
+      )}
       <div className="track-steps">
-        {steps.map((isActive, index) => (
-          <StepButton
-            key={`${trackId}-${index}`}
-            isActive={isActive === 1}
-            isCurrent={currentStep === index}
-            isSelected={selectedStep === index}
-            onClick={() => onToggleStep(trackId, index)}
-            trackId={trackId}
-            stepIndex={index}
+        {visibleSteps.map((value, offset) => {
+          const index = pageStart + offset;
+          const velocity = getStepVelocity(value);
+          const data = velocity > 0 ? getStepData(value) : {};
+          return (
+            <StepButton
+              key={`${trackId}-${index}`}
+              isActive={velocity > 0}
+              velocity={velocity}
+              label={showChords && velocity > 0 ? getChordName(getStepChord(value)) : null}
+              trigger={velocity > 0 ? getStepTriggerLabel(value) : null}
+              ratchet={data.ratchet}
+              nudge={data.nudge}
+              dragMode={dragMode}
+              locks={data.locks && Object.keys(data.locks)}
+              isCurrent={currentStep === index}
+              isSelected={selectedStep === index}
+              onClick={() => onToggleStep(trackId, index)}
+              onCycleVelocity={onCycleVelocity && (() => onCycleVelocity(trackId, index))}
+              onShiftVelocity={onShiftVelocity && ((delta) => onShiftVelocity(trackId, index, delta))}
+              onShiftNudge={onShiftNudge && ((delta) => onShiftNudge(trackId, index, delta))}
+              onHold={onHoldStep && (() => onHoldStep(trackId, index))}
+              trackId={trackId}
+              stepIndex={index}
+            />
+          );
+        })}
+        {Array.from({ length: Math.max(0, placeholders) }).map((_, offset) => (
+          <span
+            key={`${trackId}-empty-${offset}`}
+            className="step-placeholder"
+            aria-hidden="true"
           />
         ))}
       </div>
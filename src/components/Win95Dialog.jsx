@@ -0,0 +1,61 @@
+/**
+ * Win95Dialog.jsx
+ * 
+ * Modal Windows 95 style dialog window: title bar with a close button,
+ * a body and a row of buttons, over a dimmed backdrop.
+ */
+
+import React, { useEffect } from 'react';
+
+/**
+ * Modal dialog component
+ * Escape closes the dialog
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.title - Title bar text
+ * @param {Function} props.onClose - Called by the close button and Escape
+ * @param {React.ReactNode} props.buttons - Buttons for the bottom row
+ * @param {React.ReactNode} props.children - Dialog body
+ * @param {boolean} props.docked - Sit at the bottom over a lighter backdrop,
+ *   so the window behind (e.g. a previewed pattern) stays readable
+ */
+function Win95Dialog({ title, onClose, buttons, children, docked = false }) {
+  useEffect(() => {
+    /**
+     * Closes on Escape
+     * @param {KeyboardEvent} e - Key event
+     */
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+  
+  return (
+    <div className={`dialog-overlay${docked ? ' docked' : ''}`}>
+      <div className="window95 dialog" role="dialog" aria-modal="true" aria-label={title}>
+        <div className="title-bar">
+          <div className="title-bar-text">{title}</div>
+          <div className="title-bar-controls">
+            <button
+              className="title-bar-button close"
+              onClick={onClose}
+              type="button"
+              aria-label="Close"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+        <div className="dialog-body">{children}</div>
+        <div className="dialog-buttons">{buttons}</div>
+      </div>
+    </div>
+  );
+}
+
+export default Win95Dialog;
@@ -16,7 +16,12 @@ global.AudioContext = class MockAudioContext {
 
   createGain() {
     return {
-      gain: { value: 1, setValueAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn() },
+      gain: {
+        value: 1,
+        setValueAtTime: vi.fn(),
+        linearRampToValueAtTime: vi.fn(),
+        exponentialRampToValueAtTime: vi.fn()
+      },
       connect: vi.fn(),
       disconnect: vi.fn()
     };
@@ -45,6 +50,14 @@ global.AudioContext = class MockAudioContext {
     };
   }
 
+  createStereoPanner() {
+    return {
+      pan: { value: 0 },
+      connect: vi.fn(),
+      disconnect: vi.fn()
+    };
+  }
+
   createDynamicsCompressor() {
     return {
       threshold: { value: -24 },
@@ -59,6 +72,7 @@ global.AudioContext = class MockAudioContext {
   createBufferSource() {
     return {
       buffer: null,
+      playbackRate: { value: 1 },
       connect: vi.fn(),
       disconnect: vi.fn(),
       start: vi.fn(),
@@ -71,10 +85,18 @@ global.AudioContext = class MockAudioContext {
       getChannelData: () => new Float32Array(length),
       sampleRate,
       length,
+      duration: length / sampleRate,
       numberOfChannels: channels
     };
   }
 
+  decodeAudioData(data) {
+    if (!data || !data.byteLength) {
+      return Promise.reject(new Error('Unable to decode audio data'));
+    }
+    return Promise.resolve(this.createBuffer(2, 44100, 44100));
+  }
+
   createScriptProcessor() {
     return {
       connect: vi.fn(),
@@ -103,6 +125,27 @@ global.AudioContext = class MockAudioContext {
   }
 };
 
+// Mock OfflineAudioContext: same node factories, renders silence
+global.OfflineAudioContext = class MockOfflineAudioContext extends global.AudioContext {
+  constructor(numberOfChannels, length, sampleRate) {
+    super();
+    this.state = 'suspended';
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+  }
+
+  startRendering() {
+    const channels = Array.from({ length: this.numberOfChannels }, () => new Float32Array(this.length));
+    return Promise.resolve({
+      numberOfChannels: this.numberOfChannels,
+      length: this.length,
+      sampleRate: this.sampleRate,
+      getChannelData: (channel) => channels[channel]
+    });
+  }
+};
+
 // Mock requestAnimationFrame
 global.requestAnimationFrame = (callback) => setTimeout(callback, 16);
 global.cancelAnimationFrame = (id) => clearTimeout(id);
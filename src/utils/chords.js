@@ -0,0 +1,173 @@
+/**
+ * chords.js
+ * 
+ * Chord palette and progression presets for the CHORD track.
+ * Chords are stored per step as { root, quality, inversion } and turned
+ * into MIDI notes / frequencies when the step is played.
+ */
+
+import { getStepData, getStepVelocity, setStepData } from './constants.js';
+
+/**
+ * Note names by pitch class (0 = C)
+ */
+export const noteNames = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Jazz voicings by chord quality
+ * Intervals in semitones above the root. Shell and rootless-style
+ * voicings (no fifth) keep the sound soft and out of the kick's way.
+ */
+export const chordQualities = {
+  m7: { name: 'm7', intervals: [0, 3, 10] },
+  maj7: { name: 'maj7', intervals: [0, 4, 11] },
+  7: { name: '7', intervals: [0, 4, 10] },
+  m9: { name: 'm9', intervals: [0, 3, 10, 14] },
+  maj9: { name: 'maj9', intervals: [0, 4, 11, 14] },
+  9: { name: '9', intervals: [0, 4, 10, 14] },
+  m11: { name: 'm11', intervals: [0, 3, 10, 14, 17] },
+  11: { name: '11', intervals: [0, 7, 10, 14, 17] }
+};
+
+/**
+ * Default chord: the original Dm7 voicing (D4, F4, C5)
+ */
+export const defaultChord = { root: 2, quality: 'm7', inversion: 0 };
+
+/**
+ * Progression presets
+ * Each chord's `degree` is a semitone offset from the key root
+ */
+export const progressions = {
+  'ii-V-I': {
+    name: 'ii–V–I',
+    chords: [
+      { degree: 2, quality: 'm9' },
+      { degree: 7, quality: '9' },
+      { degree: 0, quality: 'maj7' },
+      { degree: 0, quality: 'maj9' }
+    ]
+  },
+  'i-iv-v': {
+    name: 'i–iv–v',
+    chords: [
+      { degree: 0, quality: 'm7' },
+      { degree: 5, quality: 'm7' },
+      { degree: 7, quality: 'm7' }
+    ]
+  },
+  'I-vi-ii-V': {
+    name: 'I–vi–ii–V',
+    chords: [
+      { degree: 0, quality: 'maj7' },
+      { degree: 9, quality: 'm7' },
+      { degree: 2, quality: 'm7' },
+      { degree: 7, quality: '7' }
+    ]
+  },
+  'IV-iii-ii-I': {
+    name: 'IV–iii–ii–I',
+    chords: [
+      { degree: 5, quality: 'maj7' },
+      { degree: 4, quality: 'm7' },
+      { degree: 2, quality: 'm9' },
+      { degree: 0, quality: 'maj9' }
+    ]
+  }
+};
+
+/**
+ * Returns the display name of a chord, e.g. "Dm7" or "G9/2"
+ * @param {Object} chord - { root, quality, inversion }
+ * @returns {string} Chord name
+ */
+export function getChordName(chord) {
+  const inversion = chord.inversion ? `/${chord.inversion}` : '';
+  return `${noteNames[chord.root]}${chordQualities[chord.quality].name}${inversion}`;
+}
+
+/**
+ * Returns the MIDI notes of a chord voicing
+ * Roots are placed between G3 and F#4 so every key sits in the same
+ * register; each inversion moves the lowest note up an octave
+ * @param {Object} chord - { root, quality, inversion }
+ * @returns {number[]} Ascending MIDI note numbers
+ */
+export function getChordNotes(chord = defaultChord) {
+  const base = 55 + ((chord.root - 7 + 12) % 12);
+  const notes = chordQualities[chord.quality].intervals.map(interval => base + interval);
+  
+  for (let i = 0; i < (chord.inversion || 0) && i < notes.length - 1; i++) {
+    notes.push(notes.shift() + 12);
+  }
+  
+  // Wide voicings (9ths, 11ths) can interleave after inverting
+  return notes.sort((a, b) => a - b);
+}
+
+/**
+ * Converts a MIDI note number to a frequency (A4 = 440Hz)
+ * @param {number} note - MIDI note number
+ * @returns {number} Frequency in Hz
+ */
+export function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Returns the oscillator frequencies of a chord voicing
+ * @param {Object} chord - { root, quality, inversion }
+ * @returns {number[]} Frequencies in Hz
+ */
+export function getChordFrequencies(chord = defaultChord) {
+  return getChordNotes(chord).map(midiToFrequency);
+}
+
+/**
+ * Returns the chord stored on a step, or the default chord
+ * @param {number|Object} value - Step value
+ * @returns {Object} { root, quality, inversion }
+ */
+export function getStepChord(value) {
+  return getStepData(value).chord || defaultChord;
+}
+
+/**
+ * Fills a chord track with a progression
+ * The track is split into equal segments, one per chord. Active steps in
+ * a segment take that segment's chord; a segment with no hits gets one on
+ * its first step so every chord of the progression sounds.
+ * @param {Object} pattern - Current pattern
+ * @param {string} progressionId - Key of `progressions`
+ * @param {number} key - Key root as a pitch class (0 = C)
+ * @param {string} [track] - ID of the chord track to fill
+ * @returns {Object} New pattern with the chord track filled
+ */
+export function applyProgression(pattern, progressionId, key = 0, track = 'chord') {
+  const progression = progressions[progressionId];
+  if (!progression || !pattern[track]) return pattern;
+  
+  const length = pattern[track].length;
+  const count = progression.chords.length;
+  let newPattern = pattern;
+  
+  progression.chords.forEach(({ degree, quality }, index) => {
+    const chord = { root: (key + degree) % 12, quality, inversion: 0 };
+    const start = Math.floor((index * length) / count);
+    const end = Math.floor(((index + 1) * length) / count);
+    if (end <= start) return;
+    
+    let hasHit = false;
+    for (let step = start; step < end; step++) {
+      if (getStepVelocity(newPattern[track][step])) {
+        newPattern = setStepData(newPattern, track, step, { chord });
+        hasHit = true;
+      }
+    }
+    if (!hasHit) {
+      newPattern = setStepData(newPattern, track, start, { chord });
+    }
+  });
+  
+  return newPattern;
+}
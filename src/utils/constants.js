@@ -36,7 +36,7 @@ export const loFiPreset = {
 export const trapPreset = {
   kick:  [1, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 1, 0, 0, 1, 0],
   snare: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
-  hihat: [1, 0, 1, 1, 1, 0, 1, 0, 1, 0, 1, 1, 1, 0, 1, 0],
+  hihat: [1, 0, 1, { velocity: 1, ratchet: 2 }, 1, 0, 1, 0, 1, 0, 1, { velocity: 3, ratchet: 3 }, 1, 0, 1, 0],
   chord: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0]
 };
 
@@ -62,15 +62,108 @@ export const presets = {
 };
 
 /**
- * Track definitions for UI display
+ * Default track list
+ * A track is { id, name, color, instrument }: the ID keys its steps in the
+ * pattern (and its mixer/voice settings), the instrument is a type from the
+ * instrument registry (audio/instruments.js). Users can add, remove,
+ * reorder and rename tracks; these four are the starting set and the
+ * tracks the presets are written for.
  */
 export const tracks = [
-  { id: 'kick', name: 'KICK', color: '#ff6b6b' },
-  { id: 'snare', name: 'SNARE', color: '#4ecdc4' },
-  { id: 'hihat', name: 'HI-HAT', color: '#ffe66d' },
-  { id: 'chord', name: 'CHORD', color: '#a855f7' }
+  { id: 'kick', name: 'KICK', color: '#ff6b6b', instrument: 'kick' },
+  { id: 'snare', name: 'SNARE', color: '#4ecdc4', instrument: 'snare' },
+  { id: 'hihat', name: 'HI-HAT', color: '#ffe66d', instrument: 'hihat' },
+  { id: 'chord', name: 'CHORD', color: '#a855f7', instrument: 'chord' }
 ];
 
+/**
+ * Creates a new track definition with an ID unique within the list
+ * A repeated name gets a number appended (KICK, KICK 2, ...)
+ * @param {Array<Object>} trackList - Existing tracks
+ * @param {string} instrument - Instrument type
+ * @param {string} name - Display name
+ * @returns {Object} New track { id, name, color, instrument }
+ */
+export function createTrack(trackList, instrument, name) {
+  const takenIds = new Set(trackList.map(track => track.id));
+  let id = instrument;
+  for (let n = 2; takenIds.has(id); n++) {
+    id = `${instrument}-${n}`;
+  }
+  
+  const takenNames = new Set(trackList.map(track => track.name));
+  let uniqueName = name;
+  for (let n = 2; takenNames.has(uniqueName); n++) {
+    uniqueName = `${name} ${n}`;
+  }
+  
+  const color = tracks.find(track => track.instrument === instrument)?.color || '#c0c0c0';
+  return { id, name: uniqueName, color, instrument };
+}
+
+/**
+ * Moves a track up or down the list
+ * @param {Array<Object>} trackList - Current tracks
+ * @param {string} trackId - Track to move
+ * @param {number} delta - Positions to move (negative = up)
+ * @returns {Array<Object>} New track list
+ */
+export function moveTrack(trackList, trackId, delta) {
+  const from = trackList.findIndex(track => track.id === trackId);
+  const to = Math.min(trackList.length - 1, Math.max(0, from + delta));
+  if (from === -1 || from === to) return trackList;
+  
+  const moved = [...trackList];
+  const [track] = moved.splice(from, 1);
+  moved.splice(to, 0, track);
+  return moved;
+}
+
+/**
+ * Renames a track
+ * @param {Array<Object>} trackList - Current tracks
+ * @param {string} trackId - Track to rename
+ * @param {string} name - New name; blank names are ignored
+ * @returns {Array<Object>} New track list
+ */
+export function renameTrack(trackList, trackId, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return trackList;
+  return trackList.map(track => (track.id === trackId ? { ...track, name: trimmed } : track));
+}
+
+/**
+ * Step velocity levels
+ * A step value is its level: 0 is off and 1 is a normal hit, so the
+ * presets above stay plain on/off arrays. Accents and soft (ghost) notes
+ * use the higher values. `gain` scales the generator envelopes and
+ * `midi` is the equivalent note-on velocity.
+ * Steps that carry extra data are stored as { velocity, ...data } instead
+ * of a plain number; use getStepVelocity() to read either form.
+ */
+export const velocityLevels = {
+  0: { name: 'off', gain: 0, midi: 0 },
+  1: { name: 'normal', gain: 1, midi: 100 },
+  2: { name: 'accent', gain: 1.4, midi: 127 },
+  3: { name: 'soft', gain: 0.35, midi: 45 }
+};
+
+/**
+ * Active velocity levels ordered from quietest to loudest
+ * Used for dragging a step's velocity up and down
+ */
+export const velocityOrder = [3, 1, 2];
+
+/**
+ * Nearest velocity level for a MIDI note-on velocity
+ * @param {number} velocity - MIDI velocity 1-127
+ * @returns {number} Velocity level (3 soft, 1 normal or 2 accent)
+ */
+export function getVelocityFromMidi(velocity) {
+  const distance = (level) => Math.abs(velocityLevels[level].midi - velocity);
+  return velocityOrder.reduce((nearest, level) => (distance(level) < distance(nearest) ? level : nearest));
+}
+
 /**
  * Default application settings
  */
@@ -78,11 +171,82 @@ export const defaults = {
   tempo: 85,
   minTempo: 60,
   maxTempo: 180,
+  swing: 50,
+  minSwing: 50,
+  maxSwing: 75,
   steps: 16,
+  minSteps: 1,
+  maxSteps: 64,
+  stepsPerPage: 16,
+  lofi: { bits: 8, rate: 0.5, mix: 0 },
+  channel: { volume: 1, pan: 0, mute: false, solo: false },
+  maxVolume: 1.5,
+  maxNudge: 0.5, // Furthest a step may sound off the grid, in 16ths
   lookahead: 25.0,
   scheduleAheadTime: 0.1
 };
 
+/**
+ * Limits of the lo-fi settings, matching the bitcrusher's parameters
+ */
+export const lofiLimits = {
+  bits: { min: 1, max: 16 },
+  rate: { min: 0.01, max: 1 },
+  mix: { min: 0, max: 1 }
+};
+
+/**
+ * Quantize strengths for live recording, strongest first
+ */
+export const recordQuantizeOptions = [
+  { value: 1, label: '100%' },
+  { value: 0.5, label: '50%' },
+  { value: 0, label: 'Off' }
+];
+
+/**
+ * Computer keys that play the tracks, in track order
+ */
+export const recordKeys = ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k'];
+
+/**
+ * Creates default mixer settings: one channel strip per track
+ * @param {Array<Object>} [trackList] - Tracks (defaults to the built-in four)
+ * @returns {Object} Map of track ID to { volume, pan, mute, solo }
+ */
+export function createMixer(trackList = tracks) {
+  return trackList.reduce((mixer, track) => {
+    mixer[track.id] = { ...defaults.channel };
+    return mixer;
+  }, {});
+}
+
+/**
+ * Whether a track should sound given the mixer's mute and solo states
+ * When any track is soloed only soloed tracks play; otherwise unmuted ones do
+ * @param {Object} mixer - Mixer settings map
+ * @param {string} track - Track ID
+ * @returns {boolean} True if the track is audible
+ */
+export function isTrackAudible(mixer, track) {
+  const channel = mixer[track];
+  if (!channel) return true;
+  
+  const anySolo = Object.values(mixer).some(ch => ch.solo);
+  return anySolo ? channel.solo : !channel.mute;
+}
+
+/**
+ * Copies a single step value
+ * Plain steps are numbers; steps carrying extra data (chord, etc.) are
+ * objects whose nested values are treated as immutable
+ * @param {number|Object} value - Step value
+ * @returns {number|Object} Copied step value
+ */
+function cloneStep(value) {
+  return typeof value === 'object' && value !== null ? { ...value } : value;
+}
+
 /**
  * Creates a deep copy of a pattern object
  * Ensures immutability when updating state
@@ -90,32 +254,501 @@ export const defaults = {
  * @returns {Object} Deep cloned pattern
  */
 export function clonePattern(pattern) {
-  return {
-    kick: [...pattern.kick],
-    snare: [...pattern.snare],
-    hihat: [...pattern.hihat],
-    chord: [...pattern.chord]
-  };
+  return Object.keys(pattern).reduce((copy, track) => {
+    copy[track] = pattern[track].map(cloneStep);
+    return copy;
+  }, {});
+}
+
+/**
+ * Adds an empty track to a pattern
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - New track ID
+ * @param {number} [length] - Loop length (defaults to the pattern length)
+ * @returns {Object} New pattern with the track added
+ */
+export function addPatternTrack(pattern, track, length = getPatternLength(pattern)) {
+  return { ...clonePattern(pattern), [track]: new Array(length).fill(0) };
+}
+
+/**
+ * Removes a track from a pattern
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID to remove
+ * @returns {Object} New pattern without the track
+ */
+export function removePatternTrack(pattern, track) {
+  const { [track]: removed, ...rest } = clonePattern(pattern);
+  return rest;
+}
+
+/**
+ * Fits a pattern to a track list
+ * Tracks the list lacks are dropped; tracks the pattern lacks are added
+ * as empty rows of the pattern's length
+ * @param {Object} pattern - Current pattern
+ * @param {Array<Object>} trackList - Tracks to keep, in order
+ * @returns {Object} New pattern with exactly the listed tracks
+ */
+export function conformPattern(pattern, trackList) {
+  const length = getPatternLength(pattern);
+  return trackList.reduce((conformed, track) => {
+    conformed[track.id] = pattern[track.id]
+      ? [...pattern[track.id]]
+      : new Array(length).fill(0);
+    return conformed;
+  }, {});
+}
+
+/**
+ * Loads a preset into the current tracks
+ * Tracks the preset defines take its steps; any others are cleared to the
+ * preset's length. Tracks the preset has but the pattern lacks are ignored.
+ * @param {Object} pattern - Current pattern (its track IDs are kept)
+ * @param {Object} preset - Preset pattern
+ * @returns {Object} New pattern
+ */
+export function applyPreset(pattern, preset) {
+  const length = getPatternLength(preset);
+  return Object.keys(pattern).reduce((loaded, track) => {
+    loaded[track] = preset[track] ? preset[track].map(cloneStep) : new Array(length).fill(0);
+    return loaded;
+  }, {});
+}
+
+/**
+ * Returns the velocity level of a step value
+ * A step is either a plain velocity level or { velocity, ...data }
+ * @param {number|Object} value - Step value
+ * @returns {number} Velocity level, 0 when the step is off
+ */
+export function getStepVelocity(value) {
+  if (typeof value === 'object' && value !== null) {
+    return value.velocity;
+  }
+  return value || 0;
+}
+
+/**
+ * Returns the extra per-step data of a step value
+ * @param {number|Object} value - Step value
+ * @returns {Object} Step data (empty for plain steps)
+ */
+export function getStepData(value) {
+  if (typeof value === 'object' && value !== null) {
+    const { velocity, ...data } = value;
+    return data;
+  }
+  return {};
+}
+
+/**
+ * Builds a step value from a velocity and per-step data
+ * Collapses back to a plain number when there is no data left
+ * @param {number} velocity - Velocity level
+ * @param {Object} data - Per-step data; undefined entries are dropped
+ * @returns {number|Object} Step value
+ */
+function makeStep(velocity, data) {
+  const cleaned = {};
+  Object.keys(data).forEach(key => {
+    if (data[key] !== undefined) cleaned[key] = data[key];
+  });
+  return Object.keys(cleaned).length ? { velocity, ...cleaned } : velocity;
 }
 
 /**
- * Toggles a step in the pattern (0 -> 1, 1 -> 0)
+ * Merges per-step data into a step, switching it on if it was off
+ * Pass undefined for a key to remove it
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @param {Object} data - Data to merge (e.g. { chord })
+ * @returns {Object} New pattern with the step's data updated
+ */
+export function setStepData(pattern, track, step, data) {
+  const newPattern = clonePattern(pattern);
+  const value = newPattern[track][step];
+  const velocity = getStepVelocity(value) || 1;
+  newPattern[track][step] = makeStep(velocity, { ...getStepData(value), ...data });
+  return newPattern;
+}
+
+/**
+ * Toggles a step in the pattern (off -> normal, any velocity -> off)
+ * Switching a step off also drops its per-step data
  * Returns a new pattern object (immutable update)
  * @param {Object} pattern - Current pattern
- * @param {string} track - Track ID (kick, snare, hihat, chord)
- * @param {number} step - Step index (0-15)
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
  * @returns {Object} New pattern with toggled step
  */
 export function toggleStep(pattern, track, step) {
   const newPattern = clonePattern(pattern);
-  newPattern[track][step] = newPattern[track][step] ? 0 : 1;
+  newPattern[track][step] = getStepVelocity(newPattern[track][step]) ? 0 : 1;
   return newPattern;
 }
 
+/**
+ * Sets a step's velocity, switching it on if it was off
+ * Per-step data (e.g. a chord) is kept
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @param {number} velocity - Velocity level (see velocityLevels)
+ * @returns {Object} New pattern with the step set
+ */
+export function setStepVelocity(pattern, track, step, velocity) {
+  const newPattern = clonePattern(pattern);
+  newPattern[track][step] = makeStep(velocity, getStepData(newPattern[track][step]));
+  return newPattern;
+}
+
+/**
+ * Writes a live-recorded hit into a step
+ * Per-step data (e.g. a chord) is kept; the nudge is replaced
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @param {number} velocity - Velocity level (see velocityLevels)
+ * @param {number} [nudge] - Offset from the grid in 16ths (-0.5 to 0.5)
+ * @returns {Object} New pattern with the hit recorded
+ */
+export function recordStep(pattern, track, step, velocity, nudge = 0) {
+  return setStepData(setStepVelocity(pattern, track, step, velocity), track, step, { nudge: nudge || undefined });
+}
+
+/**
+ * Trigger conditions a step can carry, checked against the loop count
+ * 'A:B' plays on the Ath of every B passes through the pattern
+ */
+export const stepConditions = [
+  { value: 'first', label: 'First loop', short: '1st' },
+  { value: 'not-first', label: 'Not first', short: '!1st' },
+  ...[2, 3, 4].flatMap(every => Array.from({ length: every }, (_, index) => ({
+    value: `${index + 1}:${every}`,
+    label: `${index + 1}:${every}`,
+    short: `${index + 1}:${every}`
+  })))
+];
+
+/**
+ * Whether a step condition holds on a pass through the pattern
+ * @param {string} condition - Value from stepConditions
+ * @param {number} loop - Completed passes (0 on the first)
+ * @returns {boolean} True if the step may play
+ */
+export function isConditionMet(condition, loop) {
+  if (condition === 'first') return loop === 0;
+  if (condition === 'not-first') return loop > 0;
+  const [nth, every] = condition.split(':').map(Number);
+  return loop % every === nth - 1;
+}
+
+/**
+ * Short text for a step's condition and probability, e.g. "1:2 50%"
+ * @param {number|Object} value - Step value
+ * @returns {string|null} Label, or null for a step that always plays
+ */
+export function getStepTriggerLabel(value) {
+  const { probability, condition } = getStepData(value);
+  const parts = [];
+  if (condition !== undefined) {
+    parts.push(stepConditions.find(option => option.value === condition)?.short || condition);
+  }
+  if (probability !== undefined) {
+    parts.push(`${probability}%`);
+  }
+  return parts.length ? parts.join(' ') : null;
+}
+
+/**
+ * Whether an active step fires this time round
+ * The condition is checked first, so the random source is only used by
+ * steps with a probability that pass it
+ * @param {number|Object} value - Step value
+ * @param {number} loop - Completed passes through the pattern
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {boolean} True if the step plays
+ */
+export function isStepTriggered(value, loop, random = Math.random) {
+  const { probability, condition } = getStepData(value);
+  if (condition !== undefined && !isConditionMet(condition, loop)) return false;
+  return probability === undefined || random() * 100 < probability;
+}
+
+/**
+ * Most hits a ratcheted step can repeat
+ */
+export const maxRatchet = 4;
+
+/**
+ * Fixed spacings for a ratchet's repeats, in 16ths
+ * Without a division the repeats split the step evenly
+ */
+export const ratchetDivisions = [
+  { value: '32nd', label: '32nd', spacing: 1 / 2 },
+  { value: 'triplet', label: 'Triplet', spacing: 2 / 3 }
+];
+
+/**
+ * Offsets of a step's hits from the start of the step, in 16ths
+ * A fixed division can run past the step, e.g. four 32nds fill two steps
+ * @param {number|Object} value - Step value
+ * @returns {Array<number>} Offsets, [0] for a step without a ratchet
+ */
+export function getRatchetOffsets(value) {
+  const { ratchet = 1, ratchetDivision } = getStepData(value);
+  const spacing = ratchetDivisions.find(option => option.value === ratchetDivision)?.spacing || 1 / ratchet;
+  return Array.from({ length: ratchet }, (_, index) => index * spacing);
+}
+
+/**
+ * Returns the envelope gain multiplier for a step value
+ * @param {number|Object} value - Step value
+ * @returns {number} Gain multiplier, 0 for inactive steps
+ */
+export function getVelocityGain(value) {
+  const level = velocityLevels[getStepVelocity(value)];
+  return level ? level.gain : 0;
+}
+
+/**
+ * Cycles an active step through normal -> accent -> soft -> normal
+ * Inactive steps are switched on at normal velocity
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @returns {Object} New pattern with the step's velocity changed
+ */
+export function cycleVelocity(pattern, track, step) {
+  const newPattern = clonePattern(pattern);
+  const value = newPattern[track][step];
+  const cycle = [1, 2, 3];
+  const current = cycle.indexOf(getStepVelocity(value));
+  const velocity = current === -1 ? 1 : cycle[(current + 1) % cycle.length];
+  newPattern[track][step] = makeStep(velocity, getStepData(value));
+  return newPattern;
+}
+
+/**
+ * Moves an active step's velocity up or down the loudness order
+ * Clamps at soft and accent; inactive steps are left untouched
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @param {number} delta - Number of levels to move (positive = louder)
+ * @returns {Object} New pattern with the step's velocity changed
+ */
+export function shiftVelocity(pattern, track, step, delta) {
+  const value = pattern[track][step];
+  const current = velocityOrder.indexOf(getStepVelocity(value));
+  if (current === -1) return pattern;
+  
+  const next = Math.min(velocityOrder.length - 1, Math.max(0, current + delta));
+  if (next === current) return pattern;
+  
+  const newPattern = clonePattern(pattern);
+  newPattern[track][step] = makeStep(velocityOrder[next], getStepData(value));
+  return newPattern;
+}
+
+/**
+ * Formats a nudge as a signed percentage of a 16th, e.g. "+25%"
+ * @param {number} nudge - Offset in 16ths
+ * @returns {string} Label
+ */
+export function formatNudge(nudge) {
+  const percent = Math.round(nudge * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * Moves an active step's timing earlier or later
+ * Clamps at defaults.maxNudge either way and rounds to 1% of a 16th;
+ * inactive steps are left untouched
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @param {number} delta - Offset to add in 16ths (positive = later)
+ * @returns {Object} New pattern with the step's nudge changed
+ */
+export function shiftNudge(pattern, track, step, delta) {
+  const value = pattern[track][step];
+  if (!getStepVelocity(value)) return pattern;
+  
+  const current = getStepData(value).nudge || 0;
+  const limited = Math.min(defaults.maxNudge, Math.max(-defaults.maxNudge, current + delta));
+  const nudge = Math.round(limited * 100) / 100;
+  if (nudge === current) return pattern;
+  
+  return setStepData(pattern, track, step, { nudge: nudge || undefined });
+}
+
+/**
+ * Locks one sound parameter of an active step, or unlocks it
+ * A lock overrides the track's voice parameter for that hit only.
+ * Inactive steps are left untouched; removing the last lock drops `locks`.
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} step - Step index
+ * @param {string} key - Voice parameter key (e.g. 'cutoff')
+ * @param {number|undefined} value - Locked value, or undefined to unlock
+ * @returns {Object} New pattern with the step's locks changed
+ */
+export function setStepLock(pattern, track, step, key, value) {
+  const current = pattern[track][step];
+  if (!getStepVelocity(current)) return pattern;
+  
+  const { [key]: previous, ...others } = getStepData(current).locks || {};
+  const locks = value === undefined ? others : { ...others, [key]: value };
+  return setStepData(pattern, track, step, { locks: Object.keys(locks).length ? locks : undefined });
+}
+
+/**
+ * Silences every step of one track, keeping its length
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @returns {Object} New pattern with the track cleared
+ */
+export function clearTrack(pattern, track) {
+  return { ...pattern, [track]: pattern[track].map(() => 0) };
+}
+
+/**
+ * Whether a pattern has no active steps
+ * @param {Object} pattern - Pattern object
+ * @returns {boolean} True if every step of every track is off
+ */
+export function isPatternEmpty(pattern) {
+  return Object.values(pattern).every(steps => steps.every(value => !getStepVelocity(value)));
+}
+
+/**
+ * Whether two step values, or anything nested in them, hold the same data
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isSameValue(a[key], b[key]));
+}
+
+/**
+ * Whether two patterns have the same tracks, lengths and steps
+ * @param {Object} a - First pattern
+ * @param {Object} b - Second pattern
+ * @returns {boolean} True if every step matches
+ */
+export function isSamePattern(a, b) {
+  return isSameValue(a, b);
+}
+
+/**
+ * Returns the pattern length: the longest track's loop length
+ * Shorter tracks loop inside it for polymeter
+ * @param {Object} pattern - Pattern object
+ * @returns {number} Number of steps
+ */
+export function getPatternLength(pattern) {
+  return Math.max(...Object.values(pattern).map(steps => steps.length));
+}
+
+/**
+ * Resizes one track's loop length, padding new steps with silence
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {number} length - New length, clamped to 1-64
+ * @returns {Object} New pattern with the resized track
+ */
+export function setTrackLength(pattern, track, length) {
+  const newPattern = clonePattern(pattern);
+  const clamped = Math.min(defaults.maxSteps, Math.max(defaults.minSteps, Math.round(length)));
+  const steps = newPattern[track].slice(0, clamped);
+  while (steps.length < clamped) {
+    steps.push(0);
+  }
+  newPattern[track] = steps;
+  return newPattern;
+}
+
+/**
+ * Resizes every track in the pattern to the same length
+ * @param {Object} pattern - Current pattern
+ * @param {number} length - New length, clamped to 1-64
+ * @returns {Object} New pattern with all tracks resized
+ */
+export function setPatternLength(pattern, length) {
+  return Object.keys(pattern).reduce(
+    (resized, track) => setTrackLength(resized, track, length),
+    pattern
+  );
+}
+
 /**
  * Clears all steps in a pattern
+ * Passing the current pattern keeps each track's length
+ * @param {Object} [pattern] - Pattern whose track lengths to keep
  * @returns {Object} Empty pattern
  */
-export function clearPattern() {
-  return clonePattern(initialPattern);
+export function clearPattern(pattern) {
+  if (!pattern) {
+    return clonePattern(initialPattern);
+  }
+  const cleared = clonePattern(pattern);
+  Object.keys(cleared).forEach(track => {
+    cleared[track] = cleared[track].map(() => 0);
+  });
+  return cleared;
+}
+
+/**
+ * Euclidean rhythm: hits spread as evenly as possible over the steps
+ * Uses Bjorklund's algorithm, so E(3,8) is x..x..x. and E(5,16) is
+ * x..x..x..x..x...; rotation then moves every hit later, wrapping round
+ * @param {number} hits - Onsets, clamped to 0-steps
+ * @param {number} steps - Rhythm length
+ * @param {number} [rotation] - Steps to rotate by (negative = earlier)
+ * @returns {Array<number>} 1 for a hit, 0 for a rest
+ */
+export function euclideanRhythm(hits, steps, rotation = 0) {
+  const onsets = Math.min(steps, Math.max(0, hits));
+  
+  // Pair the hit groups with the rest groups until at most one remainder
+  // group is left, then read the groups out in order
+  let groups = Array.from({ length: onsets }, () => [1]);
+  let remainders = Array.from({ length: steps - onsets }, () => [0]);
+  while (remainders.length > 1 && groups.length > 0) {
+    const count = Math.min(groups.length, remainders.length);
+    const paired = groups.slice(0, count).map((group, index) => [...group, ...remainders[index]]);
+    remainders = groups.length > count ? groups.slice(count) : remainders.slice(count);
+    groups = paired;
+  }
+  const rhythm = [...groups, ...remainders].flat();
+  
+  const shift = ((rotation % steps) + steps) % steps;
+  return [...rhythm.slice(steps - shift), ...rhythm.slice(0, steps - shift)];
+}
+
+/**
+ * Fills one track with a Euclidean rhythm, resizing it to the rhythm
+ * Hits landing on an active step keep it (velocity, chord and other data);
+ * new hits are normal velocity and rests are switched off
+ * @param {Object} pattern - Current pattern
+ * @param {string} track - Track ID
+ * @param {Object} options - { hits, steps, rotation } as for euclideanRhythm()
+ * @returns {Object} New pattern with the track filled
+ */
+export function applyEuclidean(pattern, track, { hits, steps, rotation = 0 }) {
+  const length = Math.min(defaults.maxSteps, Math.max(defaults.minSteps, Math.round(steps)));
+  const newPattern = clonePattern(pattern);
+  const previous = newPattern[track];
+  newPattern[track] = euclideanRhythm(hits, length, rotation).map((hit, step) => {
+    if (!hit) return 0;
+    return getStepVelocity(previous[step]) ? previous[step] : 1;
+  });
+  return newPattern;
 }
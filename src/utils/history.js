@@ -0,0 +1,88 @@
+/**
+ * history.js
+ * 
+ * Undo/redo history of immutable snapshots (the pattern banks). A history
+ * is { past, future, gesture }: past holds the snapshots before the present
+ * one, oldest first, future the ones undone, next redo last, and gesture the
+ * key of the drag or slider move being recorded, if any. Every function
+ * returns a new history and leaves its input untouched.
+ */
+
+/**
+ * Most undo steps kept; older snapshots are dropped
+ */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Creates an empty history
+ * @returns {{past: Array, future: Array}} History
+ */
+export function createHistory() {
+  return { past: [], future: [], gesture: null };
+}
+
+/**
+ * Records the snapshot an edit replaced, and forgets anything undone
+ * Recording the same snapshot twice in a row is a no-op
+ * @param {Object} history - Current history
+ * @param {*} previous - Snapshot before the edit
+ * @param {number} [limit] - Most snapshots to keep
+ * @returns {Object} New history
+ */
+export function recordHistory(history, previous, limit = HISTORY_LIMIT) {
+  if (history.past[history.past.length - 1] === previous) return history;
+  return { past: [...history.past, previous].slice(-limit), future: [], gesture: null };
+}
+
+/**
+ * Records an edit that may be one of many in a gesture (a drag or slider move)
+ * Only the first edit of a gesture is recorded, so the whole gesture undoes
+ * in one step; edits without a gesture are each recorded
+ * @param {Object} history - Current history
+ * @param {*} previous - Snapshot before the edit
+ * @param {string|null} gesture - Key of the control being moved, or null
+ * @returns {Object} New history
+ */
+export function recordEdit(history, previous, gesture) {
+  if (gesture !== null && history.gesture === gesture) return history;
+  return { ...recordHistory(history, previous), gesture };
+}
+
+/**
+ * Ends the gesture being recorded, so the next edit gets its own undo step
+ * @param {Object} history - Current history
+ * @returns {Object} New history
+ */
+export function endGesture(history) {
+  return history.gesture === null ? history : { ...history, gesture: null };
+}
+
+/**
+ * Steps back one snapshot
+ * @param {Object} history - Current history
+ * @param {*} present - Current snapshot
+ * @returns {{history: Object, present: *}|null} New history and the snapshot
+ *   to restore, or null when there is nothing to undo
+ */
+export function undoHistory(history, present) {
+  if (history.past.length === 0) return null;
+  return {
+    history: { past: history.past.slice(0, -1), future: [...history.future, present], gesture: null },
+    present: history.past[history.past.length - 1]
+  };
+}
+
+/**
+ * Steps forward one undone snapshot
+ * @param {Object} history - Current history
+ * @param {*} present - Current snapshot
+ * @returns {{history: Object, present: *}|null} New history and the snapshot
+ *   to restore, or null when there is nothing to redo
+ */
+export function redoHistory(history, present) {
+  if (history.future.length === 0) return null;
+  return {
+    history: { past: [...history.past, present], future: history.future.slice(0, -1), gesture: null },
+    present: history.future[history.future.length - 1]
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * patternLibrary.js
+ * 
+ * Named user patterns saved in the browser (localStorage).
+ * Each entry is { id, name, savedAt, version, data } where data holds the
+ * pattern, tempo, swing and per-track settings (track list, mixer, voice and
+ * sample parameters), and version is the project version of the build that
+ * saved it. Loaded sample audio is not stored.
+ * 
+ * Every function takes the Storage to use as its last argument so tests can
+ * pass an in-memory stand-in. Unreadable storage throws rather than being
+ * overwritten, so the caller can report it.
+ */
+
+import { PROJECT_VERSION, createProject, loadProject } from './project.js';
+import { defaultSong } from './song.js';
+
+const STORAGE_KEY = 'lofi-sequencer:patterns';
+
+/**
+ * Returns the browser's localStorage, or null where it is unavailable
+ * @returns {Storage|null} Storage object
+ */
+function defaultStorage() {
+  return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+/**
+ * Writes the full list back to storage
+ * @param {Array<Object>} entries - Saved patterns
+ * @param {Storage} storage - Storage to write to
+ */
+function writeEntries(entries, storage) {
+  if (!storage) {
+    throw new Error('Browser storage is not available');
+  }
+  storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Lists saved patterns, sorted by name
+ * Missing storage gives an empty list
+ * @param {Storage} [storage] - Storage to read (defaults to localStorage)
+ * @returns {Array<Object>} Entries { id, name, savedAt, version, data }
+ * @throws {Error} If the stored list is unreadable
+ */
+export function listPatterns(storage = defaultStorage()) {
+  let entries;
+  try {
+    entries = JSON.parse(storage?.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    throw new Error(`Saved patterns could not be read (${error.message})`);
+  }
+  if (!Array.isArray(entries) || !entries.every(entry => typeof entry?.name === 'string')) {
+    throw new Error('Saved patterns could not be read (not a list of named entries)');
+  }
+  return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Looks up a saved pattern
+ * @param {string} id - Entry ID
+ * @param {Storage} [storage] - Storage to read
+ * @returns {Object|null} Entry, or null if not found
+ */
+export function getSavedPattern(id, storage = defaultStorage()) {
+  return listPatterns(storage).find(entry => entry.id === id) || null;
+}
+
+/**
+ * Saves a pattern under a name
+ * Saving over an existing name replaces that entry (keeping its ID)
+ * @param {string} name - Display name (trimmed, must not be blank)
+ * @param {Object} data - { pattern, tempo, swing, tracks, mixer, voiceParams, sampleParams }
+ * @param {Storage} [storage] - Storage to write
+ * @returns {Object} The saved entry
+ */
+export function savePattern(name, data, storage = defaultStorage()) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Pattern name must not be empty');
+  }
+  
+  const entries = listPatterns(storage);
+  const existing = entries.find(entry => entry.name === trimmed);
+  const entry = {
+    id: existing ? existing.id : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: trimmed,
+    savedAt: new Date().toISOString(),
+    version: PROJECT_VERSION,
+    data
+  };
+  
+  writeEntries([...entries.filter(e => e !== existing), entry], storage);
+  return entry;
+}
+
+/**
+ * Renames a saved pattern
+ * Blank names, and names already used by another entry, are rejected
+ * @param {string} id - Entry ID
+ * @param {string} name - New name
+ * @param {Storage} [storage] - Storage to write
+ * @returns {boolean} True if the entry was renamed
+ */
+export function renamePattern(id, name, storage = defaultStorage()) {
+  const trimmed = name.trim();
+  const entries = listPatterns(storage);
+  if (!trimmed || entries.some(entry => entry.name === trimmed && entry.id !== id)) {
+    return false;
+  }
+  
+  const renamed = entries.map(entry => (entry.id === id ? { ...entry, name: trimmed } : entry));
+  writeEntries(renamed, storage);
+  return true;
+}
+
+/**
+ * Deletes a saved pattern
+ * @param {string} id - Entry ID
+ * @param {Storage} [storage] - Storage to write
+ */
+export function deletePattern(id, storage = defaultStorage()) {
+  writeEntries(listPatterns(storage).filter(entry => entry.id !== id), storage);
+}
+
+/**
+ * Checks a saved pattern's data the way an imported project file is checked
+ * The pattern is loaded as bank A of a single-bank project of the version
+ * it was saved with, so older entries are migrated. Entries saved before the
+ * version was stored load as current ones
+ * @param {Object} entry - Saved entry { id, name, savedAt, version, data }
+ * @returns {Object} Loaded project, as from loadProject()
+ * @throws {ProjectFileError} If the stored data is not valid
+ */
+export function loadSavedEntry(entry) {
+  const data = typeof entry.data === 'object' && entry.data !== null ? entry.data : {};
+  const project = createProject({
+    ...data,
+    banks: { A: data.pattern },
+    song: defaultSong,
+    songMode: false
+  });
+  
+  return loadProject({ ...project, version: entry.version ?? PROJECT_VERSION });
+}
@@ -0,0 +1,489 @@
+/**
+ * project.js
+ * 
+ * Versioned project files (.lofi.json) for sharing beats.
+ * A project captures every pattern bank, the song, tempo, swing, the track
+ * list and all sound settings. Loaded sample audio is not included.
+ * 
+ * Version history:
+ *   1 - a single `pattern` over the four default tracks, plus tempo and swing
+ *   2 - track list, pattern banks, song, lo-fi, mixer, voice and sample settings
+ *   3 - steps may carry a probability and a condition
+ *   4 - steps may carry a ratchet and a ratchet division
+ *   5 - steps may carry parameter locks
+ * 
+ * Import parses, migrates older versions to the current one, then validates
+ * the result before anything reaches the app's state.
+ */
+
+import {
+  tracks as defaultTracks,
+  createMixer,
+  defaults,
+  lofiLimits,
+  stepConditions,
+  maxRatchet,
+  ratchetDivisions
+} from './constants.js';
+import { chordQualities } from './chords.js';
+import { bankNames, createBanks, defaultSong, maxRepeats } from './song.js';
+import { getInstrument } from '../audio/instruments.js';
+import { createVoiceParams, createSampleParams, sampleParameters } from '../audio/SoundGenerator.js';
+
+/**
+ * Identifies project files
+ */
+export const PROJECT_FORMAT = 'lofi-sequencer-project';
+
+/**
+ * Version written by this build
+ */
+export const PROJECT_VERSION = 5;
+
+/**
+ * File name extension for project files
+ */
+export const PROJECT_EXTENSION = '.lofi.json';
+
+/**
+ * Error for a project file that cannot be loaded
+ * `problems` lists each issue found, with the path to the offending field
+ */
+export class ProjectFileError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<string>} [problems] - Individual issues
+   */
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n${problems.join('\n')}` : message);
+    this.name = 'ProjectFileError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Mixer channel settings and their limits; mute and solo are flags
+ */
+const channelParameters = [
+  { key: 'volume', min: 0, max: defaults.maxVolume },
+  { key: 'pan', min: -1, max: 1 },
+  { key: 'mute', flag: true },
+  { key: 'solo', flag: true }
+];
+
+/**
+ * Upgrades a project one version at a time
+ * Each entry takes a project of version N and returns version N + 1
+ */
+const migrations = {
+  1: (project) => ({
+    format: PROJECT_FORMAT,
+    version: 2,
+    tempo: project.tempo,
+    swing: project.swing,
+    tracks: defaultTracks,
+    banks: { A: project.pattern },
+    song: defaultSong,
+    songMode: false
+  }),
+  // Only adds optional step data, which older projects don't have
+  2: (project) => ({ ...project, version: 3 }),
+  3: (project) => ({ ...project, version: 4 }),
+  4: (project) => ({ ...project, version: 5 })
+};
+
+/**
+ * Version that added each kind of step data; older files may not use it
+ * Data not listed here is allowed in every version
+ */
+const stepDataVersions = {
+  probability: 3,
+  condition: 3,
+  ratchet: 4,
+  ratchetDivision: 4,
+  locks: 5
+};
+
+/**
+ * Builds a project from the app's state
+ * @param {Object} state - { tracks, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams }
+ * @returns {Object} Project object at the current version
+ */
+export function createProject(state) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    tempo: state.tempo,
+    swing: state.swing,
+    tracks: state.tracks,
+    banks: state.banks,
+    song: state.song,
+    songMode: state.songMode,
+    lofi: state.lofi,
+    mixer: state.mixer,
+    voiceParams: state.voiceParams,
+    sampleParams: state.sampleParams
+  };
+}
+
+/**
+ * Serializes a project for download
+ * @param {Object} project - Project from createProject()
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeProject(project) {
+  return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Whether a value is a plain (non-array) object
+ * @param {*} value - Value to test
+ * @returns {boolean} True for objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is an integer within a range
+ * @param {*} value - Value to test
+ * @param {number} min - Lowest allowed
+ * @param {number} max - Highest allowed
+ * @returns {boolean} True if in range
+ */
+function isIntegerIn(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Whether a value is a finite number within a range
+ * @param {*} value - Value to test
+ * @param {number} min - Lowest allowed
+ * @param {number} max - Highest allowed
+ * @returns {boolean} True if in range
+ */
+function isNumberIn(value, min, max) {
+  return Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Checks one step value: a velocity level 0-3, or { velocity, ...data }
+ * @param {*} value - Step value
+ * @param {string} path - Field path for messages
+ * @param {Array<string>} problems - Collects issues
+ * @param {Array<Object>} parameters - Voice parameters of the track's
+ *   instrument, which the step's locks may override
+ * @param {number} version - Version the file was written as
+ */
+function validateStep(value, path, problems, parameters, version) {
+  if (isIntegerIn(value, 0, 3)) return;
+  if (!isObject(value) || !isIntegerIn(value.velocity, 0, 3)) {
+    problems.push(`${path}: expected a velocity 0-3 or { velocity, ... }`);
+    return;
+  }
+  
+  Object.keys(stepDataVersions)
+    .filter(key => value[key] !== undefined && stepDataVersions[key] > version)
+    .forEach(key => problems.push(`${path}.${key}: not part of version ${version} projects`));
+  
+  const chord = value.chord;
+  if (chord !== undefined && !(
+    isObject(chord) &&
+    isIntegerIn(chord.root, 0, 11) &&
+    chordQualities[chord.quality] &&
+    isIntegerIn(chord.inversion, 0, chordQualities[chord.quality].intervals.length - 1)
+  )) {
+    problems.push(`${path}.chord: expected { root 0-11, quality, inversion }`);
+  }
+  if (value.nudge !== undefined && !isNumberIn(value.nudge, -defaults.maxNudge, defaults.maxNudge)) {
+    problems.push(`${path}.nudge: expected a number from -${defaults.maxNudge} to ${defaults.maxNudge}`);
+  }
+  if (value.probability !== undefined && !isNumberIn(value.probability, 0, 100)) {
+    problems.push(`${path}.probability: expected a number from 0 to 100`);
+  }
+  if (value.condition !== undefined && !stepConditions.some(condition => condition.value === value.condition)) {
+    problems.push(`${path}.condition: unknown condition "${value.condition}"`);
+  }
+  if (value.ratchet !== undefined && !isIntegerIn(value.ratchet, 1, maxRatchet)) {
+    problems.push(`${path}.ratchet: expected an integer from 1 to ${maxRatchet}`);
+  }
+  if (value.ratchetDivision !== undefined && !ratchetDivisions.some(division => division.value === value.ratchetDivision)) {
+    problems.push(`${path}.ratchetDivision: unknown division "${value.ratchetDivision}"`);
+  }
+  if (value.locks !== undefined) {
+    if (!isObject(value.locks)) {
+      problems.push(`${path}.locks: expected { parameter: value }`);
+      return;
+    }
+    Object.keys(value.locks).forEach(key => {
+      const param = parameters.find(p => p.key === key);
+      if (!param) {
+        problems.push(`${path}.locks.${key}: not a parameter of this instrument`);
+      } else if (!isNumberIn(value.locks[key], param.min, param.max)) {
+        problems.push(`${path}.locks.${key}: expected a number from ${param.min} to ${param.max}`);
+      }
+    });
+  }
+}
+
+/**
+ * Checks a pattern against the track list
+ * @param {*} pattern - Pattern to check
+ * @param {Array<Object>} trackList - Project tracks
+ * @param {string} path - Field path for messages
+ * @param {Array<string>} problems - Collects issues
+ * @param {number} version - Version the file was written as
+ */
+function validatePattern(pattern, trackList, path, problems, version) {
+  if (!isObject(pattern)) {
+    problems.push(`${path}: expected a pattern object`);
+    return;
+  }
+  
+  trackList.forEach(track => {
+    const steps = pattern[track.id];
+    const trackPath = `${path}.${track.id}`;
+    if (!Array.isArray(steps) || !isIntegerIn(steps.length, defaults.minSteps, defaults.maxSteps)) {
+      problems.push(`${trackPath}: expected ${defaults.minSteps}-${defaults.maxSteps} steps`);
+      return;
+    }
+    const parameters = getInstrument(track.instrument)?.parameters || [];
+    steps.forEach((value, step) => validateStep(value, `${trackPath}[${step}]`, problems, parameters, version));
+  });
+  
+  Object.keys(pattern)
+    .filter(id => !trackList.some(track => track.id === id))
+    .forEach(id => problems.push(`${path}.${id}: not in the track list`));
+}
+
+/**
+ * Checks a per-track settings map (mixer, voice or sample parameters)
+ * Each value must be a known setting of the track, within its limits.
+ * Settings for tracks the project doesn't have are dropped on load, so
+ * they are not checked
+ * @param {*} settings - Map of track ID to settings object
+ * @param {Array<Object>} trackList - Project tracks
+ * @param {Function} getParameters - Returns a track's settings { key, min, max } or { key, flag }
+ * @param {string} path - Field path for messages
+ * @param {Array<string>} problems - Collects issues
+ */
+function validateTrackSettings(settings, trackList, getParameters, path, problems) {
+  if (settings === undefined) return;
+  if (!isObject(settings)) {
+    problems.push(`${path}: expected an object`);
+    return;
+  }
+  
+  trackList.filter(track => Object.hasOwn(settings, track.id)).forEach(track => {
+    const values = settings[track.id];
+    const trackPath = `${path}.${track.id}`;
+    if (!isObject(values)) {
+      problems.push(`${trackPath}: expected an object`);
+      return;
+    }
+    const parameters = getParameters(track);
+    Object.keys(values).forEach(key => {
+      const param = parameters.find(p => p.key === key);
+      const value = values[key];
+      if (!param) {
+        problems.push(`${trackPath}.${key}: unknown setting`);
+      } else if (param.flag) {
+        if (typeof value !== 'boolean') {
+          problems.push(`${trackPath}.${key}: expected true or false`);
+        }
+      } else if (!isNumberIn(value, param.min, param.max)) {
+        problems.push(`${trackPath}.${key}: expected a number from ${param.min} to ${param.max}`);
+      }
+    });
+  });
+}
+
+/**
+ * Checks a current-version project against the schema
+ * @param {Object} project - Migrated project
+ * @param {number} [version] - Version the file was written as, which limits
+ *   the step data it may hold (defaults to the project's version)
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateProject(project, version = project.version) {
+  const problems = [];
+  
+  if (!isNumberIn(project.tempo, defaults.minTempo, defaults.maxTempo)) {
+    problems.push(`tempo: expected ${defaults.minTempo}-${defaults.maxTempo}`);
+  }
+  if (!isNumberIn(project.swing, defaults.minSwing, defaults.maxSwing)) {
+    problems.push(`swing: expected ${defaults.minSwing}-${defaults.maxSwing}`);
+  }
+  
+  // Patterns and settings are checked against the tracks, so stop if those are broken
+  const earlierProblems = problems.length;
+  const trackList = project.tracks;
+  if (!Array.isArray(trackList) || trackList.length === 0) {
+    problems.push('tracks: expected a non-empty list');
+    return problems;
+  }
+  trackList.forEach((track, index) => {
+    const path = `tracks[${index}]`;
+    if (!isObject(track) || typeof track.id !== 'string' || !track.id) {
+      problems.push(`${path}: expected { id, name, instrument }`);
+      return;
+    }
+    if (trackList.findIndex(t => t?.id === track.id) !== index) {
+      problems.push(`${path}.id: "${track.id}" is used twice`);
+    }
+    if (typeof track.name !== 'string' || !track.name.trim()) {
+      problems.push(`${path}.name: expected a name`);
+    }
+    if (!getInstrument(track.instrument)) {
+      problems.push(`${path}.instrument: unknown instrument "${track.instrument}"`);
+    }
+  });
+  if (problems.length > earlierProblems) return problems;
+  
+  if (!isObject(project.banks)) {
+    problems.push('banks: expected an object of bank patterns');
+  } else {
+    Object.keys(project.banks).forEach(name => {
+      if (!bankNames.includes(name)) {
+        problems.push(`banks.${name}: unknown bank`);
+      } else {
+        validatePattern(project.banks[name], trackList, `banks.${name}`, problems, version);
+      }
+    });
+    if (!project.banks.A) {
+      problems.push('banks.A: missing');
+    }
+  }
+  
+  if (!Array.isArray(project.song) || project.song.length === 0) {
+    problems.push('song: expected a non-empty list');
+  } else {
+    project.song.forEach((entry, index) => {
+      if (!isObject(entry) || !bankNames.includes(entry.bank) || !isIntegerIn(entry.repeats, 1, maxRepeats)) {
+        problems.push(`song[${index}]: expected { bank A-H, repeats 1-${maxRepeats} }`);
+      }
+    });
+  }
+  
+  if (project.songMode !== undefined && typeof project.songMode !== 'boolean') {
+    problems.push('songMode: expected true or false');
+  }
+  if (project.lofi !== undefined) {
+    if (!isObject(project.lofi)) {
+      problems.push('lofi: expected { bits, rate, mix }');
+    } else {
+      Object.keys(lofiLimits).forEach(key => {
+        const { min, max } = lofiLimits[key];
+        if (!isNumberIn(project.lofi[key], min, max)) {
+          problems.push(`lofi.${key}: expected a number from ${min} to ${max}`);
+        }
+      });
+    }
+  }
+  validateTrackSettings(project.mixer, trackList, () => channelParameters, 'mixer', problems);
+  validateTrackSettings(
+    project.voiceParams,
+    trackList,
+    track => getInstrument(track.instrument).parameters,
+    'voiceParams',
+    problems
+  );
+  validateTrackSettings(project.sampleParams, trackList, () => sampleParameters, 'sampleParams', problems);
+  
+  return problems;
+}
+
+/**
+ * Upgrades a project to the current version
+ * @param {Object} project - Parsed project of any supported version
+ * @returns {Object} Project at PROJECT_VERSION
+ * @throws {ProjectFileError} If the version is missing or unsupported
+ */
+export function migrateProject(project) {
+  if (!isIntegerIn(project.version, 1, Number.MAX_SAFE_INTEGER)) {
+    throw new ProjectFileError('Missing or invalid project version');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new ProjectFileError(
+      `Project version ${project.version} is newer than this sequencer supports (${PROJECT_VERSION})`
+    );
+  }
+  
+  let migrated = project;
+  while (migrated.version < PROJECT_VERSION) {
+    migrated = migrations[migrated.version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Parses, migrates and validates a project file
+ * @param {string} text - File contents
+ * @returns {Object} Loaded project, as from loadProject()
+ * @throws {ProjectFileError} If the file is not a valid project
+ */
+export function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new ProjectFileError(`Not a JSON file (${error.message})`);
+  }
+  if (!isObject(project) || project.format !== PROJECT_FORMAT) {
+    throw new ProjectFileError('Not a lo-fi sequencer project file');
+  }
+  return loadProject(project);
+}
+
+/**
+ * Migrates and validates a project object
+ * Optional settings are filled in with defaults for the project's tracks,
+ * and settings for tracks the project doesn't have are dropped
+ * @param {Object} project - Project of any supported version
+ * @returns {Object} { tracks, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams }
+ * @throws {ProjectFileError} If the project is not valid
+ */
+export function loadProject(project) {
+  const version = project.version;
+  project = migrateProject(project);
+  const problems = validateProject(project, version);
+  if (problems.length) {
+    throw new ProjectFileError('Invalid project file', problems);
+  }
+  
+  const trackList = project.tracks.map(({ id, name, instrument, color }) => ({
+    id,
+    name: name.trim(),
+    instrument,
+    color: typeof color === 'string' ? color : defaultTracks.find(t => t.instrument === instrument)?.color
+  }));
+  
+  /**
+   * Merges saved per-track settings over the defaults for each track
+   * @param {Object} fallback - Defaults keyed by track ID
+   * @param {Object} [saved] - Saved settings keyed by track ID
+   * @returns {Object} Settings for exactly the project's tracks
+   */
+  const mergeTrackSettings = (fallback, saved = {}) => trackList.reduce((merged, track) => {
+    merged[track.id] = { ...fallback[track.id], ...saved[track.id] };
+    return merged;
+  }, {});
+  
+  const banks = createBanks(project.banks.A);
+  Object.keys(project.banks).forEach(name => {
+    banks[name] = project.banks[name];
+  });
+  
+  return {
+    tracks: trackList,
+    banks,
+    song: project.song.map(({ bank, repeats }) => ({ bank, repeats })),
+    songMode: project.songMode === true,
+    tempo: project.tempo,
+    swing: project.swing,
+    lofi: { ...defaults.lofi, ...project.lofi },
+    mixer: mergeTrackSettings(createMixer(trackList), project.mixer),
+    voiceParams: mergeTrackSettings(createVoiceParams(trackList), project.voiceParams),
+    sampleParams: mergeTrackSettings(createSampleParams(trackList), project.sampleParams)
+  };
+}
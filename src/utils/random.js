@@ -0,0 +1,22 @@
+/**
+ * random.js
+ * 
+ * Seedable pseudo-random numbers (mulberry32). Step probabilities roll
+ * these instead of Math.random so a seed replays the same variations.
+ */
+
+/**
+ * Creates a random number source
+ * @param {number} [seed] - 32-bit seed; a random one when omitted
+ * @returns {Function} Returns the next number in [0, 1)
+ */
+export function createRandom(seed = Math.floor(Math.random() * 2 ** 32)) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
@@ -0,0 +1,637 @@
+/**
+ * shareUrl.js
+ * 
+ * Shareable links: the whole beat (every bank, the song, tempo, swing and
+ * all sound settings) bit-packed into the URL hash as base64url.
+ * Loaded sample audio is not included, as with project files.
+ * 
+ * Layout, most significant bit first:
+ *   version (4 bits)
+ *   tempo, swing, lo-fi bits / rate / mix
+ *   tracks: count, then per track its instrument, name, mixer channel,
+ *     voice and sample parameters (one bit each when left at defaults)
+ *   banks: one bit per bank with steps (A is always written), then per
+ *     track its length, a 2-bit velocity per step and any step data
+ *   song: entry count, bank and repeats of each entry, song mode
+ * Numbers are written as steps of their control's range, so the link holds
+ * exactly what the controls can set. Step data is a list of tagged fields
+ * closed by tag 0; a new field takes the next tag and a new version, so
+ * older links still decode and older builds turn newer links away.
+ * 
+ * Decoding builds a current-version project and loads it through the same
+ * validation as project files.
+ */
+
+import {
+  tracks as defaultTracks,
+  defaults,
+  createTrack,
+  getStepVelocity,
+  getStepData,
+  stepConditions,
+  maxRatchet,
+  ratchetDivisions
+} from './constants.js';
+import { chordQualities } from './chords.js';
+import { bankNames, maxRepeats } from './song.js';
+import { PROJECT_FORMAT, PROJECT_VERSION, ProjectFileError, loadProject } from './project.js';
+import { getInstrument } from '../audio/instruments.js';
+import { sampleParameters } from '../audio/SoundGenerator.js';
+
+/**
+ * Version written by this build
+ *   1 - chord and nudge step data
+ *   2 - step probability and condition
+ *   3 - step ratchet and ratchet division
+ *   4 - step parameter locks
+ */
+export const SHARE_VERSION = 4;
+
+/**
+ * Milliseconds of quiet after an edit before the hash is rewritten
+ */
+export const SHARE_UPDATE_DELAY = 300;
+
+/**
+ * Error for a hash that cannot be loaded
+ * `problems` lists each issue found, as for ProjectFileError
+ */
+export class ShareUrlError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<string>} [problems] - Individual issues
+   */
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n${problems.join('\n')}` : message);
+    this.name = 'ShareUrlError';
+    this.problems = problems;
+  }
+}
+
+// Value ranges, matching the controls that set them
+const ranges = {
+  version: { min: 0, max: 15, step: 1 },
+  tempo: { min: defaults.minTempo, max: defaults.maxTempo, step: 1 },
+  swing: { min: defaults.minSwing, max: defaults.maxSwing, step: 1 },
+  bits: { min: 1, max: 16, step: 1 },
+  rate: { min: 0, max: 1, step: 0.01 },
+  mix: { min: 0, max: 1, step: 0.01 },
+  volume: { min: 0, max: defaults.maxVolume, step: 0.05 },
+  pan: { min: -1, max: 1, step: 0.1 },
+  length: { min: defaults.minSteps, max: defaults.maxSteps, step: 1 },
+  velocity: { min: 0, max: 3, step: 1 },
+  bank: { min: 0, max: bankNames.length - 1, step: 1 },
+  repeats: { min: 1, max: maxRepeats, step: 1 },
+  builtIn: { min: 0, max: defaultTracks.length - 1, step: 1 },
+  root: { min: 0, max: 11, step: 1 },
+  quality: { min: 0, max: Object.keys(chordQualities).length - 1, step: 1 },
+  inversion: { min: 0, max: 7, step: 1 },
+  nudge: { min: -defaults.maxNudge, max: defaults.maxNudge, step: 0.001 },
+  probability: { min: 0, max: 100, step: 1 },
+  condition: { min: 0, max: stepConditions.length - 1, step: 1 },
+  ratchet: { min: 1, max: maxRatchet, step: 1 },
+  ratchetDivision: { min: 0, max: ratchetDivisions.length - 1, step: 1 },
+  tag: { min: 0, max: 15, step: 1 }
+};
+
+/**
+ * Bits needed for the steps of a range
+ * @param {Object} range - { min, max, step }
+ * @returns {number} Bit count
+ */
+function getRangeBits(range) {
+  return Math.max(1, Math.ceil(Math.log2(Math.round((range.max - range.min) / range.step) + 1)));
+}
+
+/**
+ * Rounds away floating point noise at a step's precision
+ * @param {number} value - Value to round
+ * @param {number} step - Step size
+ * @returns {number} Rounded value
+ */
+function roundToStep(value, step) {
+  const decimals = (String(step).split('.')[1] || '').length;
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * BitWriter appends unsigned fields to a growing byte array
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.length = 0; // Bits written
+  }
+
+  /**
+   * Writes an unsigned integer
+   * @param {number} value - Value that fits in `bits`
+   * @param {number} bits - Field width
+   */
+  write(value, bits) {
+    for (let i = bits - 1; i >= 0; i--) {
+      if (this.length % 8 === 0) this.bytes.push(0);
+      if (Math.floor(value / 2 ** i) % 2) {
+        this.bytes[this.bytes.length - 1] |= 0x80 >> (this.length % 8);
+      }
+      this.length++;
+    }
+  }
+
+  /**
+   * Writes a flag
+   * @param {boolean} flag - Value
+   */
+  writeFlag(flag) {
+    this.write(flag ? 1 : 0, 1);
+  }
+
+  /**
+   * Writes a count of any size, four bits at a time, each group followed
+   * by a bit saying whether another one comes
+   * @param {number} count - Non-negative integer
+   */
+  writeCount(count) {
+    let rest = count;
+    do {
+      this.write(rest % 16, 4);
+      rest = Math.floor(rest / 16);
+      this.writeFlag(rest > 0);
+    } while (rest > 0);
+  }
+
+  /**
+   * Writes a number as a step within a range (clamped)
+   * @param {number} value - Value
+   * @param {Object} range - { min, max, step }
+   */
+  writeRange(value, range) {
+    const steps = Math.round((range.max - range.min) / range.step);
+    const index = Math.round((value - range.min) / range.step) || 0;
+    this.write(Math.min(steps, Math.max(0, index)), getRangeBits(range));
+  }
+
+  /**
+   * Writes a UTF-8 string, length first
+   * @param {string} text - Text
+   */
+  writeString(text) {
+    const bytes = new TextEncoder().encode(text);
+    this.writeCount(bytes.length);
+    bytes.forEach(byte => this.write(byte, 8));
+  }
+}
+
+/**
+ * BitReader reads the fields a BitWriter wrote
+ * Reading past the end throws, which is how truncated links are caught
+ */
+class BitReader {
+  /**
+   * @param {Uint8Array} bytes - Packed bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0; // Bits read
+  }
+
+  /**
+   * Reads an unsigned integer
+   * @param {number} bits - Field width
+   * @returns {number} Value
+   * @throws {ShareUrlError} If the data ends first
+   */
+  read(bits) {
+    if (this.position + bits > this.bytes.length * 8) {
+      throw new ShareUrlError('The link is incomplete');
+    }
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const bit = (this.bytes[this.position >> 3] >> (7 - (this.position % 8))) & 1;
+      value = value * 2 + bit;
+      this.position++;
+    }
+    return value;
+  }
+
+  /**
+   * Reads a flag
+   * @returns {boolean} Value
+   */
+  readFlag() {
+    return this.read(1) === 1;
+  }
+
+  /**
+   * Reads a count written by writeCount()
+   * @returns {number} Count
+   */
+  readCount() {
+    let count = 0;
+    let scale = 1;
+    let more = true;
+    while (more) {
+      count += this.read(4) * scale;
+      scale *= 16;
+      more = this.readFlag();
+    }
+    return count;
+  }
+
+  /**
+   * Reads a number written by writeRange()
+   * @param {Object} range - { min, max, step }
+   * @returns {number} Value
+   */
+  readRange(range) {
+    return roundToStep(range.min + this.read(getRangeBits(range)) * range.step, range.step);
+  }
+
+  /**
+   * Reads a string written by writeString()
+   * @returns {string} Text
+   * @throws {ShareUrlError} If the bytes are not valid UTF-8
+   */
+  readString() {
+    const length = this.readCount();
+    if (this.position + length * 8 > this.bytes.length * 8) {
+      throw new ShareUrlError('The link is incomplete');
+    }
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = this.read(8);
+    }
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+      throw new ShareUrlError('The link has an unreadable track name');
+    }
+  }
+
+  /**
+   * Whether anything but the zero padding of the last byte is left
+   * @returns {boolean} True if unread data remains
+   */
+  hasMore() {
+    return this.bytes.length * 8 - this.position >= 8 ||
+      this.read(this.bytes.length * 8 - this.position) !== 0;
+  }
+}
+
+/**
+ * Optional step data fields; a field's tag is its index + 1, and `since`
+ * is the first link version that can hold it
+ */
+const stepFields = [
+  {
+    key: 'chord',
+    since: 1,
+    write: (writer, chord) => {
+      writer.writeRange(chord.root, ranges.root);
+      writer.writeRange(Object.keys(chordQualities).indexOf(chord.quality), ranges.quality);
+      writer.writeRange(chord.inversion, ranges.inversion);
+    },
+    read: (reader) => ({
+      root: reader.readRange(ranges.root),
+      quality: Object.keys(chordQualities)[reader.readRange(ranges.quality)],
+      inversion: reader.readRange(ranges.inversion)
+    })
+  },
+  {
+    key: 'nudge',
+    since: 1,
+    write: (writer, nudge) => writer.writeRange(nudge, ranges.nudge),
+    read: (reader) => reader.readRange(ranges.nudge)
+  },
+  {
+    key: 'probability',
+    since: 2,
+    write: (writer, probability) => writer.writeRange(probability, ranges.probability),
+    read: (reader) => reader.readRange(ranges.probability)
+  },
+  {
+    key: 'condition',
+    since: 2,
+    write: (writer, condition) => {
+      writer.writeRange(stepConditions.findIndex(option => option.value === condition), ranges.condition);
+    },
+    read: (reader) => {
+      const option = stepConditions[reader.readRange(ranges.condition)];
+      if (!option) {
+        throw new ShareUrlError('The link has an unknown step condition');
+      }
+      return option.value;
+    }
+  },
+  {
+    key: 'ratchet',
+    since: 3,
+    write: (writer, ratchet) => writer.writeRange(ratchet, ranges.ratchet),
+    read: (reader) => reader.readRange(ranges.ratchet)
+  },
+  {
+    key: 'ratchetDivision',
+    since: 3,
+    write: (writer, division) => {
+      writer.writeRange(ratchetDivisions.findIndex(option => option.value === division), ranges.ratchetDivision);
+    },
+    read: (reader) => ratchetDivisions[reader.readRange(ranges.ratchetDivision)].value
+  },
+  {
+    // One flag per parameter of the track's instrument, then the locked value
+    key: 'locks',
+    since: 4,
+    write: (writer, locks, parameters) => {
+      parameters.forEach(param => {
+        writer.writeFlag(locks[param.key] !== undefined);
+        if (locks[param.key] !== undefined) {
+          writer.writeRange(locks[param.key], param);
+        }
+      });
+    },
+    read: (reader, parameters) => parameters.reduce((locks, param) => {
+      if (reader.readFlag()) {
+        locks[param.key] = reader.readRange(param);
+      }
+      return locks;
+    }, {})
+  }
+];
+
+/**
+ * Whether a step carries any data the link can hold
+ * @param {number|Object} value - Step value
+ * @returns {boolean} True if it does
+ */
+function hasStepData(value) {
+  const data = getStepData(value);
+  return stepFields.some(field => data[field.key] !== undefined);
+}
+
+/**
+ * Writes the steps of one track in one bank
+ * @param {BitWriter} writer - Output
+ * @param {Array} steps - Step values
+ * @param {Array<Object>} parameters - Voice parameters of the track's
+ *   instrument (for parameter locks)
+ */
+function writeSteps(writer, steps, parameters) {
+  writer.writeRange(steps.length, ranges.length);
+  const withData = steps.some(hasStepData);
+  writer.writeFlag(withData);
+  steps.forEach(value => {
+    writer.writeRange(getStepVelocity(value), ranges.velocity);
+    if (!withData) return;
+    
+    const data = getStepData(value);
+    writer.writeFlag(hasStepData(value));
+    if (!hasStepData(value)) return;
+    stepFields.forEach((field, index) => {
+      if (data[field.key] === undefined) return;
+      writer.writeRange(index + 1, ranges.tag);
+      field.write(writer, data[field.key], parameters);
+    });
+    writer.writeRange(0, ranges.tag);
+  });
+}
+
+/**
+ * Reads the steps of one track in one bank
+ * @param {BitReader} reader - Input
+ * @param {Array<Object>} parameters - Voice parameters of the track's instrument
+ * @param {number} version - Link version, which limits the step data fields
+ * @returns {Array} Step values
+ * @throws {ShareUrlError} For an unknown step data field
+ */
+function readSteps(reader, parameters, version) {
+  const length = reader.readRange(ranges.length);
+  const withData = reader.readFlag();
+  const steps = [];
+  for (let step = 0; step < length; step++) {
+    const velocity = reader.readRange(ranges.velocity);
+    if (!withData || !reader.readFlag()) {
+      steps.push(velocity);
+      continue;
+    }
+    
+    const value = { velocity };
+    for (let tag = reader.readRange(ranges.tag); tag !== 0; tag = reader.readRange(ranges.tag)) {
+      const field = stepFields[tag - 1];
+      if (!field || field.since > version) {
+        throw new ShareUrlError(`The link has an unknown step field (${tag})`);
+      }
+      value[field.key] = field.read(reader, parameters);
+    }
+    steps.push(value);
+  }
+  return steps;
+}
+
+/**
+ * Writes a parameter set, or a single bit when it is all defaults
+ * @param {BitWriter} writer - Output
+ * @param {Array<Object>} parameters - Definitions { key, min, max, step, default }
+ * @param {Object} [values] - Parameter values
+ */
+function writeParams(writer, parameters, values = {}) {
+  const changed = parameters.some(param => values[param.key] !== undefined && values[param.key] !== param.default);
+  writer.writeFlag(changed);
+  if (changed) {
+    parameters.forEach(param => writer.writeRange(values[param.key] ?? param.default, param));
+  }
+}
+
+/**
+ * Reads a parameter set written by writeParams()
+ * @param {BitReader} reader - Input
+ * @param {Array<Object>} parameters - Definitions { key, min, max, step, default }
+ * @returns {Object} Parameter values (empty when left at defaults)
+ */
+function readParams(reader, parameters) {
+  if (!reader.readFlag()) return {};
+  return parameters.reduce((values, param) => {
+    values[param.key] = reader.readRange(param);
+    return values;
+  }, {});
+}
+
+/**
+ * Default name of a new track, as the track list gives it
+ * @param {Array<Object>} trackList - Tracks before it
+ * @param {string} instrument - Instrument type
+ * @returns {string} Name
+ */
+function getDefaultName(trackList, instrument) {
+  return createTrack(trackList, instrument, getInstrument(instrument)?.name.toUpperCase() || instrument).name;
+}
+
+/**
+ * Converts bytes to base64url (no padding)
+ * @param {Array<number>|Uint8Array} bytes - Bytes
+ * @returns {string} base64url text
+ */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Converts base64url text to bytes
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} Bytes
+ * @throws {ShareUrlError} If the text is not base64url
+ */
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) {
+    throw new ShareUrlError('The link is not a shared beat');
+  }
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encodes the beat for the URL hash
+ * @param {Object} state - { tracks, banks, song, songMode, tempo, swing, lofi, mixer, voiceParams, sampleParams }
+ * @returns {string} base64url text (without the '#')
+ */
+export function encodeShareHash(state) {
+  const writer = new BitWriter();
+  writer.writeRange(SHARE_VERSION, ranges.version);
+  writer.writeRange(state.tempo, ranges.tempo);
+  writer.writeRange(state.swing, ranges.swing);
+  writer.writeRange(state.lofi.bits, ranges.bits);
+  writer.writeRange(state.lofi.rate, ranges.rate);
+  writer.writeRange(state.lofi.mix, ranges.mix);
+  
+  writer.writeCount(state.tracks.length);
+  state.tracks.forEach((track, index) => {
+    const builtIn = defaultTracks.findIndex(t => t.instrument === track.instrument);
+    writer.writeFlag(builtIn !== -1);
+    if (builtIn !== -1) {
+      writer.writeRange(builtIn, ranges.builtIn);
+    } else {
+      writer.writeString(track.instrument);
+    }
+    
+    const defaultName = track.name === getDefaultName(state.tracks.slice(0, index), track.instrument);
+    writer.writeFlag(defaultName);
+    if (!defaultName) writer.writeString(track.name);
+    
+    const channel = { ...defaults.channel, ...state.mixer?.[track.id] };
+    const defaultChannel = Object.keys(defaults.channel).every(key => channel[key] === defaults.channel[key]);
+    writer.writeFlag(!defaultChannel);
+    if (!defaultChannel) {
+      writer.writeRange(channel.volume, ranges.volume);
+      writer.writeRange(channel.pan, ranges.pan);
+      writer.writeFlag(channel.mute);
+      writer.writeFlag(channel.solo);
+    }
+    writeParams(writer, getInstrument(track.instrument)?.parameters || [], state.voiceParams?.[track.id]);
+    writeParams(writer, sampleParameters, state.sampleParams?.[track.id]);
+  });
+  
+  // Bank A always; other banks only once they have steps switched on
+  const usedBanks = bankNames.filter((name, index) => index === 0 || (
+    state.banks[name] && Object.values(state.banks[name]).some(steps => steps.some(getStepVelocity))
+  ));
+  bankNames.slice(1).forEach(name => writer.writeFlag(usedBanks.includes(name)));
+  usedBanks.forEach(name => {
+    state.tracks.forEach(track => {
+      writeSteps(writer, state.banks[name][track.id] || [0], getInstrument(track.instrument)?.parameters || []);
+    });
+  });
+  
+  writer.writeCount(state.song.length);
+  state.song.forEach(entry => {
+    writer.writeRange(bankNames.indexOf(entry.bank), ranges.bank);
+    writer.writeRange(entry.repeats, ranges.repeats);
+  });
+  writer.writeFlag(state.songMode);
+  
+  return toBase64Url(writer.bytes);
+}
+
+/**
+ * Decodes a shared beat from the URL hash
+ * @param {string} hash - location.hash, with or without the '#'
+ * @returns {Object|null} Loaded project, as from loadProject(), or null
+ *   for an empty hash
+ * @throws {ShareUrlError} If the hash is invalid or cut short
+ */
+export function decodeShareHash(hash) {
+  const text = hash.replace(/^#/, '');
+  if (!text) return null;
+  
+  const reader = new BitReader(fromBase64Url(text));
+  const version = reader.readRange(ranges.version);
+  if (version < 1 || version > SHARE_VERSION) {
+    throw new ShareUrlError(`Link version ${version} is not supported by this sequencer (${SHARE_VERSION})`);
+  }
+  
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    tempo: reader.readRange(ranges.tempo),
+    swing: reader.readRange(ranges.swing),
+    lofi: {
+      bits: reader.readRange(ranges.bits),
+      rate: reader.readRange(ranges.rate),
+      mix: reader.readRange(ranges.mix)
+    },
+    tracks: [],
+    banks: {},
+    mixer: {},
+    voiceParams: {},
+    sampleParams: {}
+  };
+  
+  const trackCount = reader.readCount();
+  for (let index = 0; index < trackCount; index++) {
+    const instrument = reader.readFlag()
+      ? defaultTracks[reader.readRange(ranges.builtIn)].instrument
+      : reader.readString();
+    const name = reader.readFlag() ? getDefaultName(project.tracks, instrument) : reader.readString();
+    const track = { ...createTrack(project.tracks, instrument, name), name };
+    project.tracks.push(track);
+    
+    if (reader.readFlag()) {
+      project.mixer[track.id] = {
+        volume: reader.readRange(ranges.volume),
+        pan: reader.readRange(ranges.pan),
+        mute: reader.readFlag(),
+        solo: reader.readFlag()
+      };
+    }
+    project.voiceParams[track.id] = readParams(reader, getInstrument(instrument)?.parameters || []);
+    project.sampleParams[track.id] = readParams(reader, sampleParameters);
+  }
+  
+  const usedBanks = ['A', ...bankNames.slice(1).filter(() => reader.readFlag())];
+  usedBanks.forEach(name => {
+    project.banks[name] = {};
+    project.tracks.forEach(track => {
+      project.banks[name][track.id] = readSteps(reader, getInstrument(track.instrument)?.parameters || [], version);
+    });
+  });
+  
+  const songLength = reader.readCount();
+  project.song = [];
+  for (let index = 0; index < songLength; index++) {
+    project.song.push({
+      bank: bankNames[reader.readRange(ranges.bank)],
+      repeats: reader.readRange(ranges.repeats)
+    });
+  }
+  project.songMode = reader.readFlag();
+  
+  if (reader.hasMore()) {
+    throw new ShareUrlError('The link has unexpected data at the end');
+  }
+  try {
+    return loadProject(project);
+  } catch (error) {
+    if (error instanceof ProjectFileError) {
+      throw new ShareUrlError('The link has an invalid beat', error.problems);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * song.js
+ * 
+ * Pattern banks and song arrangements.
+ * A song is a list of entries { bank, repeats }; each entry plays its bank's
+ * pattern `repeats` times (one pass = one bar of that pattern's length)
+ * before moving on, and the song loops at the end.
+ */
+
+import { clonePattern, clearPattern, getPatternLength } from './constants.js';
+
+/**
+ * Pattern bank names
+ */
+export const bankNames = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+/**
+ * Highest repeat count of a song entry
+ */
+export const maxRepeats = 16;
+
+/**
+ * Default arrangement: bank A, once
+ */
+export const defaultSong = [{ bank: 'A', repeats: 1 }];
+
+/**
+ * Creates a full set of banks
+ * Bank A holds a copy of the given pattern; the others start empty with
+ * the same tracks and lengths
+ * @param {Object} pattern - Pattern for bank A
+ * @returns {Object} Map of bank name to pattern
+ */
+export function createBanks(pattern) {
+  return bankNames.reduce((banks, name) => {
+    banks[name] = name === 'A' ? clonePattern(pattern) : clearPattern(pattern);
+    return banks;
+  }, {});
+}
+
+/**
+ * Applies the same edit to every bank (e.g. adding or removing a track)
+ * @param {Object} banks - Current banks
+ * @param {Function} edit - Receives a pattern, returns the new one
+ * @returns {Object} New banks
+ */
+export function mapBanks(banks, edit) {
+  return Object.keys(banks).reduce((mapped, name) => {
+    mapped[name] = edit(banks[name]);
+    return mapped;
+  }, {});
+}
+
+/**
+ * Length of one song entry in 16th steps
+ * @param {Object} entry - { bank, repeats }
+ * @param {Object} banks - Map of bank name to pattern
+ * @returns {number} Steps
+ */
+function getEntryLength(entry, banks) {
+  return getPatternLength(banks[entry.bank]) * entry.repeats;
+}
+
+/**
+ * Total song length in 16th steps
+ * @param {Array<Object>} song - Song entries
+ * @param {Object} banks - Map of bank name to pattern
+ * @returns {number} Steps in one pass through the song
+ */
+export function getSongLength(song, banks) {
+  return song.reduce((total, entry) => total + getEntryLength(entry, banks), 0);
+}
+
+/**
+ * Finds where a running tick falls in the song
+ * The song loops, so any tick maps to a position
+ * @param {Array<Object>} song - Song entries (at least one)
+ * @param {Object} banks - Map of bank name to pattern
+ * @param {number} tick - Running 16th count since the song started
+ * @returns {{index: number, bank: string, repeat: number, tick: number}}
+ *   Entry index, its bank, the current repeat (0-based) and the tick within
+ *   the entry (tracks loop over their own lengths from there)
+ */
+export function getSongPosition(song, banks, tick) {
+  let remaining = tick % getSongLength(song, banks);
+  
+  for (let index = 0; index < song.length; index++) {
+    const entry = song[index];
+    const length = getEntryLength(entry, banks);
+    if (remaining < length) {
+      return {
+        index,
+        bank: entry.bank,
+        repeat: Math.floor(remaining / getPatternLength(banks[entry.bank])),
+        tick: remaining
+      };
+    }
+    remaining -= length;
+  }
+  
+  // Unreachable for a non-empty song; fall back to the first entry
+  return { index: 0, bank: song[0].bank, repeat: 0, tick: 0 };
+}
+
+/**
+ * Appends an entry to the song
+ * @param {Array<Object>} song - Current song
+ * @param {string} bank - Bank to play
+ * @returns {Array<Object>} New song
+ */
+export function addSongEntry(song, bank) {
+  return [...song, { bank, repeats: 1 }];
+}
+
+/**
+ * Removes an entry; the last entry cannot be removed
+ * @param {Array<Object>} song - Current song
+ * @param {number} index - Entry index
+ * @returns {Array<Object>} New song
+ */
+export function removeSongEntry(song, index) {
+  if (song.length <= 1) return song;
+  return song.filter((_, i) => i !== index);
+}
+
+/**
+ * Changes an entry's bank or repeat count
+ * Repeats are clamped to 1-maxRepeats
+ * @param {Array<Object>} song - Current song
+ * @param {number} index - Entry index
+ * @param {Object} changes - { bank?, repeats? }
+ * @returns {Array<Object>} New song
+ */
+export function updateSongEntry(song, index, changes) {
+  return song.map((entry, i) => {
+    if (i !== index) return entry;
+    const updated = { ...entry, ...changes };
+    updated.repeats = Math.min(maxRepeats, Math.max(1, Math.round(updated.repeats) || 1));
+    return updated;
+  });
+}
+
+/**
+ * Moves an entry up or down the song
+ * @param {Array<Object>} song - Current song
+ * @param {number} index - Entry index
+ * @param {number} delta - Positions to move (negative = earlier)
+ * @returns {Array<Object>} New song
+ */
+export function moveSongEntry(song, index, delta) {
+  const to = Math.min(song.length - 1, Math.max(0, index + delta));
+  if (to === index) return song;
+  
+  const moved = [...song];
+  const [entry] = moved.splice(index, 1);
+  moved.splice(to, 0, entry);
+  return moved;
+}